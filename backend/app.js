@@ -0,0 +1,3536 @@
+import express from "express";
+import cors from "cors";
+import multer from "multer";
+import { randomUUID } from "node:crypto";
+import { renderMarkdown } from "./lib/markdown.js";
+import { parsePageParams, fetchPage } from "./lib/pagination.js";
+import {
+  parseTags,
+  parseCategory,
+  parseTaxonomyFilters,
+  applyTaxonomyFilters,
+  summarizeTaxonomy,
+} from "./lib/taxonomy.js";
+import { processImage, MAX_UPLOAD_BYTES } from "./lib/images.js";
+import { createLocalStorage, createSupabaseStorage } from "./lib/storage.js";
+import { createStripeEventHandler } from "./lib/stripeWebhook.js";
+import { createPriceCatalog, serializeInvoice } from "./lib/billing.js";
+import { createPlanStore, serializePlan } from "./lib/plans.js";
+import { createJobRunner } from "./lib/jobs.js";
+import { createEventHub, openEventStream } from "./lib/events.js";
+import { FEED_FORMATS, toFeedItems, renderFeed } from "./lib/feeds.js";
+import { buildExportZip, readImportFile } from "./lib/portability.js";
+import {
+  createMemoryStore,
+  createRateLimiter,
+  consumeRateLimit,
+  rateLimit,
+} from "./lib/rateLimit.js";
+import { securityHeaders, parseAllowedOrigins } from "./lib/security.js";
+import { createTokenVerifier, authError } from "./lib/auth.js";
+import {
+  ApiError,
+  notFound,
+  forbidden,
+  routeNotFound,
+  errorHandler,
+} from "./lib/errors.js";
+import {
+  MAX_TITLE_LENGTH,
+  MAX_CONTENT_LENGTH,
+  MAX_SEARCH_LENGTH,
+  isId,
+  invalidField,
+  assertValid,
+  text,
+  boolean,
+  oneOf,
+  id,
+  integer,
+  optional,
+  parsed,
+  validate,
+  validateIdParam,
+} from "./lib/validation.js";
+import {
+  normalizeUsername,
+  parseProfileUpdate,
+  serializePublicProfile,
+  serializeProfileSettings,
+} from "./lib/profiles.js";
+import {
+  COLLABORATOR_ROLES,
+  can,
+  parseEmail,
+  serializeCollaborator,
+  serializeInvitation,
+} from "./lib/collaborators.js";
+import {
+  MEMBER_ROLES,
+  MAX_WORKSPACE_NAME_LENGTH,
+  canInWorkspace,
+  workspaceBlogRole,
+  serializeMember,
+  serializeWorkspace,
+  serializeWorkspaceInvitation,
+} from "./lib/workspaces.js";
+import {
+  MAX_COMMENT_DEPTH,
+  validateCommentBody,
+  serializeComment,
+  buildThreads,
+} from "./lib/comments.js";
+
+const MB = 1024 * 1024;
+
+const TOKEN_CACHE_TTL_MS = 60 * 1000;
+
+const DEFAULT_BILLING_INTERVAL = "monthly";
+const INVOICE_HISTORY_LIMIT = 12;
+
+const DEFAULT_PLAN = "free";
+const PREMIUM_PLAN = "premium";
+const GRACE_PERIOD_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+const MAX_IMPORT_BYTES = 20 * MB;
+
+const BLOG_STATUSES = ["draft", "published"];
+const DEFAULT_BLOG_STATUS = "draft";
+const BLOG_FIELDS =
+  "id, user_id, title, content, content_html, status, slug, tags, category, version, comments_locked, published_at, created_at, updated_at, deleted_at, archived_at, publish_at, workspace_id";
+const BLOG_FIELD_NAMES = BLOG_FIELDS.split(", ");
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const PUBLISH_CHECK_INTERVAL_MS = 60 * 1000;
+const FEED_ITEM_LIMIT = 20;
+const FEED_FIELDS = "id, title, slug, content_html, tags, category, published_at, updated_at";
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const NEW_DRAFT_KEY = "new";
+
+const COMMENT_SORTS = {
+  oldest: { column: "created_at", ascending: true },
+};
+const COMMENT_RATE_LIMIT = { max: 5, windowMs: 60 * 1000 };
+
+const REVISION_SUMMARY_FIELDS = "id, blog_id, user_id, title, created_at";
+const PUBLIC_BLOG_FIELDS =
+  "id, title, comments_locked, content, content_html, slug, tags, category, published_at, updated_at";
+
+const BLOG_SORTS = {
+  newest: { column: "created_at", ascending: false },
+  oldest: { column: "created_at", ascending: true },
+  title: { column: "title", ascending: true },
+  updated: { column: "updated_at", ascending: false },
+};
+const DEFAULT_BLOG_SORT = "newest";
+const PUBLIC_BLOG_SORTS = {
+  newest: { column: "published_at", ascending: false },
+};
+
+const JSON_BODY_LIMIT = "1mb";
+
+// budgets per window; any of them can be overridden with RATE_LIMIT_<NAME>_MAX
+const RATE_LIMITS = {
+  api: { max: 300, windowMs: 60 * 1000 }, // every request, per IP
+  auth: { max: 60, windowMs: 60 * 1000 }, // failed token checks, per IP
+  write: { max: 60, windowMs: 60 * 1000 }, // POST/PUT/DELETE, per user
+  billing: { max: 10, windowMs: 10 * 60 * 1000 }, // Stripe sessions, per user
+};
+
+const ipKey = (req) => `ip:${req.ip}`;
+const userKey = (req) => `user:${req.user.id}`;
+const WRITE_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+
+/**
+ * Builds the API around the given Supabase and Stripe clients; `stripe` is
+ * null when billing isn't configured. Settings come from `env`. Background
+ * jobs are registered but not started, so the app can be built in tests
+ * without timers or a listening socket.
+ */
+export const createApp = ({ supabase, stripe = null, env = process.env }) => {
+  const app = express();
+  const port = env.PORT || 5000;
+
+  const tokenVerifier = createTokenVerifier({
+    supabaseUrl: env.SUPABASE_URL,
+    jwtSecret: env.SUPABASE_JWT_SECRET,
+    cacheTtlMs: TOKEN_CACHE_TTL_MS,
+    verifyRemotely: async (token) => {
+      const { data, error } = await supabase.auth.getUser(token);
+      if (error || !data.user) {
+        throw authError("token_invalid");
+      }
+      return data.user;
+    },
+  });
+
+  // change notifications for the user's open event streams (GET /events)
+  const events = createEventHub();
+
+  // every write to profiles must call this so the user's other tabs refetch
+  const invalidateProfile = (userId) => events.publish(userId, "profile.changed");
+
+  const stripeWebhookSecret = env.STRIPE_WEBHOOK_SECRET;
+  const allowedOrigins = parseAllowedOrigins(
+    env.FRONTEND_URL || "http://localhost:3000"
+  );
+  const frontendUrl = allowedOrigins[0];
+
+  const billingNotConfigured = () =>
+    new ApiError(503, "billing_not_configured", "Billing is not configured on this server.");
+
+  // STRIPE_PRICE_ID stays the monthly price so existing deployments keep working
+  const billingPrices = createPriceCatalog(stripe, {
+    monthly: env.STRIPE_PRICE_ID,
+    annual: env.STRIPE_ANNUAL_PRICE_ID,
+  });
+  const plans = createPlanStore(supabase, { defaultPlan: DEFAULT_PLAN });
+  const BILLING_GRACE_PERIOD_DAYS = Number(env.BILLING_GRACE_PERIOD_DAYS) || 7;
+
+  const stripeEvents = createStripeEventHandler({
+    supabase,
+    defaultPlan: DEFAULT_PLAN,
+    premiumPlan: PREMIUM_PLAN,
+    gracePeriodDays: BILLING_GRACE_PERIOD_DAYS,
+    onPlanChange: (userId, plan) => syncArchivedBlogs({ userId }, plan),
+    onProfileChange: invalidateProfile,
+    onWorkspacePlanChange: (workspaceId, plan) => syncArchivedBlogs({ workspaceId }, plan),
+    onWorkspaceChange: (workspaceId) => publishWorkspaceEvent(workspaceId, "workspaces.changed"),
+  });
+
+  // STORAGE_DRIVER=supabase keeps uploads in Supabase Storage instead of local disk
+  const storageDriver = env.STORAGE_DRIVER || "local";
+  const uploadStorage =
+    storageDriver === "supabase"
+      ? createSupabaseStorage({
+          supabase,
+          bucket: env.SUPABASE_STORAGE_BUCKET || "blog-uploads",
+        })
+      : createLocalStorage({
+          directory: env.UPLOAD_DIR || "uploads",
+          publicUrl: env.UPLOADS_PUBLIC_URL || `http://localhost:${port}/uploads`,
+        });
+
+  const uploadImage = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+  }).single("file");
+  const uploadImport = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMPORT_BYTES, files: 1 },
+  }).single("file");
+
+  const TRASH_RETENTION_DAYS = Number(env.TRASH_RETENTION_DAYS) || 30;
+
+  const rateLimitStore = createMemoryStore();
+  const [apiLimiter, authLimiter, writeLimiter, billingLimiter] = Object.entries(
+    RATE_LIMITS
+  ).map(([name, budget]) =>
+    createRateLimiter({
+      name,
+      max: Number(env[`RATE_LIMIT_${name.toUpperCase()}_MAX`]) || budget.max,
+      windowMs: budget.windowMs,
+      store: rateLimitStore,
+    })
+  );
+
+  // TRUST_PROXY (hop count, "true" or addresses) so req.ip is the client behind a load balancer
+  if (env.TRUST_PROXY) {
+    const trustProxy = env.TRUST_PROXY;
+    app.set(
+      "trust proxy",
+      trustProxy === "true" ? true : Number(trustProxy) || trustProxy
+    );
+  }
+
+  app.disable("x-powered-by");
+  app.use(securityHeaders);
+  app.use(cors({ origin: allowedOrigins }));
+
+  if (storageDriver === "local") {
+    app.use(
+      "/uploads",
+      express.static(uploadStorage.root, {
+        maxAge: "365d",
+        immutable: true,
+        setHeaders: (res) => res.setHeader("X-Content-Type-Options", "nosniff"),
+      })
+    );
+  }
+
+  /**
+   * Stripe webhook has to consume the raw body so we register it
+   * before Express starts parsing json for every other route.
+   */
+  app.post(
+    "/stripe/webhook",
+    express.raw({ type: "application/json" }),
+    async (req, res, next) => {
+      if (!stripe || !stripeWebhookSecret) {
+        throw billingNotConfigured();
+      }
+
+      const signature = req.headers["stripe-signature"];
+      let event;
+
+      try {
+        event = stripe.webhooks.constructEvent(
+          req.body,
+          signature,
+          stripeWebhookSecret
+        );
+      } catch (err) {
+        console.error("Stripe webhook signature verification failed:", err.message);
+        throw new ApiError(400, "invalid_signature", `Webhook Error: ${err.message}`);
+      }
+
+      try {
+        const { duplicate } = await stripeEvents.handleEvent(event);
+        res.json({ received: true, duplicate });
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  app.use(express.json({ limit: JSON_BODY_LIMIT }));
+  app.use(rateLimit(apiLimiter, ipKey));
+
+  const getBearerToken = (req) =>
+    (req.headers.authorization || "").replace("Bearer ", "").trim();
+
+  /**
+   * Only failed checks count against the per-IP auth budget, so token
+   * guessing is throttled without capping signed-in traffic. Returns false
+   * when the 429 has already been sent.
+   */
+  const authenticate = async (req, res, token) => {
+    try {
+      if (!token) {
+        throw authError("token_missing");
+      }
+
+      req.user = await tokenVerifier.verify(token);
+      return true;
+    } catch (error) {
+      if (!(await consumeRateLimit(authLimiter, ipKey(req), res))) {
+        return false;
+      }
+      throw error;
+    }
+  };
+
+  // also charges writes to the user's write budget once we know who they are
+  const requireAuth = async (req, res, next) => {
+    try {
+      if (!(await authenticate(req, res, getBearerToken(req)))) {
+        return;
+      }
+
+      if (
+        WRITE_METHODS.includes(req.method) &&
+        !(await consumeRateLimit(writeLimiter, userKey(req), res))
+      ) {
+        return;
+      }
+
+      next();
+    } catch (error) {
+      // token_expired tells the client to refresh its session and retry
+      next(error);
+    }
+  };
+
+  // like requireAuth, but lets anonymous readers through with req.user unset
+  const optionalAuth = async (req, res, next) => {
+    try {
+      const token = getBearerToken(req);
+
+      if (token && !(await authenticate(req, res, token))) {
+        return;
+      }
+
+      next();
+    } catch (error) {
+      // token_expired tells the client to refresh its session and retry
+      next(error);
+    }
+  };
+
+  const ensureProfile = async (user) => {
+    const { data: profile, error } = await supabase
+      .from("profiles")
+      .select("*")
+      .eq("id", user.id)
+      .single();
+
+    if (profile) {
+      return profile;
+    }
+
+    if (error && error.code !== "PGRST116") {
+      throw error;
+    }
+
+    const { data: newProfile, error: insertError } = await supabase
+      .from("profiles")
+      .insert({
+        id: user.id,
+        plan: DEFAULT_PLAN,
+      })
+      .select()
+      .single();
+
+    if (insertError) {
+      throw insertError;
+    }
+
+    return newProfile;
+  };
+
+  // looked up once per request, so a plan change made anywhere applies from the next one
+  const getProfile = (req) => (req.profile ??= ensureProfile(req.user));
+
+  const getPlanLimit = async (plan) => (await plans.getPlan(plan)).max_blogs;
+
+  const getStorageLimit = async (plan) =>
+    Number((await plans.getPlan(plan)).max_storage_bytes);
+
+  // bytes used by a user's uploads (images plus thumbnails)
+  const getStorageUsed = async (userId) => {
+    const { data, error } = await supabase
+      .from("uploads")
+      .select("size_bytes")
+      .eq("user_id", userId);
+
+    if (error) {
+      throw error;
+    }
+
+    return (data || []).reduce((total, row) => total + Number(row.size_bytes), 0);
+  };
+
+  /**
+   * Plan limits apply per scope: { userId } is a user's personal blogs (not
+   * ones shared with them or written in a workspace), { workspaceId } every
+   * blog of a workspace, whoever wrote it.
+   */
+  const inScope = (query, { userId, workspaceId }) =>
+    workspaceId
+      ? query.eq("workspace_id", workspaceId)
+      : query.eq("user_id", userId).is("workspace_id", null);
+
+  // the scope whose plan limit a blog counts towards
+  const blogScope = (blog) =>
+    blog.workspace_id ? { workspaceId: blog.workspace_id } : { userId: blog.user_id };
+
+  const getBlogCount = async (scope) => {
+    const { count, error } = await inScope(
+      supabase.from("blogs").select("*", { count: "exact", head: true }),
+      scope
+    ).is("deleted_at", null);
+
+    if (error) {
+      throw error;
+    }
+
+    return count || 0;
+  };
+
+  // read-only: archiving happens in syncArchivedBlogs when the count or limit changes
+  const getArchivedCount = async (scope) => {
+    const { count, error } = await inScope(
+      supabase.from("blogs").select("*", { count: "exact", head: true }),
+      scope
+    )
+      .is("deleted_at", null)
+      .not("archived_at", "is", null);
+
+    if (error) {
+      throw error;
+    }
+
+    return count || 0;
+  };
+
+  /**
+   * Downgrade policy: blogs beyond the plan limit are archived, least recently
+   * updated first. Archived blogs are read-only and hidden from public pages,
+   * and are unarchived as soon as the scope is back within the limit.
+   */
+  const syncArchivedBlogs = async (scope, plan) => {
+    const planLimit = await getPlanLimit(plan);
+
+    const { data, error } = await inScope(
+      supabase.from("blogs").select("id, archived_at"),
+      scope
+    )
+      .is("deleted_at", null)
+      .order("updated_at", { ascending: false });
+
+    if (error) {
+      throw error;
+    }
+
+    const blogs = data || [];
+    const toArchive = blogs
+      .slice(planLimit)
+      .filter((blog) => !blog.archived_at)
+      .map((blog) => blog.id);
+    const toUnarchive = blogs
+      .slice(0, planLimit)
+      .filter((blog) => blog.archived_at)
+      .map((blog) => blog.id);
+
+    if (toArchive.length) {
+      const { error: archiveError } = await supabase
+        .from("blogs")
+        .update({ archived_at: new Date().toISOString() })
+        .in("id", toArchive);
+
+      if (archiveError) {
+        throw archiveError;
+      }
+    }
+
+    if (toUnarchive.length) {
+      const { error: unarchiveError } = await supabase
+        .from("blogs")
+        .update({ archived_at: null })
+        .in("id", toUnarchive);
+
+      if (unarchiveError) {
+        throw unarchiveError;
+      }
+    }
+
+    if (toArchive.length || toUnarchive.length) {
+      if (scope.workspaceId) {
+        await publishWorkspaceEvent(scope.workspaceId, "blogs.changed");
+      } else {
+        events.publish(scope.userId, "blogs.changed");
+      }
+    }
+
+    return Math.max(blogs.length - planLimit, 0);
+  };
+
+  // publish_at from a request body: undefined leaves it alone, null/"" clears it
+  const parsePublishAt = (value) => {
+    if (value === undefined) {
+      return { publishAt: undefined };
+    }
+
+    if (value === null || value === "") {
+      return { publishAt: null };
+    }
+
+    const date = new Date(value);
+    if (typeof value !== "string" || Number.isNaN(date.getTime())) {
+      return { error: "publish_at must be an ISO date-time." };
+    }
+
+    if (date.getTime() <= Date.now()) {
+      return { error: "Scheduled time must be in the future." };
+    }
+
+    return { publishAt: date.toISOString() };
+  };
+
+  // public profile by @username; null for unknown or unset handles
+  const findProfileByUsername = async (username) => {
+    const handle = normalizeUsername(username);
+    if (!handle) {
+      return null;
+    }
+
+    const { data, error } = await supabase
+      .from("profiles")
+      .select("*")
+      .eq("username", handle)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  };
+
+  // name shown next to comments and in feeds
+  const getAuthorName = (profile, user) =>
+    profile?.display_name ||
+    profile?.username ||
+    (user?.email || "reader").split("@")[0];
+
+  const planLimitReached = (message) => new ApiError(403, "plan_limit_reached", message);
+
+  const schedulingUnavailable = () =>
+    new ApiError(403, "feature_unavailable", "Scheduled publishing is not included in your plan.");
+
+  const blogArchived = () =>
+    new ApiError(
+      403,
+      "blog_archived",
+      "This blog is archived because you are over your plan limit. Upgrade or delete other blogs to edit it."
+    );
+
+  const slugify = (text) =>
+    text
+      .normalize("NFKD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+/, "")
+      .slice(0, 60)
+      .replace(/-+$/, "") || "post";
+
+  // picks the first free "slug", "slug-2", "slug-3"... for a title
+  const generateUniqueSlug = async (title, excludeId) => {
+    const base = slugify(title);
+
+    let query = supabase.from("blogs").select("slug").like("slug", `${base}%`);
+    if (excludeId) {
+      query = query.neq("id", excludeId);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      throw error;
+    }
+
+    const taken = new Set((data || []).map((row) => row.slug));
+    if (!taken.has(base)) {
+      return base;
+    }
+
+    let suffix = 2;
+    while (taken.has(`${base}-${suffix}`)) {
+      suffix += 1;
+    }
+    return `${base}-${suffix}`;
+  };
+
+  const findOwnBlog = async (blogId, userId) => {
+    const { data, error } = await supabase
+      .from("blogs")
+      .select(BLOG_FIELDS)
+      .eq("id", blogId)
+      .eq("user_id", userId)
+      .is("deleted_at", null)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  };
+
+  const findWorkspace = async (workspaceId) => {
+    const { data, error } = await supabase
+      .from("workspaces")
+      .select("*")
+      .eq("id", workspaceId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  };
+
+  // the user's accepted membership of a workspace, or null
+  const findMembership = async (workspaceId, userId) => {
+    const { data, error } = await supabase
+      .from("workspace_members")
+      .select("*")
+      .eq("workspace_id", workspaceId)
+      .eq("user_id", userId)
+      .eq("status", "accepted")
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  };
+
+  const WORKSPACE_PERMISSION_DENIED = {
+    write: "You can't write in this workspace.",
+    manage: "Only the workspace's owner and admins can manage its members.",
+    billing: "Only the workspace's owner and admins can manage its billing.",
+  };
+
+  // 404 for non-members, 403 when the member's role doesn't allow `action`
+  const requireWorkspaceMember = async (workspaceId, userId, action) => {
+    const member = await findMembership(workspaceId, userId);
+    const workspace = member && (await findWorkspace(workspaceId));
+    if (!workspace) {
+      throw notFound("Workspace not found.");
+    }
+
+    if (action && !canInWorkspace(member.role, action)) {
+      throw forbidden(WORKSPACE_PERMISSION_DENIED[action]);
+    }
+
+    return { workspace, member };
+  };
+
+  // user ids of a workspace's accepted members; also its seat count
+  const getWorkspaceMemberIds = async (workspaceId) => {
+    const { data, error } = await supabase
+      .from("workspace_members")
+      .select("user_id")
+      .eq("workspace_id", workspaceId)
+      .eq("status", "accepted");
+
+    if (error) {
+      throw error;
+    }
+
+    return (data || []).map((row) => row.user_id);
+  };
+
+  // members to stream a workspace's changes to; a failed lookup only costs the event
+  const getWorkspaceRecipients = async (workspaceId) => {
+    try {
+      return await getWorkspaceMemberIds(workspaceId);
+    } catch (error) {
+      console.error("Error loading workspace members:", error.message);
+      return [];
+    }
+  };
+
+  const publishWorkspaceEvent = async (workspaceId, type, data) =>
+    (await getWorkspaceRecipients(workspaceId)).forEach((userId) =>
+      events.publish(userId, type, data)
+    );
+
+  // the plan whose limits apply to a scope (see inScope)
+  const getScopePlan = async (scope) => {
+    if (!scope.workspaceId) {
+      return (await ensureProfile({ id: scope.userId })).plan;
+    }
+
+    const workspace = await findWorkspace(scope.workspaceId);
+    if (!workspace) {
+      throw notFound("Workspace not found.");
+    }
+
+    return workspace.plan;
+  };
+
+  /**
+   * Team subscriptions are billed per seat: keeps the subscription's quantity
+   * equal to the number of accepted members. Runs after the membership change
+   * is saved, so a Stripe failure is logged rather than undoing it; the next
+   * change brings the quantity back in line.
+   */
+  const syncWorkspaceSeats = async (workspaceId) => {
+    try {
+      const workspace = await findWorkspace(workspaceId);
+      if (!stripe || !workspace?.stripe_subscription_id) {
+        return;
+      }
+
+      const seats = (await getWorkspaceMemberIds(workspaceId)).length;
+      const subscription = await stripe.subscriptions.retrieve(workspace.stripe_subscription_id);
+      const item = subscription.items.data[0];
+      if (!item || item.quantity === seats) {
+        return;
+      }
+
+      await stripe.subscriptionItems.update(item.id, {
+        quantity: seats,
+        proration_behavior: "create_prorations",
+      });
+    } catch (error) {
+      console.error(`Error updating seats of workspace ${workspaceId}:`, error.message);
+    }
+  };
+
+  // accepted co-authorships of a user, as blog id -> { id, role }
+  const getSharedBlogs = async (userId) => {
+    const { data, error } = await supabase
+      .from("blog_collaborators")
+      .select("id, blog_id, role")
+      .eq("user_id", userId)
+      .eq("status", "accepted");
+
+    if (error) {
+      throw error;
+    }
+
+    return new Map((data || []).map((row) => [String(row.blog_id), row]));
+  };
+
+  // limits a blogs query to the user's personal blogs plus those shared with them
+  const visibleTo = (query, userId, sharedBlogs) =>
+    sharedBlogs.size
+      ? query.or(
+          `and(user_id.eq.${userId},workspace_id.is.null),id.in.(${[...sharedBlogs.keys()].join(",")})`
+        )
+      : query.eq("user_id", userId).is("workspace_id", null);
+
+  // the user's role on a blog as its author or a member of its workspace, or null
+  const findOwnRole = async (blog, userId) => {
+    if (!blog.workspace_id) {
+      return blog.user_id === userId ? "owner" : null;
+    }
+
+    const member = await findMembership(blog.workspace_id, userId);
+    if (!member) {
+      return null;
+    }
+
+    return blog.user_id === userId ? "owner" : workspaceBlogRole(member.role);
+  };
+
+  /**
+   * A live blog and the user's role on it ("owner", "editor" or "viewer"), or
+   * null. Workspace blogs belong to the workspace: their authors keep owner
+   * rights only while they are members.
+   */
+  const findBlogAccess = async (blogId, userId) => {
+    const { data: blog, error } = await supabase
+      .from("blogs")
+      .select(BLOG_FIELDS)
+      .eq("id", blogId)
+      .is("deleted_at", null)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!blog) {
+      return null;
+    }
+
+    const role = await findOwnRole(blog, userId);
+    if (role) {
+      return { blog, role };
+    }
+
+    const { data: collaborator, error: collaboratorError } = await supabase
+      .from("blog_collaborators")
+      .select("role")
+      .eq("blog_id", blog.id)
+      .eq("user_id", userId)
+      .eq("status", "accepted")
+      .maybeSingle();
+
+    if (collaboratorError) {
+      throw collaboratorError;
+    }
+
+    return collaborator ? { blog, role: collaborator.role } : null;
+  };
+
+  const PERMISSION_DENIED = {
+    edit: "You can view this blog but not edit it.",
+    delete: "Only the blog's owner can delete it.",
+    share: "Only the blog's owner can share it.",
+  };
+
+  // 404 when the user can't see the blog at all, 403 when their role doesn't allow `action`
+  const requireBlogAccess = async (blogId, userId, action) => {
+    const access = await findBlogAccess(blogId, userId);
+    if (!access) {
+      throw notFound("Blog not found.");
+    }
+
+    if (!can(access.role, action)) {
+      throw forbidden(PERMISSION_DENIED[action]);
+    }
+
+    return access;
+  };
+
+  // changes to a blog are streamed to its owner, everyone it is shared with
+  // and, for workspace blogs, the workspace's members
+  const publishBlogEvent = async (blog, type, data) => {
+    const { data: rows, error } = await supabase
+      .from("blog_collaborators")
+      .select("user_id")
+      .eq("blog_id", blog.id)
+      .eq("status", "accepted");
+
+    if (error) {
+      console.error("Error loading collaborators:", error.message);
+    }
+
+    const recipients = blog.workspace_id
+      ? await getWorkspaceRecipients(blog.workspace_id)
+      : [blog.user_id];
+    new Set([...recipients, ...(rows || []).map((row) => row.user_id)]).forEach((userId) =>
+      events.publish(userId, type, data)
+    );
+  };
+
+  // snapshot the current row before it gets overwritten
+  const saveRevision = async (blog, userId) => {
+    const { error } = await supabase.from("blog_revisions").insert({
+      blog_id: blog.id,
+      user_id: userId,
+      title: blog.title,
+      content: blog.content,
+      tags: blog.tags || [],
+      category: blog.category,
+    });
+
+    if (error) {
+      throw error;
+    }
+  };
+
+  const versionConflict = (current) =>
+    new ApiError(
+      409,
+      "version_conflict",
+      "This blog was changed somewhere else since you started editing.",
+      { current }
+    );
+
+  const clearDraft = async (userId, draftKey) => {
+    const { error } = await supabase
+      .from("blog_drafts")
+      .delete()
+      .eq("user_id", userId)
+      .eq("draft_key", String(draftKey));
+
+    if (error) {
+      console.error("Error clearing draft:", error.message);
+    }
+  };
+
+  const blogTitle = text({ label: "Title", required: true, max: MAX_TITLE_LENGTH });
+  const blogContent = text({ label: "Content", required: true, max: MAX_CONTENT_LENGTH, trim: false });
+  const draftKey = (value) =>
+    value === NEW_DRAFT_KEY || isId(value)
+      ? { value }
+      : { error: `Draft key must be "${NEW_DRAFT_KEY}" or a blog id.` };
+  const commentBody = (value) => {
+    const error = validateCommentBody(value);
+    return error ? { error } : { value: value.trim() };
+  };
+
+  // request schemas for validate(), see lib/validation.js
+  const createBlogSchema = {
+    body: {
+      title: blogTitle,
+      content: blogContent,
+      status: oneOf(BLOG_STATUSES, { label: "Status", defaultValue: DEFAULT_BLOG_STATUS }),
+      tags: parsed((value) => parseTags(value ?? []), "tags"),
+      category: parsed(parseCategory, "category"),
+      publish_at: parsed(parsePublishAt, "publishAt"),
+      workspace_id: id({ label: "Workspace" }),
+    },
+  };
+
+  // tags and category are left untouched when omitted from the body
+  const updateBlogSchema = {
+    body: {
+      title: blogTitle,
+      content: blogContent,
+      status: oneOf(BLOG_STATUSES, { label: "Status" }),
+      version: integer({ label: "Version", min: 1 }),
+      tags: optional(parsed(parseTags, "tags")),
+      category: optional(parsed(parseCategory, "category")),
+      publish_at: parsed(parsePublishAt, "publishAt"),
+    },
+  };
+
+  // version is the one the client last saw, as for updates
+  const restoreRevisionSchema = {
+    body: { version: integer({ label: "Version", min: 1 }) },
+  };
+
+  const draftKeySchema = { params: { key: draftKey } };
+
+  const saveDraftSchema = {
+    params: { key: draftKey },
+    body: {
+      title: text({ label: "Title", max: MAX_TITLE_LENGTH, trim: false }),
+      content: text({ label: "Content", max: MAX_CONTENT_LENGTH, trim: false }),
+      tags: parsed((value) => parseTags(value ?? []), "tags"),
+      category: parsed(parseCategory, "category"),
+      base_version: integer({ label: "Base version", min: 1 }),
+    },
+  };
+
+  // lists are personal unless ?workspace= picks one of the user's workspaces
+  const workspaceFilter = id({ label: "Workspace" });
+  const searchSchema = {
+    query: {
+      q: text({ label: "Search", max: MAX_SEARCH_LENGTH }),
+      workspace: workspaceFilter,
+    },
+  };
+  const taxonomySchema = { query: { workspace: workspaceFilter } };
+  const trashSchema = { query: { workspace: workspaceFilter } };
+
+  const createCommentSchema = {
+    body: {
+      body: commentBody,
+      parent_id: id({ label: "Parent comment" }),
+    },
+  };
+
+  const editCommentSchema = { body: { body: commentBody } };
+  const commentVisibilitySchema = { body: { hidden: boolean({ label: "hidden" }) } };
+  const commentLockSchema = { body: { locked: boolean({ label: "locked" }) } };
+  const syndicationSchema = { body: { enabled: boolean({ label: "enabled" }) } };
+  const collaboratorRole = oneOf(COLLABORATOR_ROLES, { label: "Role" });
+  const inviteSchema = {
+    body: {
+      email: parsed(parseEmail, "email"),
+      role: oneOf(COLLABORATOR_ROLES, { label: "Role", defaultValue: "viewer" }),
+    },
+  };
+  const collaboratorRoleSchema = {
+    body: {
+      role: (value) =>
+        value === undefined ? { error: "Role is required." } : collaboratorRole(value),
+    },
+  };
+
+  const workspaceName = text({ label: "Name", required: true, max: MAX_WORKSPACE_NAME_LENGTH });
+  const workspaceSchema = { body: { name: workspaceName } };
+  const memberRole = oneOf(MEMBER_ROLES, { label: "Role" });
+  const memberInviteSchema = {
+    body: {
+      email: parsed(parseEmail, "email"),
+      role: oneOf(MEMBER_ROLES, { label: "Role", defaultValue: "writer" }),
+    },
+  };
+  const memberRoleSchema = {
+    body: {
+      role: (value) => (value === undefined ? { error: "Role is required." } : memberRole(value)),
+    },
+  };
+
+  // numeric route params are checked once here instead of in every handler
+  for (const name of [
+    "id",
+    "revisionId",
+    "commentId",
+    "collaboratorId",
+    "invitationId",
+    "workspaceId",
+    "memberId",
+  ]) {
+    app.param(name, validateIdParam);
+  }
+
+  // list published blogs, no auth required
+  app.get("/public/blogs", async (req, res, next) => {
+    try {
+      const page = assertValid(parsePageParams(req.query, PUBLIC_BLOG_SORTS, "newest"));
+      const filters = assertValid(parseTaxonomyFilters(req.query));
+
+      const query = applyTaxonomyFilters(
+        supabase
+          .from("blogs")
+          .select(PUBLIC_BLOG_FIELDS)
+          .eq("status", "published")
+          .is("deleted_at", null)
+          .is("archived_at", null),
+        filters
+      );
+
+      res.json(await fetchPage(query, page));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // read a single published blog by slug, no auth required
+  app.get("/public/blogs/:slug", async (req, res, next) => {
+    try {
+      const { data, error } = await supabase
+        .from("blogs")
+        .select(`${PUBLIC_BLOG_FIELDS}, user_id`)
+        .eq("slug", req.params.slug)
+        .eq("status", "published")
+        .is("deleted_at", null)
+        .is("archived_at", null)
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      if (!data) {
+        throw notFound("Blog not found.");
+      }
+
+      const { user_id: authorId, ...post } = data;
+      const { data: author, error: authorError } = await supabase
+        .from("profiles")
+        .select("username, display_name, bio, avatar_url, social_links")
+        .eq("id", authorId)
+        .maybeSingle();
+
+      if (authorError) {
+        throw authorError;
+      }
+
+      // authors without a username have no public page to link to
+      res.json({
+        ...post,
+        author: author?.username ? serializePublicProfile(author) : null,
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // public author page header, no auth required
+  app.get("/public/authors/:username", async (req, res, next) => {
+    try {
+      const profile = await findProfileByUsername(req.params.username);
+      if (!profile) {
+        throw notFound("Author not found.");
+      }
+
+      res.json(serializePublicProfile(profile));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // an author's published blogs, paginated like /public/blogs
+  app.get("/public/authors/:username/blogs", async (req, res, next) => {
+    try {
+      const page = assertValid(parsePageParams(req.query, PUBLIC_BLOG_SORTS, "newest"));
+      const filters = assertValid(parseTaxonomyFilters(req.query));
+
+      const profile = await findProfileByUsername(req.params.username);
+      if (!profile) {
+        throw notFound("Author not found.");
+      }
+
+      const query = applyTaxonomyFilters(
+        supabase
+          .from("blogs")
+          .select(PUBLIC_BLOG_FIELDS)
+          .eq("user_id", profile.id)
+          .eq("status", "published")
+          .is("deleted_at", null)
+          .is("archived_at", null),
+        filters
+      );
+
+      res.json(await fetchPage(query, page));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // an author's latest published blogs as RSS 2.0, Atom or JSON Feed, no auth required
+  app.get("/feeds/:userId/:format", async (req, res, next) => {
+    try {
+      const { userId, format } = req.params;
+      if (!FEED_FORMATS[format] || !UUID_PATTERN.test(userId)) {
+        throw notFound("Feed not found.");
+      }
+
+      const { data: profile, error: profileError } = await supabase
+        .from("profiles")
+        .select("id, feed_enabled, username, display_name, bio")
+        .eq("id", userId)
+        .maybeSingle();
+
+      if (profileError) {
+        throw profileError;
+      }
+
+      if (!profile || !profile.feed_enabled) {
+        throw notFound("Feed not found.");
+      }
+
+      const { data, error } = await supabase
+        .from("blogs")
+        .select(FEED_FIELDS)
+        .eq("user_id", profile.id)
+        .eq("status", "published")
+        .is("deleted_at", null)
+        .is("archived_at", null)
+        .order("published_at", { ascending: false })
+        .limit(FEED_ITEM_LIMIT);
+
+      if (error) {
+        throw error;
+      }
+
+      const items = toFeedItems(data || [], {
+        siteUrl: frontendUrl,
+        authority: new URL(frontendUrl).host,
+      });
+      const feedBaseUrl = `${req.protocol}://${req.get("host")}/feeds/${profile.id}`;
+
+      const authorName = getAuthorName(profile, null);
+      const feed = renderFeed(format, {
+        id: `${feedBaseUrl}/atom`,
+        title: `Posts by ${authorName}`,
+        description: profile.bio || `Latest published posts by ${authorName}`,
+        author: authorName,
+        siteUrl: profile.username ? `${frontendUrl}/@${profile.username}` : frontendUrl,
+        feedUrls: {
+          rss: `${feedBaseUrl}/rss`,
+          atom: `${feedBaseUrl}/atom`,
+          json: `${feedBaseUrl}/json`,
+        },
+        // an empty feed has no post to date it by; a fixed date keeps its
+        // validators stable so readers still get 304s
+        updated: new Date(
+          Math.max(0, ...items.map((item) => item.updated.getTime()))
+        ),
+        items,
+      });
+
+      res.set({
+        "Content-Type": feed.contentType,
+        "Cache-Control": "public, max-age=300",
+        ETag: feed.etag,
+        "Last-Modified": feed.lastModified.toUTCString(),
+      });
+
+      // If-None-Match / If-Modified-Since from feed readers
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+
+      res.send(feed.body);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // available plans, no auth required
+  app.get("/plans", async (req, res, next) => {
+    try {
+      const planList = await plans.listPlans();
+      res.json(planList.map(serializePlan));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // profile & plan info
+  app.get("/profile", requireAuth, async (req, res, next) => {
+    try {
+      const profile = await getProfile(req);
+      const plan = serializePlan(await plans.getPlan(profile.plan));
+      const blogCount = await getBlogCount({ userId: req.user.id });
+      const storageUsed = await getStorageUsed(req.user.id);
+      const archivedCount = await getArchivedCount({ userId: req.user.id });
+
+      res.json({
+        plan: profile.plan,
+        planName: plan.name,
+        features: plan.features,
+        blogCount,
+        archivedCount,
+        maxBlogs: plan.maxBlogs,
+        storageUsed,
+        maxStorage: plan.maxStorage,
+        subscriptionStatus: profile.subscription_status || null,
+        currentPeriodEnd: profile.current_period_end || null,
+        cancelAtPeriodEnd: Boolean(profile.cancel_at_period_end),
+        gracePeriodEndsAt: profile.grace_period_ends_at || null,
+        feedEnabled: Boolean(profile.feed_enabled),
+        ...serializeProfileSettings(profile),
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  const usernameTaken = () =>
+    new ApiError(409, "username_taken", "That username is taken.");
+
+  // edit public profile fields (username, display_name, bio, avatar_url, social_links)
+  app.put("/profile", requireAuth, async (req, res, next) => {
+    try {
+      const { updates } = assertValid(parseProfileUpdate(req.body || {}), "body");
+
+      const profile = await getProfile(req);
+
+      if (updates.username && updates.username !== profile.username) {
+        const owner = await findProfileByUsername(updates.username);
+        if (owner && owner.id !== profile.id) {
+          throw usernameTaken();
+        }
+      }
+
+      const { data, error } = await supabase
+        .from("profiles")
+        .update(updates)
+        .eq("id", req.user.id)
+        .select()
+        .single();
+      invalidateProfile(req.user.id);
+
+      // unique index on username lost a race with another signup
+      if (error?.code === "23505") {
+        throw usernameTaken();
+      }
+
+      if (error) {
+        throw error;
+      }
+
+      res.json(serializeProfileSettings(data));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // opt in or out of RSS/Atom/JSON feeds
+  app.put("/profile/syndication", requireAuth, validate(syndicationSchema), async (req, res, next) => {
+    try {
+      const { enabled } = req.valid.body;
+      await getProfile(req);
+
+      const { error } = await supabase
+        .from("profiles")
+        .update({ feed_enabled: enabled })
+        .eq("id", req.user.id);
+      invalidateProfile(req.user.id);
+
+      if (error) {
+        throw error;
+      }
+
+      res.json({ feedEnabled: enabled });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // server-sent events for changes to the user's blogs and profile, from any tab or device
+  app.get("/events", requireAuth, (req, res) => {
+    openEventStream(res, (listener) => events.subscribe(req.user.id, listener));
+  });
+
+  // get data
+  app.get("/blogs", requireAuth, validate(searchSchema), async (req, res, next) => {
+    try {
+      const page = assertValid(parsePageParams(req.query, BLOG_SORTS, DEFAULT_BLOG_SORT));
+      const filters = assertValid(parseTaxonomyFilters(req.query));
+
+      await getProfile(req);
+      const workspaceId = req.valid.query.workspace;
+      const member = workspaceId
+        ? (await requireWorkspaceMember(workspaceId, req.user.id)).member
+        : null;
+      const sharedBlogs = member ? new Map() : await getSharedBlogs(req.user.id);
+
+      const blogs = supabase.from("blogs").select(BLOG_FIELDS);
+      let query = applyTaxonomyFilters(
+        (member ? inScope(blogs, { workspaceId }) : visibleTo(blogs, req.user.id, sharedBlogs)).is(
+          "deleted_at",
+          null
+        ),
+        filters
+      );
+
+      const search = req.valid.query.q;
+      if (search) {
+        query = query.textSearch("search_vector", search, {
+          type: "websearch",
+          config: "english",
+        });
+      }
+
+      // each blog says whether the user owns it or what they may do with it;
+      // collaborator_id lets a co-author leave the blog
+      const result = await fetchPage(query, page);
+      res.json({
+        ...result,
+        items: result.items.map((blog) => {
+          if (member) {
+            return {
+              ...blog,
+              role: blog.user_id === req.user.id ? "owner" : workspaceBlogRole(member.role),
+              collaborator_id: null,
+            };
+          }
+
+          const share = sharedBlogs.get(String(blog.id));
+          return {
+            ...blog,
+            role: share ? share.role : "owner",
+            collaborator_id: share ? share.id : null,
+          };
+        }),
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // tags & categories in use, for the list filters
+  app.get("/taxonomy", requireAuth, validate(taxonomySchema), async (req, res, next) => {
+    try {
+      const workspaceId = req.valid.query.workspace;
+      const blogs = supabase.from("blogs").select("tags, category");
+
+      let query;
+      if (workspaceId) {
+        await requireWorkspaceMember(workspaceId, req.user.id);
+        query = inScope(blogs, { workspaceId });
+      } else {
+        query = visibleTo(blogs, req.user.id, await getSharedBlogs(req.user.id));
+      }
+
+      const { data, error } = await query.is("deleted_at", null);
+
+      if (error) {
+        throw error;
+      }
+
+      res.json(summarizeTaxonomy(data || []));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // add data
+  app.post("/blogs", requireAuth, validate(createBlogSchema), async (req, res, next) => {
+    try {
+      const {
+        title,
+        content,
+        status,
+        tags,
+        category,
+        publish_at: publishAt,
+        workspace_id: workspaceId,
+      } = req.valid.body;
+
+      if (publishAt && status === "published") {
+        throw invalidField("publish_at", "A scheduled blog must be saved as a draft.");
+      }
+
+      // a workspace blog counts towards the workspace's plan instead of the author's
+      const profile = await getProfile(req);
+      const workspace = workspaceId
+        ? (await requireWorkspaceMember(workspaceId, req.user.id, "write")).workspace
+        : null;
+      const scope = workspace ? { workspaceId: workspace.id } : { userId: req.user.id };
+      const plan = workspace ? workspace.plan : profile.plan;
+
+      if (publishAt && !(await plans.hasFeature(plan, "scheduling"))) {
+        throw schedulingUnavailable();
+      }
+
+      const blogCount = await getBlogCount(scope);
+      const planLimit = await getPlanLimit(plan);
+
+      if (blogCount >= planLimit) {
+        throw planLimitReached(
+          workspace
+            ? `Plan limit reached. Upgrade the workspace to add more than ${planLimit} blogs.`
+            : `Plan limit reached. Upgrade to add more than ${planLimit} blogs.`
+        );
+      }
+
+      const slug = await generateUniqueSlug(title);
+
+      const { data, error } = await supabase
+        .from("blogs")
+        .insert({
+          title,
+          content,
+          content_html: renderMarkdown(content),
+          status,
+          slug,
+          tags,
+          category,
+          published_at: status === "published" ? new Date().toISOString() : null,
+          publish_at: publishAt || null,
+          user_id: req.user.id,
+          workspace_id: workspace ? workspace.id : null,
+        })
+        .select(BLOG_FIELDS)
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      await clearDraft(req.user.id, NEW_DRAFT_KEY);
+      // concurrent creates can both pass the limit check
+      await syncArchivedBlogs(scope, plan);
+      await publishBlogEvent(data, "blog.created", { blog: data });
+
+      res.json(data);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // update data
+  app.put("/blogs/:id", requireAuth, validate(updateBlogSchema), async (req, res, next) => {
+    try {
+      const blogId = req.params.id;
+      const { title, content, version, tags, category, publish_at: publishAt } = req.valid.body;
+
+      const { blog: existing } = await requireBlogAccess(blogId, req.user.id, "edit");
+
+      if (existing.archived_at) {
+        throw blogArchived();
+      }
+
+      // clients send the version they last saw so stale writes can't clobber newer ones
+      if (version !== undefined && version !== existing.version) {
+        throw versionConflict(existing);
+      }
+
+      const status = req.valid.body.status ?? existing.status;
+
+      const now = new Date().toISOString();
+      const updates = {
+        title,
+        content,
+        content_html: renderMarkdown(content),
+        status,
+        version: existing.version + 1,
+        updated_at: now,
+      };
+
+      if (tags !== undefined) {
+        updates.tags = tags;
+      }
+
+      if (category !== undefined) {
+        updates.category = category;
+      }
+
+      if (publishAt) {
+        if (status === "published") {
+          throw invalidField("publish_at", "Unpublish the blog before scheduling it.");
+        }
+
+        // co-authors schedule under the owner's (or the workspace's) plan
+        const plan = await getScopePlan(blogScope(existing));
+        if (!(await plans.hasFeature(plan, "scheduling"))) {
+          throw schedulingUnavailable();
+        }
+      }
+
+      // publishing right away replaces any schedule
+      if (publishAt !== undefined || status === "published") {
+        updates.publish_at = publishAt || null;
+      }
+
+      if (status === "published" && !existing.published_at) {
+        updates.published_at = now;
+      }
+
+      // slugs stay stable once a post has been public so shared links keep working
+      if (!existing.published_at && title !== existing.title) {
+        updates.slug = await generateUniqueSlug(title, blogId);
+      }
+
+      const { data, error } = await supabase
+        .from("blogs")
+        .update(updates)
+        .eq("id", blogId)
+        .eq("version", existing.version)
+        .select(BLOG_FIELDS)
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      // another write landed between our read and update
+      if (!data) {
+        const current = await findBlogAccess(blogId, req.user.id);
+        if (!current) {
+          throw notFound("Blog not found.");
+        }
+        throw versionConflict(current.blog);
+      }
+
+      // only edits that actually landed leave a revision behind
+      await saveRevision(existing, req.user.id);
+      await clearDraft(req.user.id, blogId);
+      await publishBlogEvent(data, "blog.updated", { blog: data });
+
+      res.json(data);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // revision history of a blog, newest first
+  app.get("/blogs/:id/revisions", requireAuth, async (req, res, next) => {
+    try {
+      const { blog } = await requireBlogAccess(req.params.id, req.user.id, "read");
+
+      const { data, error } = await supabase
+        .from("blog_revisions")
+        .select(REVISION_SUMMARY_FIELDS)
+        .eq("blog_id", blog.id)
+        .order("created_at", { ascending: false });
+
+      if (error) {
+        throw error;
+      }
+
+      res.json(data || []);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // a single revision with its full content
+  app.get("/blogs/:id/revisions/:revisionId", requireAuth, async (req, res, next) => {
+    try {
+      const { blog } = await requireBlogAccess(req.params.id, req.user.id, "read");
+
+      const { data, error } = await supabase
+        .from("blog_revisions")
+        .select("*")
+        .eq("id", req.params.revisionId)
+        .eq("blog_id", blog.id)
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      if (!data) {
+        throw notFound("Revision not found.");
+      }
+
+      res.json(data);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // roll a blog back to a revision; the current version is kept as a revision too
+  app.post(
+    "/blogs/:id/revisions/:revisionId/restore",
+    requireAuth,
+    validate(restoreRevisionSchema),
+    async (req, res, next) => {
+      try {
+        const { version } = req.valid.body;
+        const { blog } = await requireBlogAccess(req.params.id, req.user.id, "edit");
+
+        if (blog.archived_at) {
+          throw blogArchived();
+        }
+
+        if (version !== undefined && version !== blog.version) {
+          throw versionConflict(blog);
+        }
+
+        const { data: revision, error: revisionError } = await supabase
+          .from("blog_revisions")
+          .select("*")
+          .eq("id", req.params.revisionId)
+          .eq("blog_id", blog.id)
+          .maybeSingle();
+
+        if (revisionError) {
+          throw revisionError;
+        }
+
+        if (!revision) {
+          throw notFound("Revision not found.");
+        }
+
+        const updates = {
+          title: revision.title,
+          content: revision.content,
+          content_html: renderMarkdown(revision.content),
+          tags: revision.tags || [],
+          category: revision.category,
+          version: blog.version + 1,
+          updated_at: new Date().toISOString(),
+        };
+
+        if (!blog.published_at && revision.title !== blog.title) {
+          updates.slug = await generateUniqueSlug(revision.title, blog.id);
+        }
+
+        const { data, error } = await supabase
+          .from("blogs")
+          .update(updates)
+          .eq("id", blog.id)
+          .eq("version", blog.version)
+          .select(BLOG_FIELDS)
+          .maybeSingle();
+
+        if (error) {
+          throw error;
+        }
+
+        // another write landed between our read and update
+        if (!data) {
+          const current = await findBlogAccess(blog.id, req.user.id);
+          if (!current) {
+            throw notFound("Blog not found.");
+          }
+          throw versionConflict(current.blog);
+        }
+
+        await saveRevision(blog, req.user.id);
+        await clearDraft(req.user.id, blog.id);
+        await publishBlogEvent(data, "blog.updated", { blog: data });
+        res.json(data);
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  // draft_key is "new" for the create form or the id of a blog the user can edit
+  const resolveDraftKey = async (draftKey, userId) => {
+    if (draftKey === NEW_DRAFT_KEY) {
+      return true;
+    }
+    const access = await findBlogAccess(draftKey, userId);
+    return Boolean(access && can(access.role, "edit"));
+  };
+
+  // autosaved draft for the create form or a blog being edited
+  app.get("/drafts/:key", requireAuth, validate(draftKeySchema), async (req, res, next) => {
+    try {
+      if (!(await resolveDraftKey(req.params.key, req.user.id))) {
+        throw notFound("Blog not found.");
+      }
+
+      const { data, error } = await supabase
+        .from("blog_drafts")
+        .select("*")
+        .eq("user_id", req.user.id)
+        .eq("draft_key", req.params.key)
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      if (!data) {
+        throw notFound("No saved draft.");
+      }
+
+      res.json(data);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // autosave; overwrites whatever draft was stored for this key
+  app.put("/drafts/:key", requireAuth, validate(saveDraftSchema), async (req, res, next) => {
+    try {
+      const {
+        title = "",
+        content = "",
+        tags,
+        category,
+        base_version: baseVersion = null,
+      } = req.valid.body;
+
+      if (!(await resolveDraftKey(req.params.key, req.user.id))) {
+        throw notFound("Blog not found.");
+      }
+
+      const { data, error } = await supabase
+        .from("blog_drafts")
+        .upsert(
+          {
+            user_id: req.user.id,
+            draft_key: req.params.key,
+            title,
+            content,
+            tags,
+            category,
+            base_version: baseVersion,
+            updated_at: new Date().toISOString(),
+          },
+          { onConflict: "user_id,draft_key" }
+        )
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      res.json(data);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.delete("/drafts/:key", requireAuth, validate(draftKeySchema), async (req, res, next) => {
+    try {
+      await clearDraft(req.user.id, req.params.key);
+      res.json({ message: "Draft discarded." });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // delete data (moves the blog to the trash)
+  app.delete("/blogs/:id", requireAuth, async (req, res, next) => {
+    try {
+      const blogId = req.params.id;
+      await requireBlogAccess(blogId, req.user.id, "delete");
+
+      const { data, error } = await supabase
+        .from("blogs")
+        .update({ deleted_at: new Date().toISOString() })
+        .eq("id", blogId)
+        .is("deleted_at", null)
+        .select(BLOG_FIELDS)
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      if (!data) {
+        throw notFound("Blog not found.");
+      }
+
+      await publishBlogEvent(data, "blog.deleted", { id: data.id });
+
+      // freeing a slot may bring an archived blog back
+      const scope = blogScope(data);
+      await syncArchivedBlogs(scope, await getScopePlan(scope));
+
+      res.json({ message: "Blog moved to trash.", blog: data });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  const withPurgeDate = (blog) => ({
+    ...blog,
+    purge_at: new Date(
+      new Date(blog.deleted_at).getTime() + TRASH_RETENTION_DAYS * DAY_MS
+    ).toISOString(),
+  });
+
+  /**
+   * Trashed blogs follow the delete rule of live ones: the author, or a
+   * workspace owner or admin for a workspace blog. Authors who left the
+   * workspace lose access to its trash along with its blogs.
+   */
+  const requireTrashedBlog = async (blogId, userId) => {
+    const { data: blog, error } = await supabase
+      .from("blogs")
+      .select(BLOG_FIELDS)
+      .eq("id", blogId)
+      .not("deleted_at", "is", null)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    const role = blog ? await findOwnRole(blog, userId) : null;
+    if (!role) {
+      throw notFound("Blog not found in trash.");
+    }
+
+    if (!can(role, "delete")) {
+      throw forbidden(PERMISSION_DENIED.delete);
+    }
+
+    return blog;
+  };
+
+  // trashed blogs, most recently deleted first; ?workspace= lists a workspace's
+  // (all of them for owners and admins, a writer's own otherwise)
+  app.get("/trash", requireAuth, validate(trashSchema), async (req, res, next) => {
+    try {
+      const workspaceId = req.valid.query.workspace;
+      let query = supabase.from("blogs").select(BLOG_FIELDS);
+
+      if (workspaceId) {
+        const { member } = await requireWorkspaceMember(workspaceId, req.user.id);
+        query = inScope(query, { workspaceId });
+        if (!canInWorkspace(member.role, "manage")) {
+          query = query.eq("user_id", req.user.id);
+        }
+      } else {
+        query = inScope(query, { userId: req.user.id });
+      }
+
+      const { data, error } = await query
+        .not("deleted_at", "is", null)
+        .order("deleted_at", { ascending: false });
+
+      if (error) {
+        throw error;
+      }
+
+      res.json((data || []).map(withPurgeDate));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // take a blog back out of the trash
+  app.post("/trash/:id/restore", requireAuth, async (req, res, next) => {
+    try {
+      const trashed = await requireTrashedBlog(req.params.id, req.user.id);
+
+      const scope = blogScope(trashed);
+      const plan = await getScopePlan(scope);
+      const blogCount = await getBlogCount(scope);
+      const planLimit = await getPlanLimit(plan);
+
+      if (blogCount >= planLimit) {
+        throw planLimitReached(
+          `Plan limit reached. You can have at most ${planLimit} blogs, delete one or upgrade before restoring.`
+        );
+      }
+
+      const { data, error } = await supabase
+        .from("blogs")
+        .update({ deleted_at: null })
+        .eq("id", trashed.id)
+        .not("deleted_at", "is", null)
+        .select(BLOG_FIELDS)
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      if (!data) {
+        throw notFound("Blog not found in trash.");
+      }
+
+      await syncArchivedBlogs(scope, plan);
+      await publishBlogEvent(data, "blogs.changed");
+      res.json(data);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // permanently delete a trashed blog
+  app.delete("/trash/:id", requireAuth, async (req, res, next) => {
+    try {
+      const trashed = await requireTrashedBlog(req.params.id, req.user.id);
+
+      const { data, error } = await supabase
+        .from("blogs")
+        .delete()
+        .eq("id", trashed.id)
+        .not("deleted_at", "is", null)
+        .select("id")
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      if (!data) {
+        throw notFound("Blog not found in trash.");
+      }
+
+      await publishBlogEvent(trashed, "blogs.changed");
+      res.json({ message: "Blog deleted permanently." });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  const alreadyInvited = () =>
+    new ApiError(409, "already_invited", "That person has already been invited to this blog.");
+
+  const findCollaborator = async (blogId, collaboratorId) => {
+    const { data, error } = await supabase
+      .from("blog_collaborators")
+      .select("*")
+      .eq("id", collaboratorId)
+      .eq("blog_id", blogId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  };
+
+  // co-authors and invitations of a blog, for its owner's sharing dialog
+  app.get("/blogs/:id/collaborators", requireAuth, async (req, res, next) => {
+    try {
+      const { blog } = await requireBlogAccess(req.params.id, req.user.id, "share");
+
+      const { data, error } = await supabase
+        .from("blog_collaborators")
+        .select("*")
+        .eq("blog_id", blog.id)
+        .order("created_at", { ascending: true });
+
+      if (error) {
+        throw error;
+      }
+
+      res.json((data || []).map(serializeCollaborator));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // invite someone by email as an editor or viewer; they accept from their own account
+  app.post("/blogs/:id/collaborators", requireAuth, validate(inviteSchema), async (req, res, next) => {
+    try {
+      const { blog } = await requireBlogAccess(req.params.id, req.user.id, "share");
+      const { email, role } = req.valid.body;
+
+      if (email === (req.user.email || "").toLowerCase()) {
+        throw invalidField("email", "You can't invite yourself to your own blog.");
+      }
+
+      const { data: existing, error: existingError } = await supabase
+        .from("blog_collaborators")
+        .select("*")
+        .eq("blog_id", blog.id)
+        .eq("email", email)
+        .maybeSingle();
+
+      if (existingError) {
+        throw existingError;
+      }
+
+      // only a declined invitation can be sent again
+      if (existing && existing.status !== "declined") {
+        throw alreadyInvited();
+      }
+
+      const invitation = {
+        role,
+        status: "pending",
+        user_id: null,
+        invited_by: req.user.id,
+        responded_at: null,
+      };
+      const { data, error } = existing
+        ? await supabase
+            .from("blog_collaborators")
+            .update(invitation)
+            .eq("id", existing.id)
+            .select()
+            .single()
+        : await supabase
+            .from("blog_collaborators")
+            .insert({ ...invitation, blog_id: blog.id, email })
+            .select()
+            .single();
+
+      // the unique (blog_id, email) index lost a race with the same invitation
+      if (error?.code === "23505") {
+        throw alreadyInvited();
+      }
+
+      if (error) {
+        throw error;
+      }
+
+      res.json(serializeCollaborator(data));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // switch a co-author between editor and viewer
+  app.put(
+    "/blogs/:id/collaborators/:collaboratorId",
+    requireAuth,
+    validate(collaboratorRoleSchema),
+    async (req, res, next) => {
+      try {
+        const { blog } = await requireBlogAccess(req.params.id, req.user.id, "share");
+        const collaborator = await findCollaborator(blog.id, req.params.collaboratorId);
+        if (!collaborator) {
+          throw notFound("Collaborator not found.");
+        }
+
+        const { data, error } = await supabase
+          .from("blog_collaborators")
+          .update({ role: req.valid.body.role })
+          .eq("id", collaborator.id)
+          .select()
+          .single();
+
+        if (error) {
+          throw error;
+        }
+
+        if (data.user_id) {
+          events.publish(data.user_id, "blogs.changed");
+        }
+
+        res.json(serializeCollaborator(data));
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  // the owner removes a co-author or withdraws an invitation; co-authors can remove themselves
+  app.delete("/blogs/:id/collaborators/:collaboratorId", requireAuth, async (req, res, next) => {
+    try {
+      const { blog, role } = await requireBlogAccess(req.params.id, req.user.id, "read");
+      const collaborator = await findCollaborator(blog.id, req.params.collaboratorId);
+      if (!collaborator) {
+        throw notFound("Collaborator not found.");
+      }
+
+      if (!can(role, "share") && collaborator.user_id !== req.user.id) {
+        throw forbidden("Only the blog's owner can remove co-authors.");
+      }
+
+      const { error } = await supabase
+        .from("blog_collaborators")
+        .delete()
+        .eq("id", collaborator.id);
+
+      if (error) {
+        throw error;
+      }
+
+      // the blog drops out of the former co-author's list
+      if (collaborator.user_id) {
+        events.publish(collaborator.user_id, "blog.deleted", { id: blog.id });
+      }
+
+      res.json({ message: "Collaborator removed." });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // a pending invitation addressed to the user's email
+  const findInvitation = async (invitationId, user) => {
+    const { data, error } = await supabase
+      .from("blog_collaborators")
+      .select("*")
+      .eq("id", invitationId)
+      .eq("email", (user.email || "").toLowerCase())
+      .eq("status", "pending")
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  };
+
+  // invitations waiting for the user, newest first; ones for trashed blogs are left out
+  app.get("/invitations", requireAuth, async (req, res, next) => {
+    try {
+      const { data, error } = await supabase
+        .from("blog_collaborators")
+        .select("*")
+        .eq("email", (req.user.email || "").toLowerCase())
+        .eq("status", "pending")
+        .order("created_at", { ascending: false });
+
+      if (error) {
+        throw error;
+      }
+
+      const rows = data || [];
+      if (!rows.length) {
+        return res.json([]);
+      }
+
+      const { data: blogs, error: blogsError } = await supabase
+        .from("blogs")
+        .select("id, title")
+        .in("id", rows.map((row) => row.blog_id))
+        .is("deleted_at", null);
+
+      if (blogsError) {
+        throw blogsError;
+      }
+
+      const { data: inviters, error: invitersError } = await supabase
+        .from("profiles")
+        .select("id, display_name, username")
+        .in("id", [...new Set(rows.map((row) => row.invited_by))]);
+
+      if (invitersError) {
+        throw invitersError;
+      }
+
+      const blogsById = new Map((blogs || []).map((blog) => [String(blog.id), blog]));
+      const invitersById = new Map((inviters || []).map((profile) => [profile.id, profile]));
+
+      res.json(
+        rows
+          .filter((row) => blogsById.has(String(row.blog_id)))
+          .map((row) =>
+            serializeInvitation(
+              row,
+              blogsById.get(String(row.blog_id)),
+              invitersById.get(row.invited_by)
+            )
+          )
+      );
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  const respondToInvitation = (status) => async (req, res, next) => {
+    try {
+      const invitation = await findInvitation(req.params.invitationId, req.user);
+      if (!invitation) {
+        throw notFound("Invitation not found.");
+      }
+
+      const { data, error } = await supabase
+        .from("blog_collaborators")
+        .update({
+          status,
+          user_id: status === "accepted" ? req.user.id : null,
+          responded_at: new Date().toISOString(),
+        })
+        .eq("id", invitation.id)
+        .eq("status", "pending")
+        .select()
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      // answered in another tab in the meantime
+      if (!data) {
+        throw notFound("Invitation not found.");
+      }
+
+      if (status === "accepted") {
+        events.publish(req.user.id, "blogs.changed");
+      }
+
+      res.json(serializeCollaborator(data));
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  app.post("/invitations/:invitationId/accept", requireAuth, respondToInvitation("accepted"));
+  app.post("/invitations/:invitationId/decline", requireAuth, respondToInvitation("declined"));
+
+  // a workspace with its plan, usage and seats, as `member` sees it
+  const describeWorkspace = async (workspace, member) => {
+    const scope = { workspaceId: workspace.id };
+    return serializeWorkspace(workspace, member, {
+      plan: serializePlan(await plans.getPlan(workspace.plan)),
+      blogCount: await getBlogCount(scope),
+      archivedCount: await getArchivedCount(scope),
+      seats: (await getWorkspaceMemberIds(workspace.id)).length,
+    });
+  };
+
+  // workspaces the user is a member of, in the order they joined
+  app.get("/workspaces", requireAuth, async (req, res, next) => {
+    try {
+      const { data: memberships, error } = await supabase
+        .from("workspace_members")
+        .select("*")
+        .eq("user_id", req.user.id)
+        .eq("status", "accepted")
+        .order("created_at", { ascending: true });
+
+      if (error) {
+        throw error;
+      }
+
+      if (!memberships?.length) {
+        return res.json([]);
+      }
+
+      const { data: workspaces, error: workspacesError } = await supabase
+        .from("workspaces")
+        .select("*")
+        .in("id", memberships.map((member) => member.workspace_id));
+
+      if (workspacesError) {
+        throw workspacesError;
+      }
+
+      const workspacesById = new Map(
+        (workspaces || []).map((workspace) => [String(workspace.id), workspace])
+      );
+      const result = [];
+      for (const member of memberships) {
+        const workspace = workspacesById.get(String(member.workspace_id));
+        if (workspace) {
+          result.push(await describeWorkspace(workspace, member));
+        }
+      }
+
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // the creator becomes the workspace's owner and first seat; new workspaces start on the default plan
+  app.post("/workspaces", requireAuth, validate(workspaceSchema), async (req, res, next) => {
+    try {
+      const { data: workspace, error } = await supabase
+        .from("workspaces")
+        .insert({ name: req.valid.body.name, plan: DEFAULT_PLAN, created_by: req.user.id })
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      const { data: member, error: memberError } = await supabase
+        .from("workspace_members")
+        .insert({
+          workspace_id: workspace.id,
+          email: (req.user.email || "").toLowerCase(),
+          user_id: req.user.id,
+          role: "owner",
+          status: "accepted",
+          invited_by: req.user.id,
+          responded_at: new Date().toISOString(),
+        })
+        .select()
+        .single();
+
+      if (memberError) {
+        throw memberError;
+      }
+
+      events.publish(req.user.id, "workspaces.changed");
+      res.json(await describeWorkspace(workspace, member));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // rename a workspace
+  app.put("/workspaces/:workspaceId", requireAuth, validate(workspaceSchema), async (req, res, next) => {
+    try {
+      const { workspace, member } = await requireWorkspaceMember(
+        req.params.workspaceId,
+        req.user.id,
+        "manage"
+      );
+
+      const { data, error } = await supabase
+        .from("workspaces")
+        .update({ name: req.valid.body.name })
+        .eq("id", workspace.id)
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      await publishWorkspaceEvent(workspace.id, "workspaces.changed");
+      res.json(await describeWorkspace(data, member));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  const alreadyMember = () =>
+    new ApiError(
+      409,
+      "already_invited",
+      "That person is already a member of this workspace or has been invited."
+    );
+
+  const findMember = async (workspaceId, memberId) => {
+    const { data, error } = await supabase
+      .from("workspace_members")
+      .select("*")
+      .eq("id", memberId)
+      .eq("workspace_id", workspaceId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  };
+
+  // members and pending invitations; every member can see who else is in the workspace
+  app.get("/workspaces/:workspaceId/members", requireAuth, async (req, res, next) => {
+    try {
+      const { workspace } = await requireWorkspaceMember(req.params.workspaceId, req.user.id);
+
+      const { data, error } = await supabase
+        .from("workspace_members")
+        .select("*")
+        .eq("workspace_id", workspace.id)
+        .order("created_at", { ascending: true });
+
+      if (error) {
+        throw error;
+      }
+
+      res.json((data || []).map(serializeMember));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // invite someone by email as an admin or writer; they take a seat once they accept
+  app.post(
+    "/workspaces/:workspaceId/members",
+    requireAuth,
+    validate(memberInviteSchema),
+    async (req, res, next) => {
+      try {
+        const { workspace } = await requireWorkspaceMember(
+          req.params.workspaceId,
+          req.user.id,
+          "manage"
+        );
+        const { email, role } = req.valid.body;
+
+        const { data: existing, error: existingError } = await supabase
+          .from("workspace_members")
+          .select("*")
+          .eq("workspace_id", workspace.id)
+          .eq("email", email)
+          .maybeSingle();
+
+        if (existingError) {
+          throw existingError;
+        }
+
+        // only a declined invitation can be sent again
+        if (existing && existing.status !== "declined") {
+          throw alreadyMember();
+        }
+
+        const invitation = {
+          role,
+          status: "pending",
+          user_id: null,
+          invited_by: req.user.id,
+          responded_at: null,
+        };
+        const { data, error } = existing
+          ? await supabase
+              .from("workspace_members")
+              .update(invitation)
+              .eq("id", existing.id)
+              .select()
+              .single()
+          : await supabase
+              .from("workspace_members")
+              .insert({ ...invitation, workspace_id: workspace.id, email })
+              .select()
+              .single();
+
+        // the unique (workspace_id, email) index lost a race with the same invitation
+        if (error?.code === "23505") {
+          throw alreadyMember();
+        }
+
+        if (error) {
+          throw error;
+        }
+
+        res.json(serializeMember(data));
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  const ownerIsFixed = () =>
+    forbidden("The workspace's owner can't be changed, removed or leave.");
+
+  // switch a member between admin and writer
+  app.put(
+    "/workspaces/:workspaceId/members/:memberId",
+    requireAuth,
+    validate(memberRoleSchema),
+    async (req, res, next) => {
+      try {
+        const { workspace } = await requireWorkspaceMember(
+          req.params.workspaceId,
+          req.user.id,
+          "manage"
+        );
+        const member = await findMember(workspace.id, req.params.memberId);
+        if (!member) {
+          throw notFound("Member not found.");
+        }
+
+        if (member.role === "owner") {
+          throw ownerIsFixed();
+        }
+
+        const { data, error } = await supabase
+          .from("workspace_members")
+          .update({ role: req.valid.body.role })
+          .eq("id", member.id)
+          .select()
+          .single();
+
+        if (error) {
+          throw error;
+        }
+
+        // what they may do with the workspace's blogs changed
+        if (data.user_id) {
+          events.publish(data.user_id, "workspaces.changed");
+        }
+
+        res.json(serializeMember(data));
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  // admins remove members or withdraw invitations; members can leave; either frees a seat
+  app.delete("/workspaces/:workspaceId/members/:memberId", requireAuth, async (req, res, next) => {
+    try {
+      const { workspace, member: self } = await requireWorkspaceMember(
+        req.params.workspaceId,
+        req.user.id
+      );
+      const member = await findMember(workspace.id, req.params.memberId);
+      if (!member) {
+        throw notFound("Member not found.");
+      }
+
+      if (member.id !== self.id && !canInWorkspace(self.role, "manage")) {
+        throw forbidden(WORKSPACE_PERMISSION_DENIED.manage);
+      }
+
+      if (member.role === "owner") {
+        throw ownerIsFixed();
+      }
+
+      const { error } = await supabase
+        .from("workspace_members")
+        .delete()
+        .eq("id", member.id);
+
+      if (error) {
+        throw error;
+      }
+
+      if (member.status === "accepted") {
+        await syncWorkspaceSeats(workspace.id);
+        await publishWorkspaceEvent(workspace.id, "workspaces.changed");
+        // the workspace and its blogs drop out of the former member's lists
+        events.publish(member.user_id, "workspaces.changed");
+      }
+
+      res.json({ message: "Member removed." });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // workspace invitations waiting for the user, newest first
+  app.get("/workspaces/invitations", requireAuth, async (req, res, next) => {
+    try {
+      const { data, error } = await supabase
+        .from("workspace_members")
+        .select("*")
+        .eq("email", (req.user.email || "").toLowerCase())
+        .eq("status", "pending")
+        .order("created_at", { ascending: false });
+
+      if (error) {
+        throw error;
+      }
+
+      const rows = data || [];
+      if (!rows.length) {
+        return res.json([]);
+      }
+
+      const { data: workspaces, error: workspacesError } = await supabase
+        .from("workspaces")
+        .select("id, name")
+        .in("id", rows.map((row) => row.workspace_id));
+
+      if (workspacesError) {
+        throw workspacesError;
+      }
+
+      const { data: inviters, error: invitersError } = await supabase
+        .from("profiles")
+        .select("id, display_name, username")
+        .in("id", [...new Set(rows.map((row) => row.invited_by))]);
+
+      if (invitersError) {
+        throw invitersError;
+      }
+
+      const workspacesById = new Map(
+        (workspaces || []).map((workspace) => [String(workspace.id), workspace])
+      );
+      const invitersById = new Map((inviters || []).map((profile) => [profile.id, profile]));
+
+      res.json(
+        rows.map((row) =>
+          serializeWorkspaceInvitation(
+            row,
+            workspacesById.get(String(row.workspace_id)),
+            invitersById.get(row.invited_by)
+          )
+        )
+      );
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  const respondToWorkspaceInvitation = (status) => async (req, res, next) => {
+    try {
+      const { data, error } = await supabase
+        .from("workspace_members")
+        .update({
+          status,
+          user_id: status === "accepted" ? req.user.id : null,
+          responded_at: new Date().toISOString(),
+        })
+        .eq("id", req.params.invitationId)
+        .eq("email", (req.user.email || "").toLowerCase())
+        .eq("status", "pending")
+        .select()
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      // not addressed to the user, or already answered
+      if (!data) {
+        throw notFound("Invitation not found.");
+      }
+
+      if (status === "accepted") {
+        await syncWorkspaceSeats(data.workspace_id);
+        await publishWorkspaceEvent(data.workspace_id, "workspaces.changed");
+      }
+
+      res.json(serializeMember(data));
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  app.post(
+    "/workspaces/invitations/:invitationId/accept",
+    requireAuth,
+    respondToWorkspaceInvitation("accepted")
+  );
+  app.post(
+    "/workspaces/invitations/:invitationId/decline",
+    requireAuth,
+    respondToWorkspaceInvitation("declined")
+  );
+
+  // a blog whose comments the user may see: any published blog, or one they own or co-author
+  const findCommentableBlog = async (blogId, user) => {
+    const { data, error } = await supabase
+      .from("blogs")
+      .select("id, user_id, status, comments_locked")
+      .eq("id", blogId)
+      .is("deleted_at", null)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!data) {
+      return null;
+    }
+
+    if (
+      data.status !== "published" &&
+      data.user_id !== user?.id &&
+      !(user && (await findBlogAccess(data.id, user.id)))
+    ) {
+      return null;
+    }
+
+    return data;
+  };
+
+  const findComment = async (blogId, commentId) => {
+    const { data, error } = await supabase
+      .from("comments")
+      .select("*")
+      .eq("id", commentId)
+      .eq("blog_id", blogId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  };
+
+  const getRecentCommentCount = async (userId) => {
+    const since = new Date(Date.now() - COMMENT_RATE_LIMIT.windowMs).toISOString();
+    const { count, error } = await supabase
+      .from("comments")
+      .select("*", { count: "exact", head: true })
+      .eq("user_id", userId)
+      .gte("created_at", since);
+
+    if (error) {
+      throw error;
+    }
+
+    return count || 0;
+  };
+
+  // threads of a blog, paginated by top-level comment
+  app.get("/blogs/:id/comments", optionalAuth, async (req, res, next) => {
+    try {
+      const page = assertValid(parsePageParams(req.query, COMMENT_SORTS, "oldest"));
+
+      const blog = await findCommentableBlog(req.params.id, req.user);
+      if (!blog) {
+        throw notFound("Blog not found.");
+      }
+
+      // hidden comments stay visible to the post author so they can be restored
+      const isPostAuthor = blog.user_id === req.user?.id;
+      const withVisibility = (query) =>
+        isPostAuthor ? query : query.neq("status", "hidden");
+
+      const rootsPage = await fetchPage(
+        withVisibility(
+          supabase.from("comments").select("*").eq("blog_id", blog.id).is("parent_id", null)
+        ),
+        page
+      );
+
+      let replies = [];
+      if (rootsPage.items.length) {
+        const { data, error } = await withVisibility(
+          supabase
+            .from("comments")
+            .select("*")
+            .in("root_id", rootsPage.items.map((comment) => comment.id))
+            .order("created_at", { ascending: true })
+        );
+
+        if (error) {
+          throw error;
+        }
+        replies = data || [];
+      }
+
+      res.json({
+        items: buildThreads(rootsPage.items, replies),
+        nextCursor: rootsPage.nextCursor,
+        locked: blog.comments_locked,
+        isPostAuthor,
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // a blog the user can see whose comments aren't locked; needed to write or edit comments
+  const requireOpenComments = async (blogId, user) => {
+    const blog = await findCommentableBlog(blogId, user);
+    if (!blog) {
+      throw notFound("Blog not found.");
+    }
+
+    if (blog.comments_locked) {
+      throw new ApiError(403, "comments_locked", "Comments are locked on this blog.");
+    }
+
+    return blog;
+  };
+
+  // post a comment or a reply (parent_id)
+  app.post("/blogs/:id/comments", requireAuth, validate(createCommentSchema), async (req, res, next) => {
+    try {
+      const { body, parent_id: parentId } = req.valid.body;
+
+      const blog = await requireOpenComments(req.params.id, req.user);
+
+      if ((await getRecentCommentCount(req.user.id)) >= COMMENT_RATE_LIMIT.max) {
+        res.set("Retry-After", String(COMMENT_RATE_LIMIT.windowMs / 1000));
+        throw new ApiError(429, "rate_limited", "You are commenting too fast. Try again in a minute.");
+      }
+
+      let parent = null;
+      if (parentId) {
+        parent = await findComment(blog.id, parentId);
+        if (!parent || parent.status !== "visible") {
+          throw notFound("The comment you replied to no longer exists.");
+        }
+        if (parent.depth + 1 > MAX_COMMENT_DEPTH) {
+          throw invalidField("parent_id", "This thread is too deep to reply to.");
+        }
+      }
+
+      const { data, error } = await supabase
+        .from("comments")
+        .insert({
+          blog_id: blog.id,
+          user_id: req.user.id,
+          parent_id: parent ? parent.id : null,
+          root_id: parent ? parent.root_id || parent.id : null,
+          depth: parent ? parent.depth + 1 : 0,
+          author_name: getAuthorName(await getProfile(req), req.user),
+          body,
+        })
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      res.json({ ...serializeComment(data), replies: [] });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // edit your own comment
+  app.put("/blogs/:id/comments/:commentId", requireAuth, validate(editCommentSchema), async (req, res, next) => {
+    try {
+      const blog = await requireOpenComments(req.params.id, req.user);
+
+      const comment = await findComment(blog.id, req.params.commentId);
+      if (!comment || comment.status === "deleted") {
+        throw notFound("Comment not found.");
+      }
+
+      if (comment.user_id !== req.user.id) {
+        throw forbidden("You can only edit your own comments.");
+      }
+
+      const { data, error } = await supabase
+        .from("comments")
+        .update({ body: req.valid.body.body, edited_at: new Date().toISOString() })
+        .eq("id", comment.id)
+        .select()
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      res.json(serializeComment(data));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // comment author or post author; comments with replies leave a placeholder behind
+  app.delete("/blogs/:id/comments/:commentId", requireAuth, async (req, res, next) => {
+    try {
+      const blog = await findCommentableBlog(req.params.id, req.user);
+      const comment = blog && (await findComment(blog.id, req.params.commentId));
+      if (!comment || comment.status === "deleted") {
+        throw notFound("Comment not found.");
+      }
+
+      if (comment.user_id !== req.user.id && blog.user_id !== req.user.id) {
+        throw forbidden("You cannot delete this comment.");
+      }
+
+      const { count, error: countError } = await supabase
+        .from("comments")
+        .select("*", { count: "exact", head: true })
+        .eq("parent_id", comment.id);
+
+      if (countError) {
+        throw countError;
+      }
+
+      const { error } = count
+        ? await supabase
+            .from("comments")
+            .update({ status: "deleted", body: "" })
+            .eq("id", comment.id)
+        : await supabase.from("comments").delete().eq("id", comment.id);
+
+      if (error) {
+        throw error;
+      }
+
+      res.json({ message: "Comment deleted." });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // post author hides or unhides a comment
+  app.put(
+    "/blogs/:id/comments/:commentId/visibility",
+    requireAuth,
+    validate(commentVisibilitySchema),
+    async (req, res, next) => {
+      try {
+        const blog = await findOwnBlog(req.params.id, req.user.id);
+        const comment = blog && (await findComment(blog.id, req.params.commentId));
+        if (!comment || comment.status === "deleted") {
+          throw notFound("Comment not found.");
+        }
+
+        const { data, error } = await supabase
+          .from("comments")
+          .update({ status: req.valid.body.hidden ? "hidden" : "visible" })
+          .eq("id", comment.id)
+          .select()
+          .single();
+
+        if (error) {
+          throw error;
+        }
+
+        res.json(serializeComment(data));
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  // post author locks or unlocks new comments
+  app.put("/blogs/:id/comment-lock", requireAuth, validate(commentLockSchema), async (req, res, next) => {
+    try {
+      const blog = await findOwnBlog(req.params.id, req.user.id);
+      if (!blog) {
+        throw notFound("Blog not found.");
+      }
+
+      const { data, error } = await supabase
+        .from("blogs")
+        .update({ comments_locked: req.valid.body.locked })
+        .eq("id", blog.id)
+        .select(BLOG_FIELDS)
+        .single();
+
+      if (error) {
+        throw error;
+      }
+
+      res.json(data);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // runs a multer middleware; an oversized file becomes a 413 with `tooLargeMessage`
+  const parseUpload = (upload, req, res, tooLargeMessage) =>
+    new Promise((resolve, reject) => {
+      upload(req, res, (error) => {
+        if (error instanceof multer.MulterError && error.code === "LIMIT_FILE_SIZE") {
+          return reject(new ApiError(413, "payload_too_large", tooLargeMessage));
+        }
+        return error ? reject(error) : resolve();
+      });
+    });
+
+  // upload an image (multipart field "file") for use in blog content
+  app.post("/uploads", requireAuth, async (req, res, next) => {
+    try {
+      await parseUpload(
+        uploadImage,
+        req,
+        res,
+        `Images must be smaller than ${MAX_UPLOAD_BYTES / MB} MB.`
+      );
+
+      if (!req.file) {
+        throw invalidField("file", "An image file is required.");
+      }
+
+      const processed = await processImage(req.file.buffer);
+      const sizeBytes = processed.image.length + processed.thumbnail.length;
+
+      const profile = await getProfile(req);
+      const storageUsed = await getStorageUsed(req.user.id);
+      const maxStorage = await getStorageLimit(profile.plan);
+
+      if (storageUsed + sizeBytes > maxStorage) {
+        throw new ApiError(
+          403,
+          "storage_quota_exceeded",
+          `Storage quota reached. Your plan includes ${Math.round(maxStorage / MB)} MB of images.`
+        );
+      }
+
+      const baseKey = `${req.user.id}/${randomUUID()}`;
+      const storageKey = `${baseKey}.${processed.extension}`;
+      const thumbnailKey = `${baseKey}_thumb.${processed.extension}`;
+
+      const url = await uploadStorage.put(storageKey, processed.image, processed.contentType);
+      const thumbnailUrl = await uploadStorage.put(
+        thumbnailKey,
+        processed.thumbnail,
+        processed.contentType
+      );
+
+      const { data, error } = await supabase
+        .from("uploads")
+        .insert({
+          user_id: req.user.id,
+          storage_key: storageKey,
+          thumbnail_key: thumbnailKey,
+          url,
+          thumbnail_url: thumbnailUrl,
+          content_type: processed.contentType,
+          original_name: req.file.originalname.slice(0, 255),
+          size_bytes: sizeBytes,
+          width: processed.width,
+          height: processed.height,
+        })
+        .select()
+        .single();
+
+      if (error) {
+        await uploadStorage.remove([storageKey, thumbnailKey]);
+        throw error;
+      }
+
+      res.json({ ...data, storageUsed: storageUsed + sizeBytes, maxStorage });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // the user's uploads with current quota usage
+  app.get("/uploads", requireAuth, async (req, res, next) => {
+    try {
+      const profile = await getProfile(req);
+
+      const { data, error } = await supabase
+        .from("uploads")
+        .select("*")
+        .eq("user_id", req.user.id)
+        .order("created_at", { ascending: false });
+
+      if (error) {
+        throw error;
+      }
+
+      const uploads = data || [];
+      res.json({
+        uploads,
+        storageUsed: uploads.reduce((total, row) => total + Number(row.size_bytes), 0),
+        maxStorage: await getStorageLimit(profile.plan),
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.delete("/uploads/:id", requireAuth, async (req, res, next) => {
+    try {
+      const { data, error } = await supabase
+        .from("uploads")
+        .delete()
+        .eq("id", req.params.id)
+        .eq("user_id", req.user.id)
+        .select()
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      if (!data) {
+        throw notFound("Upload not found.");
+      }
+
+      await uploadStorage.remove([data.storage_key, data.thumbnail_key]);
+
+      res.json({ message: "Upload deleted." });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // subscription summary for a profile or workspace row; both carry the same billing columns
+  const summarizeBilling = async (account) => {
+    const summary = {
+      plan: account.plan,
+      status: account.subscription_status || null,
+      interval: billingPrices.getInterval(account.stripe_price_id),
+      currentPeriodEnd: account.current_period_end || null,
+      cancelAtPeriodEnd: Boolean(account.cancel_at_period_end),
+      gracePeriodEndsAt: account.grace_period_ends_at || null,
+      canManage: Boolean(stripe && account.stripe_customer_id),
+      prices: [],
+      invoices: [],
+    };
+
+    if (!stripe) {
+      return summary;
+    }
+
+    summary.prices = await billingPrices.list();
+
+    if (account.stripe_customer_id) {
+      const invoices = await stripe.invoices.list({
+        customer: account.stripe_customer_id,
+        limit: INVOICE_HISTORY_LIMIT,
+      });
+      summary.invoices = invoices.data.map(serializeInvoice);
+    }
+
+    return summary;
+  };
+
+  app.get("/billing", requireAuth, async (req, res, next) => {
+    try {
+      const profile = await getProfile(req);
+      res.json(await summarizeBilling(profile));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // zip of every personal blog as Markdown with front matter, plus manifest.json;
+  // workspace blogs belong to the workspace and stay out of it
+  app.get("/export", requireAuth, async (req, res, next) => {
+    try {
+      const { data, error } = await inScope(
+        supabase.from("blogs").select(BLOG_FIELDS),
+        { userId: req.user.id }
+      )
+        .is("deleted_at", null)
+        .order("created_at", { ascending: true });
+
+      if (error) {
+        throw error;
+      }
+
+      const fileName = `blogs-export-${new Date().toISOString().slice(0, 10)}.zip`;
+      res.set({
+        "Content-Type": "application/zip",
+        "Content-Disposition": `attachment; filename="${fileName}"`,
+        // lets the frontend read the file name on a cross-origin request
+        "Access-Control-Expose-Headers": "Content-Disposition",
+      });
+
+      buildExportZip(data || [])
+        .generateNodeStream({ type: "nodebuffer", streamFiles: true, compression: "DEFLATE" })
+        .on("error", (streamError) => {
+          console.error("Error streaming export:", streamError.message);
+          res.destroy(streamError);
+        })
+        .pipe(res);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  const toImportedDate = (value) => {
+    const date = value ? new Date(value) : null;
+    return date && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+  };
+
+  // validates one parsed import item into a blogs row, or returns { error }
+  const prepareImportedBlog = (item) => {
+    if (typeof item.title !== "string" || !item.title.trim()) {
+      return { error: "Title is required." };
+    }
+
+    if (typeof item.content !== "string" || !item.content.trim()) {
+      return { error: "Content is required." };
+    }
+
+    if (item.title.trim().length > MAX_TITLE_LENGTH) {
+      return { error: `Title must be at most ${MAX_TITLE_LENGTH} characters.` };
+    }
+
+    if (item.content.length > MAX_CONTENT_LENGTH) {
+      return { error: "Post is too large to import." };
+    }
+
+    const status = item.status ?? DEFAULT_BLOG_STATUS;
+    if (!BLOG_STATUSES.includes(status)) {
+      return { error: "Status must be draft or published." };
+    }
+
+    const { tags, error: tagsError } = parseTags(item.tags ?? []);
+    if (tagsError) {
+      return { error: tagsError };
+    }
+
+    const { category, error: categoryError } = parseCategory(item.category);
+    if (categoryError) {
+      return { error: categoryError };
+    }
+
+    const now = new Date().toISOString();
+    return {
+      blog: {
+        title: item.title.trim(),
+        content: item.content,
+        content_html: renderMarkdown(item.content),
+        status,
+        tags,
+        category,
+        created_at: toImportedDate(item.created_at) || now,
+        published_at:
+          status === "published" ? toImportedDate(item.published_at) || now : null,
+      },
+    };
+  };
+
+  // import an export zip or a WordPress WXR file (multipart field "file")
+  app.post("/import", requireAuth, async (req, res, next) => {
+    try {
+      await parseUpload(
+        uploadImport,
+        req,
+        res,
+        `Import files must be smaller than ${MAX_IMPORT_BYTES / MB} MB.`
+      );
+
+      if (!req.file) {
+        throw invalidField("file", "An import file is required.");
+      }
+
+      const items = await readImportFile(req.file.buffer);
+
+      const profile = await getProfile(req);
+      const planLimit = await getPlanLimit(profile.plan);
+      let remaining = planLimit - (await getBlogCount({ userId: req.user.id }));
+
+      // inserted one at a time so each item gets its own result
+      const results = [];
+      for (const [index, item] of items.entries()) {
+        const result = { index, source: item.source, title: item.title || null };
+        const { blog, error: itemError } = prepareImportedBlog(item);
+
+        if (itemError) {
+          results.push({ ...result, ok: false, error: itemError });
+          continue;
+        }
+
+        if (remaining <= 0) {
+          results.push({
+            ...result,
+            ok: false,
+            error: `Plan limit reached. Your plan allows ${planLimit} blogs.`,
+          });
+          continue;
+        }
+
+        try {
+          const { data, error } = await supabase
+            .from("blogs")
+            .insert({
+              ...blog,
+              slug: await generateUniqueSlug(item.slug || blog.title),
+              updated_at: blog.created_at,
+              user_id: req.user.id,
+            })
+            .select("id")
+            .single();
+
+          if (error) {
+            throw error;
+          }
+
+          remaining -= 1;
+          results.push({ ...result, ok: true, id: data.id });
+        } catch (error) {
+          console.error("Error importing blog:", error.message);
+          results.push({ ...result, ok: false, error: "Failed to save this post." });
+        }
+      }
+
+      const imported = results.filter((result) => result.ok).length;
+      if (imported > 0) {
+        events.publish(req.user.id, "blogs.changed");
+      }
+      res.json({ imported, failed: results.length - imported, results });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // the Stripe price for a checkout interval
+  const getCheckoutPrice = (interval) => {
+    if (!stripe || !billingPrices.intervals.length) {
+      throw billingNotConfigured();
+    }
+
+    const priceId = billingPrices.getPriceId(interval);
+    if (!priceId) {
+      throw invalidField(
+        "interval",
+        `Billing interval must be one of: ${billingPrices.intervals.join(", ")}.`
+      );
+    }
+
+    return priceId;
+  };
+
+  const alreadySubscribed = (message) => new ApiError(409, "already_subscribed", message);
+
+  /**
+   * Starts Stripe Checkout for a profile or workspace (`table`), creating its
+   * Stripe customer on first use. `metadata` tells the webhook which row the
+   * subscription belongs to.
+   */
+  const createCheckoutSession = async ({
+    table,
+    account,
+    priceId,
+    quantity,
+    email,
+    metadata,
+    successUrl,
+  }) => {
+    let customerId = account.stripe_customer_id;
+
+    if (!customerId) {
+      const customer = await stripe.customers.create({
+        email: email || undefined,
+        metadata,
+      });
+
+      customerId = customer.id;
+      await supabase
+        .from(table)
+        .update({ stripe_customer_id: customerId })
+        .eq("id", account.id);
+    }
+
+    const checkoutSession = await stripe.checkout.sessions.create({
+      mode: "subscription",
+      payment_method_types: ["card"],
+      customer: customerId,
+      line_items: [
+        {
+          price: priceId,
+          quantity,
+        },
+      ],
+      success_url: successUrl,
+      cancel_url: `${frontendUrl}/billing-cancel`,
+      metadata,
+    });
+
+    return checkoutSession.url;
+  };
+
+  const openBillingPortal = async (account, returnUrl) => {
+    if (!stripe) {
+      throw billingNotConfigured();
+    }
+
+    if (!account.stripe_customer_id) {
+      throw new ApiError(409, "no_billing_account", "You don't have a billing account yet.");
+    }
+
+    const portalSession = await stripe.billingPortal.sessions.create({
+      customer: account.stripe_customer_id,
+      return_url: returnUrl,
+    });
+
+    return portalSession.url;
+  };
+
+  // start Stripe Checkout
+  app.post("/billing/checkout", requireAuth, rateLimit(billingLimiter, userKey), async (req, res, next) => {
+    try {
+      const { interval = DEFAULT_BILLING_INTERVAL } = req.body || {};
+      const priceId = getCheckoutPrice(interval);
+
+      const profile = await getProfile(req);
+      if (profile.plan === PREMIUM_PLAN) {
+        throw alreadySubscribed(
+          "You already have the premium plan. Use Manage billing to change it."
+        );
+      }
+
+      const checkoutUrl = await createCheckoutSession({
+        table: "profiles",
+        account: profile,
+        priceId,
+        quantity: 1,
+        email: req.user.email,
+        metadata: {
+          supabaseUserId: req.user.id,
+        },
+        successUrl: `${frontendUrl}/billing-success`,
+      });
+      // the Stripe customer id was saved on the profile
+      if (!profile.stripe_customer_id) {
+        invalidateProfile(req.user.id);
+      }
+
+      res.json({ checkoutUrl });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Stripe-hosted portal for cancelling, switching interval, cards and invoices
+  app.post("/billing/portal", requireAuth, rateLimit(billingLimiter, userKey), async (req, res, next) => {
+    try {
+      const profile = await getProfile(req);
+      res.json({ portalUrl: await openBillingPortal(profile, frontendUrl) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.get("/workspaces/:workspaceId/billing", requireAuth, async (req, res, next) => {
+    try {
+      const { workspace } = await requireWorkspaceMember(
+        req.params.workspaceId,
+        req.user.id,
+        "billing"
+      );
+      const seats = (await getWorkspaceMemberIds(workspace.id)).length;
+
+      res.json({ ...(await summarizeBilling(workspace)), seats });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // team checkout: one seat per accepted member, kept in sync as members come and go
+  app.post(
+    "/workspaces/:workspaceId/billing/checkout",
+    requireAuth,
+    rateLimit(billingLimiter, userKey),
+    async (req, res, next) => {
+      try {
+        const { interval = DEFAULT_BILLING_INTERVAL } = req.body || {};
+        const priceId = getCheckoutPrice(interval);
+
+        const { workspace } = await requireWorkspaceMember(
+          req.params.workspaceId,
+          req.user.id,
+          "billing"
+        );
+        if (workspace.plan === PREMIUM_PLAN) {
+          throw alreadySubscribed(
+            "This workspace already has the premium plan. Use Manage billing to change it."
+          );
+        }
+
+        const checkoutUrl = await createCheckoutSession({
+          table: "workspaces",
+          account: workspace,
+          priceId,
+          quantity: (await getWorkspaceMemberIds(workspace.id)).length,
+          email: req.user.email,
+          metadata: {
+            workspaceId: String(workspace.id),
+          },
+          successUrl: `${frontendUrl}/billing-success?workspace=${workspace.id}`,
+        });
+
+        res.json({ checkoutUrl });
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  app.post(
+    "/workspaces/:workspaceId/billing/portal",
+    requireAuth,
+    rateLimit(billingLimiter, userKey),
+    async (req, res, next) => {
+      try {
+        const { workspace } = await requireWorkspaceMember(
+          req.params.workspaceId,
+          req.user.id,
+          "billing"
+        );
+        res.json({
+          portalUrl: await openBillingPortal(workspace, `${frontendUrl}/workspace`),
+        });
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  // hard-delete anything that has been in the trash longer than the retention window
+  const purgeExpiredTrash = async () => {
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * DAY_MS).toISOString();
+
+    const { data, error } = await supabase
+      .from("blogs")
+      .delete()
+      .lt("deleted_at", cutoff)
+      .select("user_id");
+
+    if (error) {
+      throw error;
+    }
+
+    new Set((data || []).map((blog) => blog.user_id)).forEach((userId) =>
+      events.publish(userId, "blogs.changed")
+    );
+  };
+
+  // publishes scheduled blogs whose publish_at has passed
+  const publishDueBlogs = async () => {
+    const { data, error } = await supabase.rpc("publish_due_blogs");
+
+    if (error) {
+      throw error;
+    }
+
+    for (const row of data || []) {
+      const blog = Object.fromEntries(BLOG_FIELD_NAMES.map((field) => [field, row[field]]));
+      await publishBlogEvent(blog, "blog.updated", { blog });
+    }
+  };
+
+  app.use(routeNotFound);
+  app.use(errorHandler);
+
+  const jobs = createJobRunner(supabase);
+  jobs.register("purge-trash", TRASH_PURGE_INTERVAL_MS, purgeExpiredTrash);
+  jobs.register("expire-grace-periods", GRACE_PERIOD_CHECK_INTERVAL_MS, () =>
+    stripeEvents.expireGracePeriods()
+  );
+  jobs.register("publish-scheduled", PUBLISH_CHECK_INTERVAL_MS, publishDueBlogs);
+
+  return { app, jobs };
+};
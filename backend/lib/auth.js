@@ -0,0 +1,89 @@
+import { createRemoteJWKSet, jwtVerify, errors } from "jose";
+import { createTtlCache } from "./cache.js";
+import { ApiError } from "./errors.js";
+
+export class AuthTokenError extends ApiError {
+  constructor(code, message) {
+    super(401, code, message);
+  }
+}
+
+const AUTH_ERROR_MESSAGES = {
+  token_missing: "Missing auth token.",
+  token_expired: "Auth token has expired.",
+  token_invalid: "Invalid auth token.",
+};
+
+export const authError = (code) => new AuthTokenError(code, AUTH_ERROR_MESSAGES[code]);
+
+/**
+ * Verifies Supabase access tokens without a round trip per request.
+ * With SUPABASE_JWT_SECRET set, HS256 tokens are checked against it;
+ * otherwise the project's JWKS (asymmetric signing keys) is used. Tokens
+ * signed with a key we can't check locally fall back to `verifyRemotely`.
+ * Verified users are cached until the token expires, at most `cacheTtlMs`.
+ */
+export const createTokenVerifier = ({
+  supabaseUrl,
+  jwtSecret,
+  cacheTtlMs,
+  verifyRemotely,
+}) => {
+  const issuer = `${supabaseUrl}/auth/v1`;
+  const key = jwtSecret
+    ? new TextEncoder().encode(jwtSecret)
+    : createRemoteJWKSet(new URL(`${issuer}/.well-known/jwks.json`));
+  const cache = createTtlCache({ ttlMs: cacheTtlMs });
+
+  const verifyLocally = async (token) => {
+    try {
+      const { payload } = await jwtVerify(token, key, {
+        issuer,
+        audience: "authenticated",
+      });
+
+      return {
+        user: {
+          id: payload.sub,
+          email: payload.email,
+          role: payload.role,
+          app_metadata: payload.app_metadata || {},
+          user_metadata: payload.user_metadata || {},
+        },
+        expiresAt: payload.exp * 1000,
+      };
+    } catch (error) {
+      if (error instanceof errors.JWTExpired) {
+        throw authError("token_expired");
+      }
+      if (error instanceof errors.JWKSNoMatchingKey && verifyRemotely) {
+        return { user: await verifyRemotely(token), expiresAt: Infinity };
+      }
+      if (
+        error instanceof errors.JWTClaimValidationFailed ||
+        error instanceof errors.JWSSignatureVerificationFailed ||
+        error instanceof errors.JWSInvalid ||
+        error instanceof errors.JWTInvalid ||
+        error instanceof errors.JOSEAlgNotAllowed ||
+        error instanceof errors.JWKSNoMatchingKey
+      ) {
+        throw authError("token_invalid");
+      }
+      // JWKS unreachable and the like; not the client's fault
+      throw error;
+    }
+  };
+
+  const verify = async (token) => {
+    const cached = cache.get(token);
+    if (cached) {
+      return cached;
+    }
+
+    const { user, expiresAt } = await verifyLocally(token);
+    cache.set(token, user, expiresAt);
+    return user;
+  };
+
+  return { verify };
+};
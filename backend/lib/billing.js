@@ -0,0 +1,50 @@
+const PRICE_CACHE_MS = 60 * 60 * 1000;
+
+/**
+ * The subscription prices offered at checkout, keyed by billing interval
+ * ("monthly", "annual"). Intervals without a configured Stripe price id are
+ * left out. Amounts are looked up from Stripe once and cached.
+ */
+export const createPriceCatalog = (stripe, priceIds) => {
+  const configured = Object.entries(priceIds).filter(([, priceId]) => priceId);
+  let cache = null;
+
+  const getPriceId = (interval) =>
+    configured.find(([name]) => name === interval)?.[1] || null;
+
+  const getInterval = (priceId) =>
+    configured.find(([, id]) => id === priceId)?.[0] || null;
+
+  const list = async () => {
+    if (cache && cache.expiresAt > Date.now()) {
+      return cache.prices;
+    }
+
+    const prices = await Promise.all(
+      configured.map(async ([interval, priceId]) => {
+        const price = await stripe.prices.retrieve(priceId);
+        return {
+          interval,
+          amount: price.unit_amount,
+          currency: price.currency,
+        };
+      })
+    );
+
+    cache = { prices, expiresAt: Date.now() + PRICE_CACHE_MS };
+    return prices;
+  };
+
+  return { intervals: configured.map(([name]) => name), getPriceId, getInterval, list };
+};
+
+export const serializeInvoice = (invoice) => ({
+  id: invoice.id,
+  number: invoice.number,
+  status: invoice.status,
+  amount: invoice.amount_paid || invoice.amount_due,
+  currency: invoice.currency,
+  created_at: new Date(invoice.created * 1000).toISOString(),
+  url: invoice.hosted_invoice_url,
+  pdf: invoice.invoice_pdf,
+});
@@ -0,0 +1,31 @@
+/**
+ * Small in-memory map whose entries expire after `ttlMs` (or an explicit
+ * per-entry time). Oldest entries are evicted once `maxEntries` is hit.
+ */
+export const createTtlCache = ({ ttlMs, maxEntries = 1000 }) => {
+  const entries = new Map();
+
+  const get = (key) => {
+    const entry = entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  };
+
+  const set = (key, value, expiresAt = Date.now() + ttlMs) => {
+    entries.delete(key);
+    if (entries.size >= maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+    entries.set(key, { value, expiresAt: Math.min(expiresAt, Date.now() + ttlMs) });
+  };
+
+  const remove = (key) => entries.delete(key);
+
+  return { get, set, delete: remove };
+};
@@ -0,0 +1,48 @@
+export const COLLABORATOR_ROLES = ["editor", "viewer"];
+export const MAX_EMAIL_LENGTH = 254;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// what each role may do with a blog; a blog's owner is always "owner"
+const PERMISSIONS = {
+  owner: ["read", "edit", "delete", "share"],
+  editor: ["read", "edit"],
+  viewer: ["read"],
+};
+
+export const can = (role, action) => Boolean(PERMISSIONS[role]?.includes(action));
+
+// invitations are matched on the address, so it is stored lowercase
+export const parseEmail = (value) => {
+  if (typeof value !== "string" || !value.trim()) {
+    return { error: "Email is required." };
+  }
+
+  const email = value.trim().toLowerCase();
+  if (email.length > MAX_EMAIL_LENGTH || !EMAIL_PATTERN.test(email)) {
+    return { error: "Email must be a valid email address." };
+  }
+
+  return { email };
+};
+
+// what the owner (and co-authors) see in the sharing dialog
+export const serializeCollaborator = (row) => ({
+  id: row.id,
+  email: row.email,
+  role: row.role,
+  status: row.status,
+  user_id: row.user_id,
+  created_at: row.created_at,
+  responded_at: row.responded_at,
+});
+
+// a pending invitation as the invitee sees it
+export const serializeInvitation = (row, blog, inviter) => ({
+  id: row.id,
+  role: row.role,
+  blog_id: row.blog_id,
+  blog_title: blog?.title || null,
+  invited_by: inviter?.display_name || inviter?.username || null,
+  created_at: row.created_at,
+});
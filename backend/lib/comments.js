@@ -0,0 +1,55 @@
+export const MAX_COMMENT_LENGTH = 2000;
+export const MAX_COMMENT_LINKS = 2;
+export const MAX_COMMENT_DEPTH = 5;
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi;
+
+export const countLinks = (text) => (text.match(LINK_PATTERN) || []).length;
+
+// returns an error message, or null when the body is acceptable
+export const validateCommentBody = (body) => {
+  if (typeof body !== "string" || !body.trim()) {
+    return "Comment text is required.";
+  }
+  if (body.length > MAX_COMMENT_LENGTH) {
+    return `Comments can be at most ${MAX_COMMENT_LENGTH} characters.`;
+  }
+  if (countLinks(body) > MAX_COMMENT_LINKS) {
+    return `Comments can contain at most ${MAX_COMMENT_LINKS} links.`;
+  }
+  return null;
+};
+
+// the public shape of a comment; deleted ones only keep their place in the thread
+export const serializeComment = (comment) => ({
+  id: comment.id,
+  blog_id: comment.blog_id,
+  parent_id: comment.parent_id,
+  user_id: comment.status === "deleted" ? null : comment.user_id,
+  author_name: comment.status === "deleted" ? null : comment.author_name,
+  body: comment.status === "deleted" ? "" : comment.body,
+  status: comment.status,
+  depth: comment.depth,
+  created_at: comment.created_at,
+  edited_at: comment.edited_at,
+});
+
+/**
+ * Nests replies under their parents. Replies whose parent is missing
+ * from `replies` (e.g. a hidden parent) are dropped with it.
+ */
+export const buildThreads = (roots, replies) => {
+  const nodes = new Map();
+  [...roots, ...replies].forEach((comment) => {
+    nodes.set(comment.id, { ...serializeComment(comment), replies: [] });
+  });
+
+  replies.forEach((reply) => {
+    const parent = nodes.get(reply.parent_id);
+    if (parent) {
+      parent.replies.push(nodes.get(reply.id));
+    }
+  });
+
+  return roots.map((root) => nodes.get(root.id));
+};
@@ -0,0 +1,100 @@
+/**
+ * An error with an HTTP status and a machine-readable `code`. Route handlers
+ * throw it (or pass it to `next`) and `errorHandler` sends it to the client
+ * as `{ error, code, ...extra }`.
+ */
+export class ApiError extends Error {
+  constructor(status, code, message, extra = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.extra = extra;
+  }
+}
+
+export const notFound = (message = "Not found.") =>
+  new ApiError(404, "not_found", message);
+
+export const forbidden = (message = "You don't have access to this.") =>
+  new ApiError(403, "forbidden", message);
+
+// PostgREST (PGRST*) and Postgres (SQLSTATE) codes the client can act on
+const DATABASE_ERRORS = {
+  PGRST116: [404, "not_found", "Not found."],
+  "23505": [409, "conflict", "That already exists."],
+  "23503": [409, "conflict", "A related record is missing or still in use."],
+  "23502": [400, "validation_failed", "A required value is missing."],
+  "23514": [400, "validation_failed", "A value is not allowed."],
+  "22001": [400, "validation_failed", "A value is too long."],
+  "22003": [400, "validation_failed", "A number is out of range."],
+  "22P02": [400, "validation_failed", "A value has the wrong format."],
+  "42501": [403, "forbidden", "You don't have access to this."],
+  "57014": [503, "timeout", "The request took too long. Please try again."],
+};
+
+const INTERNAL_ERROR = ["internal_error", "Something went wrong. Please try again."];
+
+/**
+ * Maps anything a handler can throw onto an ApiError: our own errors,
+ * body-parser and multer failures, Supabase/PostgREST errors and Stripe
+ * errors. Unknown errors become a generic 500 so internals never leak.
+ */
+export const toApiError = (error) => {
+  if (error instanceof ApiError) {
+    return error;
+  }
+
+  if (error.type === "entity.too.large") {
+    return new ApiError(413, "payload_too_large", "Request body is too large.");
+  }
+
+  if (error.type === "entity.parse.failed") {
+    return new ApiError(400, "invalid_json", "Request body is not valid JSON.");
+  }
+
+  if (error.name === "MulterError") {
+    return error.code === "LIMIT_FILE_SIZE"
+      ? new ApiError(413, "payload_too_large", "The file is too large.")
+      : new ApiError(400, "invalid_upload", error.message);
+  }
+
+  if (DATABASE_ERRORS[error.code]) {
+    const [status, code, message] = DATABASE_ERRORS[error.code];
+    return new ApiError(status, code, message);
+  }
+
+  // supabase-js reports network failures as an error whose message is the fetch error
+  if (/fetch failed|ECONNREFUSED|ETIMEDOUT/.test(error.message || "")) {
+    return new ApiError(503, "service_unavailable", "The database is unavailable. Please try again.");
+  }
+
+  if (typeof error.type === "string" && error.type.startsWith("Stripe")) {
+    return new ApiError(502, "payment_provider_error", "The payment provider could not complete the request.");
+  }
+
+  // other http-errors from Express middleware, e.g. unsupported charsets
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    return new ApiError(error.status, "invalid_request", error.message);
+  }
+
+  return new ApiError(500, ...INTERNAL_ERROR);
+};
+
+// registered after every route so unknown paths get JSON instead of Express's HTML page
+export const routeNotFound = (req, res, next) =>
+  next(notFound(`No route for ${req.method} ${req.path}.`));
+
+export const errorHandler = (error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  const apiError = toApiError(error);
+  if (apiError.status >= 500) {
+    console.error(`Error handling ${req.method} ${req.path}:`, error.message);
+  }
+
+  res
+    .status(apiError.status)
+    .json({ error: apiError.message, code: apiError.code, ...apiError.extra });
+};
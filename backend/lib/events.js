@@ -0,0 +1,79 @@
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+// clients reconnect with a fresh token, so a signed-out session stops hearing about changes
+const STREAM_MAX_AGE_MS = 15 * 60 * 1000;
+const RECONNECT_DELAY_MS = 3000;
+
+/**
+ * Fans change notifications out to the event streams a user has open.
+ * Only streams held by this process hear about a change; with several
+ * instances, clients catch up on changes made elsewhere when they refetch
+ * (on reconnect or window focus).
+ */
+export const createEventHub = () => {
+  const listeners = new Map();
+
+  const subscribe = (userId, listener) => {
+    if (!listeners.has(userId)) {
+      listeners.set(userId, new Set());
+    }
+    listeners.get(userId).add(listener);
+
+    return () => {
+      const userListeners = listeners.get(userId);
+      if (!userListeners) {
+        return;
+      }
+      userListeners.delete(listener);
+      if (userListeners.size === 0) {
+        listeners.delete(userId);
+      }
+    };
+  };
+
+  const publish = (userId, type, data = {}) => {
+    for (const listener of listeners.get(userId) || []) {
+      listener({ type, data });
+    }
+  };
+
+  return { subscribe, publish };
+};
+
+const formatEvent = (id, type, data) =>
+  `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+/**
+ * Turns the response into a text/event-stream of the events `subscribe`
+ * delivers. It starts with a `ready` event, which tells a reconnecting
+ * client to refetch whatever it may have missed while it was away.
+ */
+export const openEventStream = (
+  res,
+  subscribe,
+  { heartbeatMs = HEARTBEAT_INTERVAL_MS, maxAgeMs = STREAM_MAX_AGE_MS } = {}
+) => {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    // stops nginx and the like from buffering the stream
+    "X-Accel-Buffering": "no",
+  });
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  let nextId = 0;
+  const send = (type, data) => res.write(formatEvent(nextId++, type, data));
+
+  send("ready", {});
+  const unsubscribe = subscribe(({ type, data }) => send(type, data));
+
+  // comments keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), heartbeatMs);
+  const expiry = setTimeout(() => res.end(), maxAgeMs);
+
+  res.on("close", () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    unsubscribe();
+  });
+};
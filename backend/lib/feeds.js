@@ -0,0 +1,138 @@
+import { createHash } from "node:crypto";
+
+export const FEED_FORMATS = {
+  rss: "application/rss+xml; charset=utf-8",
+  atom: "application/atom+xml; charset=utf-8",
+  json: "application/feed+json; charset=utf-8",
+};
+
+// characters XML 1.0 does not allow at all, even escaped
+const INVALID_XML_CHARS = /[^\u0009\u000A\u000D\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu;
+
+const escapeXml = (value) =>
+  String(value ?? "")
+    .replace(INVALID_XML_CHARS, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+/**
+ * Turns published blog rows into the item shape shared by every format.
+ * The id is a tag URI built from the post id and its first publish date,
+ * so it never changes when the title, slug or host does.
+ */
+export const toFeedItems = (blogs, { siteUrl, authority }) =>
+  blogs.map((blog) => ({
+    id: `tag:${authority},${blog.published_at.slice(0, 10)}:post-${blog.id}`,
+    url: `${siteUrl}/posts/${encodeURIComponent(blog.slug)}`,
+    title: blog.title,
+    html: blog.content_html || "",
+    tags: blog.tags || [],
+    category: blog.category,
+    published: new Date(blog.published_at),
+    updated: new Date(blog.updated_at || blog.published_at),
+  }));
+
+const buildRss = (feed) => {
+  const items = feed.items
+    .map(
+      (item) => `    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.url)}</link>
+      <guid isPermaLink="false">${escapeXml(item.id)}</guid>
+      <pubDate>${item.published.toUTCString()}</pubDate>
+${[item.category, ...item.tags]
+  .filter(Boolean)
+  .map((term) => `      <category>${escapeXml(term)}</category>\n`)
+  .join("")}      <description>${escapeXml(item.html)}</description>
+    </item>`
+    )
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.siteUrl)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <atom:link href="${escapeXml(feed.feedUrls.rss)}" rel="self" type="application/rss+xml" />
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>
+${items}
+  </channel>
+</rss>
+`;
+};
+
+const buildAtom = (feed) => {
+  const entries = feed.items
+    .map(
+      (item) => `  <entry>
+    <id>${escapeXml(item.id)}</id>
+    <title>${escapeXml(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}" />
+    <published>${item.published.toISOString()}</published>
+    <updated>${item.updated.toISOString()}</updated>
+${[item.category, ...item.tags]
+  .filter(Boolean)
+  .map((term) => `    <category term="${escapeXml(term)}" />\n`)
+  .join("")}    <content type="html">${escapeXml(item.html)}</content>
+  </entry>`
+    )
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(feed.id)}</id>
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link rel="alternate" type="text/html" href="${escapeXml(feed.siteUrl)}" />
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrls.atom)}" />
+  <updated>${feed.updated.toISOString()}</updated>
+  <author><name>${escapeXml(feed.author)}</name></author>
+${entries}
+</feed>
+`;
+};
+
+const buildJsonFeed = (feed) =>
+  JSON.stringify(
+    {
+      version: "https://jsonfeed.org/version/1.1",
+      title: feed.title,
+      description: feed.description,
+      home_page_url: feed.siteUrl,
+      feed_url: feed.feedUrls.json,
+      authors: [{ name: feed.author }],
+      items: feed.items.map((item) => ({
+        id: item.id,
+        url: item.url,
+        title: item.title,
+        content_html: item.html,
+        tags: [item.category, ...item.tags].filter(Boolean),
+        date_published: item.published.toISOString(),
+        date_modified: item.updated.toISOString(),
+      })),
+    },
+    null,
+    2
+  );
+
+const BUILDERS = { rss: buildRss, atom: buildAtom, json: buildJsonFeed };
+
+/**
+ * Renders a feed and the validators for conditional GET. The ETag hashes
+ * the rendered body, so any change to a post, the feed metadata or the
+ * format produces a new one.
+ */
+export const renderFeed = (format, feed) => {
+  const body = BUILDERS[format](feed);
+
+  return {
+    body,
+    contentType: FEED_FORMATS[format],
+    etag: `"${createHash("sha1").update(body).digest("base64url")}"`,
+    lastModified: feed.updated,
+  };
+};
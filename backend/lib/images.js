@@ -0,0 +1,63 @@
+import sharp from "sharp";
+import { ApiError } from "./errors.js";
+
+export const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+export const ALLOWED_IMAGE_TYPES = {
+  jpeg: "image/jpeg",
+  png: "image/png",
+  webp: "image/webp",
+  gif: "image/gif",
+};
+
+const MAX_IMAGE_WIDTH = 1600;
+const THUMBNAIL_SIZE = 320;
+
+export class InvalidImageError extends ApiError {
+  constructor(message) {
+    super(400, "invalid_image", message);
+  }
+}
+
+const encode = (buffer, format, resize) =>
+  sharp(buffer, { animated: format === "gif" })
+    .rotate()
+    .resize({ ...resize, withoutEnlargement: true })
+    .toFormat(format)
+    .toBuffer({ resolveWithObject: true });
+
+/**
+ * Validates an uploaded image by its actual contents (not the declared
+ * mime type) and re-encodes it into a web-sized copy and a thumbnail.
+ * Re-encoding drops EXIF and other metadata; orientation is applied first
+ * so photos stay upright.
+ */
+export const processImage = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch {
+    throw new InvalidImageError("File is not a readable image.");
+  }
+
+  const format = metadata.format;
+  if (!ALLOWED_IMAGE_TYPES[format]) {
+    throw new InvalidImageError("Only JPEG, PNG, WebP and GIF images are allowed.");
+  }
+
+  const image = await encode(buffer, format, { width: MAX_IMAGE_WIDTH });
+  const thumbnail = await encode(buffer, format, {
+    width: THUMBNAIL_SIZE,
+    height: THUMBNAIL_SIZE,
+    fit: "inside",
+  });
+
+  return {
+    format,
+    extension: format === "jpeg" ? "jpg" : format,
+    contentType: ALLOWED_IMAGE_TYPES[format],
+    image: image.data,
+    thumbnail: thumbnail.data,
+    width: image.info.width,
+    height: image.info.pageHeight || image.info.height,
+  };
+};
@@ -0,0 +1,74 @@
+import { randomUUID } from "node:crypto";
+
+/**
+ * Periodic background jobs for the API process. Before each run a job takes
+ * a lease row in `job_leases` for its interval, so with several instances
+ * running only one of them executes a given job per interval. Job state that
+ * must survive restarts belongs in the database, not in the job itself.
+ */
+export const createJobRunner = (supabase, { instanceId = randomUUID() } = {}) => {
+  const jobs = new Map();
+  const timers = [];
+
+  const acquireLease = async (name, leaseMs) => {
+    const now = new Date();
+
+    const { error: seedError } = await supabase
+      .from("job_leases")
+      .upsert(
+        { name, locked_until: new Date(0).toISOString() },
+        { onConflict: "name", ignoreDuplicates: true }
+      );
+
+    if (seedError) {
+      throw seedError;
+    }
+
+    const { data, error } = await supabase
+      .from("job_leases")
+      .update({
+        locked_until: new Date(now.getTime() + leaseMs).toISOString(),
+        locked_by: instanceId,
+        last_run_at: now.toISOString(),
+      })
+      .eq("name", name)
+      .lte("locked_until", now.toISOString())
+      .select("name");
+
+    if (error) {
+      throw error;
+    }
+
+    return (data || []).length > 0;
+  };
+
+  const runJob = async (name) => {
+    const job = jobs.get(name);
+
+    try {
+      if (await acquireLease(name, job.intervalMs)) {
+        await job.run();
+      }
+    } catch (error) {
+      console.error(`Error running job ${name}:`, error.message);
+    }
+  };
+
+  const register = (name, intervalMs, run) => {
+    jobs.set(name, { intervalMs, run });
+  };
+
+  // runs every job once right away, then on its interval
+  const start = () => {
+    for (const [name, job] of jobs) {
+      runJob(name);
+      timers.push(setInterval(() => runJob(name), job.intervalMs));
+    }
+  };
+
+  const stop = () => {
+    timers.splice(0).forEach(clearInterval);
+  };
+
+  return { register, start, stop, runJob };
+};
@@ -0,0 +1,54 @@
+import { Marked } from "marked";
+import sanitizeHtml from "sanitize-html";
+
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const markdown = new Marked({
+  gfm: true,
+  breaks: true,
+  renderer: {
+    // raw HTML typed into a post is shown as text, never rendered
+    html({ text }) {
+      return escapeHtml(text);
+    },
+  },
+});
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    "h1", "h2", "h3", "h4", "h5", "h6",
+    "p", "br", "hr", "blockquote", "pre", "code",
+    "ul", "ol", "li", "strong", "em", "del",
+    "a", "img",
+    "table", "thead", "tbody", "tr", "th", "td",
+  ],
+  allowedAttributes: {
+    a: ["href", "title", "target", "rel"],
+    img: ["src", "alt", "title"],
+    code: ["class"],
+    ol: ["start"],
+    th: ["align"],
+    td: ["align"],
+  },
+  allowedSchemes: ["http", "https", "mailto"],
+  allowedSchemesByTag: { img: ["http", "https"] },
+  allowedClasses: { code: [/^language-[\w-]+$/] },
+  transformTags: {
+    a: sanitizeHtml.simpleTransform("a", {
+      target: "_blank",
+      rel: "noopener noreferrer nofollow",
+    }),
+  },
+};
+
+/**
+ * Renders post Markdown to HTML that is safe to store and serve as-is.
+ */
+export const renderMarkdown = (source) =>
+  sanitizeHtml(markdown.parse(source || ""), SANITIZE_OPTIONS);
@@ -0,0 +1,79 @@
+export const DEFAULT_PAGE_SIZE = 10;
+export const MAX_PAGE_SIZE = 50;
+
+const encodeCursor = (row, sort) =>
+  Buffer.from(JSON.stringify([row[sort.column], row.id])).toString("base64url");
+
+const decodeCursor = (cursor) => {
+  try {
+    const value = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    return Array.isArray(value) && value.length === 2 ? value : null;
+  } catch {
+    return null;
+  }
+};
+
+// PostgREST needs values containing commas, dots or parens to be quoted
+const quoteFilterValue = (value) =>
+  `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+
+/**
+ * Reads `sort`, `limit` and `cursor` from a request query string.
+ * Returns `{ error }` when any of them is invalid.
+ */
+export const parsePageParams = (query, sorts, defaultSort) => {
+  const sortKey = query.sort || defaultSort;
+  const sort = sorts[sortKey];
+  if (!sort) {
+    return { error: `Sort must be one of: ${Object.keys(sorts).join(", ")}.` };
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `Limit must be a whole number between 1 and ${MAX_PAGE_SIZE}.` };
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      return { error: "Invalid cursor." };
+    }
+  }
+
+  return { sort, limit, cursor };
+};
+
+/**
+ * Runs a keyset-paginated query ordered by the sort column with `id` as
+ * tie-breaker, so pages stay stable while rows are added or removed.
+ */
+export const fetchPage = async (query, { sort, limit, cursor }) => {
+  const op = sort.ascending ? "gt" : "lt";
+  let pageQuery = query;
+
+  if (cursor) {
+    const [value, id] = cursor;
+    pageQuery = pageQuery.or(
+      `${sort.column}.${op}.${quoteFilterValue(value)},` +
+        `and(${sort.column}.eq.${quoteFilterValue(value)},id.${op}.${quoteFilterValue(id)})`
+    );
+  }
+
+  const { data, error } = await pageQuery
+    .order(sort.column, { ascending: sort.ascending })
+    .order("id", { ascending: sort.ascending })
+    .limit(limit + 1);
+
+  if (error) {
+    throw error;
+  }
+
+  const rows = data || [];
+  const items = rows.slice(0, limit);
+
+  return {
+    items,
+    nextCursor: rows.length > limit ? encodeCursor(items[items.length - 1], sort) : null,
+  };
+};
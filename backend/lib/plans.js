@@ -0,0 +1,71 @@
+const MB = 1024 * 1024;
+const PLAN_CACHE_MS = 5 * 60 * 1000;
+
+// used until the plans table has been migrated and seeded
+export const DEFAULT_PLANS = [
+  {
+    id: "free",
+    name: "Free",
+    max_blogs: 4,
+    max_storage_bytes: 25 * MB,
+    features: { scheduling: false, custom_domains: false },
+    sort_order: 0,
+  },
+  {
+    id: "premium",
+    name: "Premium",
+    max_blogs: 20,
+    max_storage_bytes: 1024 * MB,
+    features: { scheduling: true, custom_domains: true },
+    sort_order: 1,
+  },
+];
+
+/**
+ * Plan definitions read from the `plans` table and cached for a few
+ * minutes. Unknown plan ids resolve to the default plan so a bad profile
+ * row never grants more than the free tier.
+ */
+export const createPlanStore = (supabase, { defaultPlan }) => {
+  let cache = null;
+
+  const listPlans = async () => {
+    if (cache && cache.expiresAt > Date.now()) {
+      return cache.plans;
+    }
+
+    const { data, error } = await supabase
+      .from("plans")
+      .select("*")
+      .order("sort_order", { ascending: true });
+
+    if (error) {
+      console.error("Error loading plans, using defaults:", error.message);
+    }
+
+    const plans = data && data.length ? data : DEFAULT_PLANS;
+    cache = { plans, expiresAt: Date.now() + PLAN_CACHE_MS };
+    return plans;
+  };
+
+  const getPlan = async (planId) => {
+    const plans = await listPlans();
+    return (
+      plans.find((plan) => plan.id === planId) ||
+      plans.find((plan) => plan.id === defaultPlan)
+    );
+  };
+
+  const hasFeature = async (planId, feature) =>
+    Boolean((await getPlan(planId)).features?.[feature]);
+
+  return { listPlans, getPlan, hasFeature };
+};
+
+export const serializePlan = (plan) => ({
+  id: plan.id,
+  name: plan.name,
+  maxBlogs: plan.max_blogs,
+  maxStorage: Number(plan.max_storage_bytes),
+  features: plan.features || {},
+});
@@ -0,0 +1,222 @@
+import JSZip from "jszip";
+import TurndownService from "turndown";
+import { XMLParser } from "fast-xml-parser";
+import { MAX_TAGS, MAX_TAG_LENGTH, MAX_CATEGORY_LENGTH } from "./taxonomy.js";
+import { ApiError } from "./errors.js";
+
+export const EXPORT_FORMAT_VERSION = 1;
+export const MAX_IMPORT_ITEMS = 500;
+
+const FRONT_MATTER_FIELDS = [
+  "title",
+  "slug",
+  "status",
+  "category",
+  "tags",
+  "created_at",
+  "updated_at",
+  "published_at",
+];
+
+export class InvalidImportError extends ApiError {
+  constructor(message) {
+    super(400, "invalid_import", message);
+  }
+}
+
+// JSON scalars and arrays are valid YAML, so front matter values round-trip
+const toFrontMatter = (blog) =>
+  [
+    "---",
+    ...FRONT_MATTER_FIELDS.filter((field) => blog[field] != null).map(
+      (field) => `${field}: ${JSON.stringify(blog[field])}`
+    ),
+    "---",
+    "",
+  ].join("\n");
+
+const fileNameFor = (blog, taken) => {
+  const base = blog.slug || `post-${blog.id}`;
+  let name = `${base}.md`;
+  for (let suffix = 2; taken.has(name); suffix += 1) {
+    name = `${base}-${suffix}.md`;
+  }
+  taken.add(name);
+  return `posts/${name}`;
+};
+
+/**
+ * Zip of one Markdown file per blog (front matter + body) and a
+ * manifest.json listing every file with its metadata.
+ */
+export const buildExportZip = (blogs) => {
+  const zip = new JSZip();
+  const taken = new Set();
+
+  const posts = blogs.map((blog) => {
+    const file = fileNameFor(blog, taken);
+    zip.file(file, `${toFrontMatter(blog)}${blog.content || ""}\n`);
+    return {
+      file,
+      ...Object.fromEntries(FRONT_MATTER_FIELDS.map((field) => [field, blog[field] ?? null])),
+    };
+  });
+
+  zip.file(
+    "manifest.json",
+    JSON.stringify(
+      {
+        version: EXPORT_FORMAT_VERSION,
+        exported_at: new Date().toISOString(),
+        count: posts.length,
+        posts,
+      },
+      null,
+      2
+    )
+  );
+
+  return zip;
+};
+
+const parseFrontMatterValue = (raw) => {
+  const value = raw.trim();
+  try {
+    return JSON.parse(value);
+  } catch {
+    // hand-edited files may use bare YAML strings
+    return value.replace(/^'(.*)'$/, "$1");
+  }
+};
+
+const parseMarkdownFile = (text) => {
+  const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/);
+  if (!match) {
+    return { content: text.trim() };
+  }
+
+  const meta = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const field = line.match(/^([a-z_]+):\s*(.*)$/);
+    if (field && FRONT_MATTER_FIELDS.includes(field[1])) {
+      meta[field[1]] = parseFrontMatterValue(field[2]);
+    }
+  }
+
+  return { ...meta, content: match[2].trim() };
+};
+
+const readZip = async (buffer) => {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch {
+    throw new InvalidImportError("The file is not a valid zip archive.");
+  }
+
+  const files = Object.values(zip.files)
+    .filter((entry) => !entry.dir && entry.name.endsWith(".md"))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  if (!files.length) {
+    throw new InvalidImportError("The zip does not contain any Markdown files.");
+  }
+
+  if (files.length > MAX_IMPORT_ITEMS) {
+    throw new InvalidImportError(`An import can contain at most ${MAX_IMPORT_ITEMS} posts.`);
+  }
+
+  return Promise.all(
+    files.map(async (entry) => ({
+      source: entry.name,
+      ...parseMarkdownFile(await entry.async("string")),
+    }))
+  );
+};
+
+const asArray = (value) => (value === undefined ? [] : [].concat(value));
+
+// WordPress terms are free text; squeeze them into our tag format
+const toTag = (term) =>
+  String(term)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, MAX_TAG_LENGTH);
+
+const toIsoDate = (value) => {
+  const date = new Date(`${String(value).replace(" ", "T")}Z`);
+  return value && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+};
+
+const readWxr = (buffer) => {
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: "",
+    textNodeName: "text",
+    cdataPropName: false,
+    processEntities: true,
+    parseTagValue: false,
+  });
+
+  let channel;
+  try {
+    channel = parser.parse(buffer.toString("utf8"))?.rss?.channel;
+  } catch {
+    throw new InvalidImportError("The file is not valid XML.");
+  }
+
+  if (!channel) {
+    throw new InvalidImportError("The XML file is not a WordPress export.");
+  }
+
+  const turndown = new TurndownService({ headingStyle: "atx", codeBlockStyle: "fenced" });
+  turndown.remove(["script", "style"]);
+
+  const items = asArray(channel.item).filter(
+    (item) => (item["wp:post_type"] || "post") === "post" && item["wp:status"] !== "trash"
+  );
+
+  if (items.length > MAX_IMPORT_ITEMS) {
+    throw new InvalidImportError(`An import can contain at most ${MAX_IMPORT_ITEMS} posts.`);
+  }
+
+  return items.map((item, index) => {
+    const terms = asArray(item.category);
+    const termsOf = (domain) =>
+      terms
+        .filter((term) => term?.domain === domain)
+        .map((term) => term.text ?? "");
+    const published = item["wp:status"] === "publish";
+
+    return {
+      source: `item ${index + 1}`,
+      title: String(item.title ?? "").trim(),
+      content: turndown.turndown(String(item["content:encoded"] ?? "")).trim(),
+      status: published ? "published" : "draft",
+      slug: item["wp:post_name"] || null,
+      category: termsOf("category")[0]?.trim().slice(0, MAX_CATEGORY_LENGTH) || null,
+      tags: [...new Set(termsOf("post_tag").map(toTag).filter(Boolean))].slice(0, MAX_TAGS),
+      created_at: toIsoDate(item["wp:post_date_gmt"]),
+      published_at: published ? toIsoDate(item["wp:post_date_gmt"]) : null,
+    };
+  });
+};
+
+/**
+ * Reads an upload produced by the export route (zip) or a WordPress WXR
+ * file into plain post objects. Items are not validated here, so one bad
+ * post doesn't reject the whole file.
+ */
+export const readImportFile = async (buffer) => {
+  // zip archives start with "PK"
+  if (buffer.subarray(0, 2).toString("latin1") === "PK") {
+    return readZip(buffer);
+  }
+
+  if (/^\s*(<\?xml|<rss)/.test(buffer.subarray(0, 200).toString("utf8"))) {
+    return readWxr(buffer);
+  }
+
+  throw new InvalidImportError("Upload a zip from the export or a WordPress WXR (.xml) file.");
+};
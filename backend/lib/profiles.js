@@ -0,0 +1,185 @@
+export const USERNAME_MIN_LENGTH = 3;
+export const USERNAME_MAX_LENGTH = 30;
+export const MAX_DISPLAY_NAME_LENGTH = 60;
+export const MAX_BIO_LENGTH = 500;
+export const MAX_URL_LENGTH = 500;
+export const SOCIAL_NETWORKS = ["website", "twitter", "github", "linkedin", "mastodon"];
+
+const USERNAME_PATTERN = /^[a-z0-9](?:[a-z0-9_-]*[a-z0-9])?$/;
+
+// handles that would clash with app routes or pose as staff
+const RESERVED_USERNAMES = new Set([
+  "about",
+  "account",
+  "admin",
+  "administrator",
+  "api",
+  "billing",
+  "billing-cancel",
+  "billing-success",
+  "blog",
+  "blogs",
+  "contact",
+  "dashboard",
+  "export",
+  "feeds",
+  "help",
+  "import",
+  "login",
+  "logout",
+  "me",
+  "moderator",
+  "plans",
+  "posts",
+  "privacy",
+  "profile",
+  "public",
+  "root",
+  "settings",
+  "signup",
+  "staff",
+  "support",
+  "system",
+  "terms",
+  "trash",
+  "uploads",
+  "www",
+]);
+
+const isHttpUrl = (value) => {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+// usernames are case-insensitive and stored lowercase
+export const normalizeUsername = (value) =>
+  typeof value === "string" ? value.trim().replace(/^@/, "").toLowerCase() : "";
+
+export const validateUsername = (username) => {
+  if (username.length < USERNAME_MIN_LENGTH || username.length > USERNAME_MAX_LENGTH) {
+    return `Usernames must be ${USERNAME_MIN_LENGTH} to ${USERNAME_MAX_LENGTH} characters.`;
+  }
+  if (!USERNAME_PATTERN.test(username)) {
+    return "Usernames can contain letters, numbers, dashes and underscores, and must start and end with a letter or number.";
+  }
+  if (RESERVED_USERNAMES.has(username)) {
+    return "That username is reserved.";
+  }
+  return null;
+};
+
+const optionalText = (value, label, maxLength) => {
+  if (value === null || value === "") {
+    return { value: null };
+  }
+  if (typeof value !== "string") {
+    return { error: `${label} must be a string.` };
+  }
+  const text = value.trim();
+  if (text.length > maxLength) {
+    return { error: `${label} must be at most ${maxLength} characters.` };
+  }
+  return { value: text || null };
+};
+
+const optionalUrl = (value, label) => {
+  const { value: url, error } = optionalText(value, label, MAX_URL_LENGTH);
+  if (error) {
+    return { error };
+  }
+  if (url && !isHttpUrl(url)) {
+    return { error: `${label} must be an http(s) URL.` };
+  }
+  return { value: url };
+};
+
+/**
+ * Validates the editable profile fields of a PUT /profile body into a
+ * profiles row update. Fields missing from the body are left untouched.
+ */
+export const parseProfileUpdate = (body) => {
+  const updates = {};
+
+  if (body.username !== undefined) {
+    const username = normalizeUsername(body.username);
+    const error = validateUsername(username);
+    if (error) {
+      return { error };
+    }
+    updates.username = username;
+  }
+
+  if (body.display_name !== undefined) {
+    const { value, error } = optionalText(
+      body.display_name,
+      "Display name",
+      MAX_DISPLAY_NAME_LENGTH
+    );
+    if (error) {
+      return { error };
+    }
+    updates.display_name = value;
+  }
+
+  if (body.bio !== undefined) {
+    const { value, error } = optionalText(body.bio, "Bio", MAX_BIO_LENGTH);
+    if (error) {
+      return { error };
+    }
+    updates.bio = value;
+  }
+
+  if (body.avatar_url !== undefined) {
+    const { value, error } = optionalUrl(body.avatar_url, "Avatar");
+    if (error) {
+      return { error };
+    }
+    updates.avatar_url = value;
+  }
+
+  if (body.social_links !== undefined) {
+    const links = body.social_links || {};
+    if (typeof links !== "object" || Array.isArray(links)) {
+      return { error: "Social links must be an object." };
+    }
+
+    const unknown = Object.keys(links).find((key) => !SOCIAL_NETWORKS.includes(key));
+    if (unknown) {
+      return { error: `Unknown social link "${unknown}".` };
+    }
+
+    updates.social_links = {};
+    for (const network of SOCIAL_NETWORKS) {
+      const { value, error } = optionalUrl(links[network] ?? null, `The ${network} link`);
+      if (error) {
+        return { error };
+      }
+      if (value) {
+        updates.social_links[network] = value;
+      }
+    }
+  }
+
+  return { updates };
+};
+
+// fields anyone may see on an author page or byline
+export const serializePublicProfile = (profile) => ({
+  username: profile.username,
+  display_name: profile.display_name || profile.username,
+  bio: profile.bio || null,
+  avatar_url: profile.avatar_url || null,
+  social_links: profile.social_links || {},
+});
+
+// the editable fields as returned to their owner by GET/PUT /profile
+export const serializeProfileSettings = (profile) => ({
+  username: profile.username || null,
+  displayName: profile.display_name || null,
+  bio: profile.bio || null,
+  avatarUrl: profile.avatar_url || null,
+  socialLinks: profile.social_links || {},
+});
@@ -0,0 +1,90 @@
+/**
+ * In-process fixed-window counter. Any object with the same `increment`
+ * signature (e.g. backed by Redis) can be passed as `store` instead so
+ * several instances share their budgets.
+ */
+export const createMemoryStore = () => {
+  const windows = new Map();
+  let nextSweep = 0;
+
+  // drop expired windows now and then so idle keys don't pile up
+  const sweep = (now) => {
+    if (now < nextSweep) return;
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= now) {
+        windows.delete(key);
+      }
+    }
+    nextSweep = now + 60 * 1000;
+  };
+
+  const increment = async (key, windowMs) => {
+    const now = Date.now();
+    sweep(now);
+
+    let entry = windows.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      windows.set(key, entry);
+    }
+
+    entry.count += 1;
+    return { count: entry.count, resetAt: entry.resetAt };
+  };
+
+  return { increment };
+};
+
+export const createRateLimiter = ({ name, max, windowMs, store }) => {
+  const hit = async (key) => {
+    const { count, resetAt } = await store.increment(`${name}:${key}`, windowMs);
+
+    return {
+      allowed: count <= max,
+      limit: max,
+      remaining: Math.max(max - count, 0),
+      retryAfter: Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1),
+    };
+  };
+
+  return { name, hit };
+};
+
+export const sendRateLimited = (res, result) => {
+  res.set("Retry-After", String(result.retryAfter));
+  return res
+    .status(429)
+    .json({ error: "Too many requests. Please try again later.", code: "rate_limited" });
+};
+
+/**
+ * Counts a request against `limiter` under `key`. Sends the 429 and returns
+ * false when the budget is spent. A failing store lets the request through
+ * rather than taking the API down with it.
+ */
+export const consumeRateLimit = async (limiter, key, res) => {
+  try {
+    const result = await limiter.hit(key);
+    res.set({
+      "RateLimit-Limit": String(result.limit),
+      "RateLimit-Remaining": String(result.remaining),
+      "RateLimit-Reset": String(result.retryAfter),
+    });
+
+    if (!result.allowed) {
+      sendRateLimited(res, result);
+      return false;
+    }
+  } catch (error) {
+    console.error(`Rate limiter ${limiter.name} failed:`, error.message);
+  }
+
+  return true;
+};
+
+// route middleware; keyOf(req) picks the client identity (IP, user id...)
+export const rateLimit = (limiter, keyOf) => async (req, res, next) => {
+  if (await consumeRateLimit(limiter, keyOf(req), res)) {
+    next();
+  }
+};
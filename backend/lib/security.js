@@ -0,0 +1,24 @@
+// the API only serves JSON, feeds and uploaded images, never pages
+const SECURITY_HEADERS = {
+  "Content-Security-Policy": "default-src 'none'; frame-ancestors 'none'",
+  "X-Content-Type-Options": "nosniff",
+  "X-Frame-Options": "DENY",
+  "Referrer-Policy": "no-referrer",
+  "Cross-Origin-Opener-Policy": "same-origin",
+  "Permissions-Policy": "camera=(), microphone=(), geolocation=()",
+};
+
+export const securityHeaders = (req, res, next) => {
+  res.set(SECURITY_HEADERS);
+  if (req.secure) {
+    res.set("Strict-Transport-Security", "max-age=31536000; includeSubDomains");
+  }
+  next();
+};
+
+// FRONTEND_URL may list several comma-separated origins; the first is canonical
+export const parseAllowedOrigins = (value) =>
+  (value || "")
+    .split(",")
+    .map((origin) => origin.trim().replace(/\/+$/, ""))
+    .filter(Boolean);
@@ -0,0 +1,53 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+
+/**
+ * Storage adapters share one shape:
+ *   put(key, buffer, contentType) -> public URL of the stored file
+ *   remove(keys)                  -> deletes the files, missing ones are ignored
+ */
+
+export const createLocalStorage = ({ directory, publicUrl }) => {
+  const root = path.resolve(directory);
+
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    root,
+    async put(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return `${publicUrl.replace(/\/$/, "")}/${key}`;
+    },
+    async remove(keys) {
+      await Promise.all(keys.map((key) => fs.rm(resolveKey(key), { force: true })));
+    },
+  };
+};
+
+export const createSupabaseStorage = ({ supabase, bucket }) => ({
+  async put(key, buffer, contentType) {
+    const { error } = await supabase.storage
+      .from(bucket)
+      .upload(key, buffer, { contentType, upsert: false });
+
+    if (error) {
+      throw error;
+    }
+
+    return supabase.storage.from(bucket).getPublicUrl(key).data.publicUrl;
+  },
+  async remove(keys) {
+    const { error } = await supabase.storage.from(bucket).remove(keys);
+    if (error) {
+      throw error;
+    }
+  },
+});
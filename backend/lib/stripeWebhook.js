@@ -0,0 +1,264 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// past_due keeps premium until the grace period runs out; a paused
+// subscription isn't billed, so it drops to the default plan until resumed
+const PREMIUM_STATUSES = ["active", "trialing", "past_due"];
+const INACTIVE_STATUSES = ["paused", "canceled", "unpaid", "incomplete_expired"];
+
+const toTimestamp = (seconds) =>
+  seconds ? new Date(seconds * 1000).toISOString() : null;
+
+// newer API versions moved the billing period onto the subscription items
+const getPeriodEnd = (subscription) =>
+  subscription.current_period_end ??
+  subscription.items?.data?.[0]?.current_period_end ??
+  null;
+
+/**
+ * Builds the Stripe webhook event processor. Everything it needs is passed
+ * in, so it runs against any Supabase-like client and verified (or fixture)
+ * events without touching the network.
+ *
+ * A subscription belongs to a profile or, for team plans, to a workspace;
+ * both tables carry the same subscription columns. The on*Change callbacks
+ * get the id of the row that changed.
+ */
+export const createStripeEventHandler = ({
+  supabase,
+  defaultPlan,
+  premiumPlan,
+  gracePeriodDays,
+  onPlanChange = async () => {},
+  onProfileChange = () => {},
+  onWorkspacePlanChange = async () => {},
+  onWorkspaceChange = () => {},
+}) => {
+  const gracePeriodMs = gracePeriodDays * DAY_MS;
+
+  const accounts = {
+    profiles: { onChange: onProfileChange, onPlanChange },
+    workspaces: { onChange: onWorkspaceChange, onPlanChange: onWorkspacePlanChange },
+  };
+
+  const findAccount = async (table, column, value) => {
+    const { data, error } = await supabase
+      .from(table)
+      .select("*")
+      .eq(column, value)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return data ? { table, row: data } : null;
+  };
+
+  const findAccountByCustomer = async (customerId) =>
+    (await findAccount("profiles", "stripe_customer_id", customerId)) ||
+    (await findAccount("workspaces", "stripe_customer_id", customerId));
+
+  // applies an update unless a newer event has already been applied
+  const updateAccount = async (account, event, fields) => {
+    if (!account) {
+      console.warn(`Stripe event ${event.id} has no matching profile or workspace.`);
+      return;
+    }
+
+    const { table, row } = account;
+    if (row.stripe_event_created && row.stripe_event_created > event.created) {
+      console.warn(`Skipping out-of-order Stripe event ${event.id}.`);
+      return;
+    }
+
+    const { error } = await supabase
+      .from(table)
+      .update({ ...fields, stripe_event_created: event.created })
+      .eq("id", row.id);
+
+    if (error) {
+      throw error;
+    }
+
+    accounts[table].onChange(row.id);
+
+    if (fields.plan && fields.plan !== row.plan) {
+      await accounts[table].onPlanChange(row.id, fields.plan);
+    }
+  };
+
+  const syncSubscription = async (event, subscription) => {
+    const account = await findAccountByCustomer(subscription.customer);
+    const fields = {
+      subscription_status: subscription.status,
+      stripe_subscription_id: subscription.id,
+      stripe_price_id: subscription.items?.data?.[0]?.price?.id ?? null,
+      current_period_end: toTimestamp(getPeriodEnd(subscription)),
+      cancel_at_period_end: Boolean(subscription.cancel_at_period_end),
+    };
+
+    if (PREMIUM_STATUSES.includes(subscription.status)) {
+      fields.plan = premiumPlan;
+    } else if (INACTIVE_STATUSES.includes(subscription.status)) {
+      fields.plan = defaultPlan;
+    }
+
+    if (subscription.status !== "past_due") {
+      fields.grace_period_ends_at = null;
+    }
+
+    await updateAccount(account, event, fields);
+  };
+
+  const handlers = {
+    "checkout.session.completed": async (event) => {
+      const session = event.data.object;
+      // team checkouts carry the workspace, personal ones the user
+      const { workspaceId, supabaseUserId } = session.metadata || {};
+      if (!workspaceId && !supabaseUserId) {
+        return;
+      }
+
+      const account = workspaceId
+        ? await findAccount("workspaces", "id", workspaceId)
+        : await findAccount("profiles", "id", supabaseUserId);
+
+      await updateAccount(account, event, {
+        plan: premiumPlan,
+        subscription_status: "active",
+        stripe_customer_id: session.customer,
+        stripe_subscription_id: session.subscription,
+        grace_period_ends_at: null,
+      });
+    },
+
+    "customer.subscription.created": (event) =>
+      syncSubscription(event, event.data.object),
+
+    "customer.subscription.updated": (event) =>
+      syncSubscription(event, event.data.object),
+
+    "customer.subscription.paused": (event) =>
+      syncSubscription(event, event.data.object),
+
+    "customer.subscription.resumed": (event) =>
+      syncSubscription(event, event.data.object),
+
+    "customer.subscription.deleted": async (event) => {
+      const subscription = event.data.object;
+      const account = await findAccountByCustomer(subscription.customer);
+
+      await updateAccount(account, event, {
+        plan: defaultPlan,
+        subscription_status: "canceled",
+        stripe_subscription_id: null,
+        stripe_price_id: null,
+        cancel_at_period_end: false,
+        grace_period_ends_at: null,
+      });
+    },
+
+    "invoice.paid": async (event) => {
+      const invoice = event.data.object;
+      if (!invoice.subscription && !invoice.parent?.subscription_details) {
+        return;
+      }
+
+      const account = await findAccountByCustomer(invoice.customer);
+      const periodEnd = invoice.lines?.data?.[0]?.period?.end;
+
+      await updateAccount(account, event, {
+        plan: premiumPlan,
+        subscription_status: "active",
+        grace_period_ends_at: null,
+        ...(periodEnd ? { current_period_end: toTimestamp(periodEnd) } : {}),
+      });
+    },
+
+    // the first failure opens the grace period; Stripe's retries don't extend it
+    "invoice.payment_failed": async (event) => {
+      const invoice = event.data.object;
+      const account = await findAccountByCustomer(invoice.customer);
+      if (!account || !account.row.stripe_subscription_id) {
+        return;
+      }
+
+      await updateAccount(account, event, {
+        subscription_status: "past_due",
+        grace_period_ends_at:
+          account.row.grace_period_ends_at ||
+          new Date(event.created * 1000 + gracePeriodMs).toISOString(),
+      });
+    },
+  };
+
+  /**
+   * Processes an event at most once, keyed on the event id. The id is
+   * claimed before the handler runs so concurrent deliveries of the same
+   * event can't both apply it; a failed handler gives the claim back for
+   * Stripe's retry. Unknown event types are recorded and ignored.
+   */
+  const handleEvent = async (event) => {
+    const { error: claimError } = await supabase
+      .from("stripe_events")
+      .insert({ id: event.id, type: event.type });
+
+    // already processed, or another delivery is processing it right now
+    if (claimError?.code === "23505") {
+      return { duplicate: true };
+    }
+
+    if (claimError) {
+      throw claimError;
+    }
+
+    try {
+      const handler = handlers[event.type];
+      if (handler) {
+        await handler(event);
+      }
+    } catch (error) {
+      const { error: releaseError } = await supabase
+        .from("stripe_events")
+        .delete()
+        .eq("id", event.id);
+
+      if (releaseError) {
+        console.error(`Failed to release Stripe event ${event.id}:`, releaseError.message);
+      }
+      throw error;
+    }
+
+    return { duplicate: false };
+  };
+
+  // downgrades past_due subscriptions whose grace period ran out
+  const expireGracePeriods = async (now = new Date()) => {
+    let count = 0;
+
+    for (const [table, { onChange, onPlanChange: onDowngrade }] of Object.entries(accounts)) {
+      const { data, error } = await supabase
+        .from(table)
+        .update({ plan: defaultPlan })
+        .eq("plan", premiumPlan)
+        .eq("subscription_status", "past_due")
+        .lt("grace_period_ends_at", now.toISOString())
+        .select("id");
+
+      if (error) {
+        throw error;
+      }
+
+      for (const row of data || []) {
+        onChange(row.id);
+        await onDowngrade(row.id, defaultPlan);
+      }
+
+      count += (data || []).length;
+    }
+
+    return count;
+  };
+
+  return { handleEvent, expireGracePeriods };
+};
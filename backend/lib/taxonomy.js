@@ -0,0 +1,94 @@
+export const MAX_TAGS = 10;
+export const MAX_TAG_LENGTH = 30;
+export const MAX_CATEGORY_LENGTH = 50;
+
+const TAG_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+const normalizeTag = (tag) => tag.trim().toLowerCase().replace(/\s+/g, "-");
+
+/**
+ * Normalizes a tag list ("Web Dev" -> "web-dev"), dropping blanks and
+ * duplicates. Returns `{ error }` when the list is not acceptable.
+ */
+export const parseTags = (value) => {
+  if (!Array.isArray(value) || value.some((tag) => typeof tag !== "string")) {
+    return { error: "Tags must be a list of strings." };
+  }
+
+  const tags = [...new Set(value.map(normalizeTag).filter(Boolean))];
+
+  if (tags.length > MAX_TAGS) {
+    return { error: `A blog can have at most ${MAX_TAGS} tags.` };
+  }
+
+  const invalid = tags.find(
+    (tag) => tag.length > MAX_TAG_LENGTH || !TAG_PATTERN.test(tag)
+  );
+  if (invalid) {
+    return {
+      error: `Invalid tag "${invalid}". Use letters, numbers and dashes, up to ${MAX_TAG_LENGTH} characters.`,
+    };
+  }
+
+  return { tags };
+};
+
+// an empty or missing category clears it
+export const parseCategory = (value) => {
+  if (value === undefined || value === null) {
+    return { category: null };
+  }
+
+  if (typeof value !== "string") {
+    return { error: "Category must be a string." };
+  }
+
+  const category = value.trim().replace(/\s+/g, " ");
+  if (category.length > MAX_CATEGORY_LENGTH) {
+    return {
+      error: `Category must be at most ${MAX_CATEGORY_LENGTH} characters.`,
+    };
+  }
+
+  return { category: category || null };
+};
+
+/**
+ * Reads the `tags` (comma separated, all must match) and `category`
+ * listing filters from a request query string.
+ */
+export const parseTaxonomyFilters = (query) => {
+  const rawTags = typeof query.tags === "string" ? query.tags.split(",") : [];
+  const { tags, error } = parseTags(rawTags);
+  if (error) {
+    return { error };
+  }
+
+  const category = typeof query.category === "string" ? query.category.trim() : "";
+  return { tags, category: category || null };
+};
+
+export const applyTaxonomyFilters = (query, { tags, category }) => {
+  let filtered = query;
+  if (tags.length) {
+    filtered = filtered.contains("tags", tags);
+  }
+  if (category) {
+    filtered = filtered.eq("category", category);
+  }
+  return filtered;
+};
+
+const countBy = (values) => {
+  const counts = new Map();
+  values.forEach((value) => counts.set(value, (counts.get(value) || 0) + 1));
+  return [...counts]
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+};
+
+// tag and category usage counts for a set of blog rows
+export const summarizeTaxonomy = (rows) => ({
+  tags: countBy(rows.flatMap((row) => row.tags || [])),
+  categories: countBy(rows.map((row) => row.category).filter(Boolean)),
+});
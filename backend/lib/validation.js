@@ -0,0 +1,133 @@
+import { ApiError } from "./errors.js";
+
+export const MAX_TITLE_LENGTH = 200;
+export const MAX_CONTENT_LENGTH = 200000;
+export const MAX_SEARCH_LENGTH = 200;
+
+// blogs, revisions, comments, drafts and uploads all use bigint identity ids
+const ID_PATTERN = /^[1-9][0-9]{0,17}$/;
+
+export const isId = (value) =>
+  (typeof value === "string" || typeof value === "number") && ID_PATTERN.test(String(value));
+
+const isMissing = (value) => value === undefined || value === null || value === "";
+
+export const invalidField = (field, message) =>
+  new ApiError(400, "validation_failed", message, { fields: { [field]: message } });
+
+// for the lib/ parsers that already return `{ error }` on bad input
+export const assertValid = (result, field = "query") => {
+  if (result.error) {
+    throw invalidField(field, result.error);
+  }
+  return result;
+};
+
+/*
+ * Field rules take the raw value and return `{ value }` or `{ error }`,
+ * like the parsers in lib/. A missing optional field yields `{ value: undefined }`.
+ */
+
+export const text = ({ label, required = false, max, trim = true }) => (value) => {
+  if (isMissing(value)) {
+    return required ? { error: `${label} is required.` } : { value: undefined };
+  }
+
+  if (typeof value !== "string") {
+    return { error: `${label} must be text.` };
+  }
+
+  if (required && !value.trim()) {
+    return { error: `${label} is required.` };
+  }
+
+  if (max && value.length > max) {
+    return { error: `${label} must be at most ${max} characters.` };
+  }
+
+  return { value: trim ? value.trim() : value };
+};
+
+export const boolean = ({ label, required = true }) => (value) => {
+  if (value === undefined && !required) {
+    return { value: undefined };
+  }
+  return typeof value === "boolean"
+    ? { value }
+    : { error: `${label} must be true or false.` };
+};
+
+export const oneOf = (values, { label, defaultValue }) => (value) => {
+  if (value === undefined) {
+    return { value: defaultValue };
+  }
+  return values.includes(value)
+    ? { value }
+    : { error: `${label} must be one of: ${values.join(", ")}.` };
+};
+
+export const id = ({ label, required = false }) => (value) => {
+  if (isMissing(value)) {
+    return required ? { error: `${label} is required.` } : { value: undefined };
+  }
+  return isId(value) ? { value: String(value) } : { error: `${label} is not a valid id.` };
+};
+
+export const integer = ({ label, min = 0 }) => (value) => {
+  if (isMissing(value)) {
+    return { value: undefined };
+  }
+  const number = Number(value);
+  return Number.isInteger(number) && number >= min
+    ? { value: number }
+    : { error: `${label} must be a whole number.` };
+};
+
+// a rule that is skipped when the field is absent, so the value is left alone
+export const optional = (rule) => (value) =>
+  value === undefined ? { value: undefined } : rule(value);
+
+// wraps a lib/ parser returning `{ [key]: value }` or `{ error }`
+export const parsed = (parse, key) => (value) => {
+  const result = parse(value);
+  return result.error ? { error: result.error } : { value: result[key] };
+};
+
+const SOURCES = ["params", "query", "body"];
+
+/**
+ * Route middleware checking `params`, `query` and `body` against a schema of
+ * field rules. Clean values are put on `req.valid.<source>`; a request with
+ * any bad field is rejected with 400 `validation_failed` and a `fields` map
+ * of every message, the first of which becomes `error`.
+ */
+export const validate = (schema) => (req, res, next) => {
+  const valid = {};
+  const fields = {};
+
+  for (const source of SOURCES.filter((name) => schema[name])) {
+    const input = req[source] || {};
+    valid[source] = {};
+
+    for (const [field, rule] of Object.entries(schema[source])) {
+      const { value, error } = rule(input[field]);
+      if (error) {
+        fields[field] = error;
+      } else if (value !== undefined) {
+        valid[source][field] = value;
+      }
+    }
+  }
+
+  const [firstError] = Object.values(fields);
+  if (firstError) {
+    return next(new ApiError(400, "validation_failed", firstError, { fields }));
+  }
+
+  req.valid = { ...req.valid, ...valid };
+  next();
+};
+
+// app.param callback rejecting ids that could never match a row
+export const validateIdParam = (req, res, next, value, name) =>
+  isId(value) ? next() : next(invalidField(name, `Invalid ${name}.`));
@@ -0,0 +1,64 @@
+export const WORKSPACE_ROLES = ["owner", "admin", "writer"];
+// roles that can be given by invitation; each workspace has exactly one owner
+export const MEMBER_ROLES = ["admin", "writer"];
+export const MAX_WORKSPACE_NAME_LENGTH = 80;
+
+// what each member role may do in a workspace
+const PERMISSIONS = {
+  owner: ["write", "manage", "billing"],
+  admin: ["write", "manage", "billing"],
+  writer: ["write"],
+};
+
+export const canInWorkspace = (role, action) =>
+  Boolean(PERMISSIONS[role]?.includes(action));
+
+// a member's role on a workspace blog someone else wrote: admins and the
+// owner manage every blog, writers may edit but not delete or share
+export const workspaceBlogRole = (memberRole) =>
+  canInWorkspace(memberRole, "manage") ? "owner" : "editor";
+
+// the member list in workspace settings
+export const serializeMember = (row) => ({
+  id: row.id,
+  email: row.email,
+  role: row.role,
+  status: row.status,
+  user_id: row.user_id,
+  created_at: row.created_at,
+  responded_at: row.responded_at,
+});
+
+/**
+ * A workspace as one of its members sees it. `plan` is the plan row from
+ * the plan store; the usage fields mirror GET /profile so the same plan
+ * card can show either.
+ */
+export const serializeWorkspace = (workspace, member, { plan, blogCount, archivedCount, seats }) => ({
+  id: workspace.id,
+  name: workspace.name,
+  role: member.role,
+  member_id: member.id,
+  created_at: workspace.created_at,
+  seats,
+  plan: workspace.plan,
+  planName: plan.name,
+  features: plan.features,
+  blogCount,
+  archivedCount,
+  maxBlogs: plan.maxBlogs,
+  subscriptionStatus: workspace.subscription_status || null,
+  currentPeriodEnd: workspace.current_period_end || null,
+  cancelAtPeriodEnd: Boolean(workspace.cancel_at_period_end),
+  gracePeriodEndsAt: workspace.grace_period_ends_at || null,
+});
+
+// a pending workspace invitation as the invitee sees it
+export const serializeWorkspaceInvitation = (row, workspace, inviter) => ({
+  id: row.id,
+  role: row.role,
+  workspace_id: row.workspace_id,
+  workspace_name: workspace?.name || null,
+  invited_by: inviter?.display_name || inviter?.username || null,
+  created_at: row.created_at,
+});
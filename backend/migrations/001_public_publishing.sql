@@ -0,0 +1,16 @@
+-- Draft/published status and public URL slugs for blogs.
+alter table blogs
+  add column if not exists status text not null default 'draft'
+    check (status in ('draft', 'published')),
+  add column if not exists slug text,
+  add column if not exists published_at timestamptz,
+  add column if not exists created_at timestamptz not null default now(),
+  add column if not exists updated_at timestamptz not null default now();
+
+update blogs set slug = 'post-' || id where slug is null;
+
+alter table blogs alter column slug set not null;
+
+create unique index if not exists blogs_slug_key on blogs (slug);
+create index if not exists blogs_status_published_at_idx
+  on blogs (status, published_at desc);
@@ -0,0 +1,4 @@
+-- Sanitized HTML rendered from the Markdown source on every write.
+-- Rows written before this migration keep content_html null and are
+-- rendered client-side until their next edit.
+alter table blogs add column if not exists content_html text;
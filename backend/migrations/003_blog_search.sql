@@ -0,0 +1,17 @@
+-- Full-text search over title and content, plus indexes backing the
+-- keyset pagination used by GET /blogs.
+alter table blogs
+  add column if not exists search_vector tsvector
+    generated always as (
+      setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+      setweight(to_tsvector('english', coalesce(content, '')), 'B')
+    ) stored;
+
+create index if not exists blogs_search_vector_idx
+  on blogs using gin (search_vector);
+create index if not exists blogs_user_created_at_idx
+  on blogs (user_id, created_at, id);
+create index if not exists blogs_user_updated_at_idx
+  on blogs (user_id, updated_at, id);
+create index if not exists blogs_user_title_idx
+  on blogs (user_id, title, id);
@@ -0,0 +1,7 @@
+-- Free-form tags and a single optional category per blog.
+alter table blogs
+  add column if not exists tags text[] not null default '{}',
+  add column if not exists category text;
+
+create index if not exists blogs_tags_idx on blogs using gin (tags);
+create index if not exists blogs_user_category_idx on blogs (user_id, category);
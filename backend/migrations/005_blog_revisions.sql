@@ -0,0 +1,14 @@
+-- Snapshot of a blog taken before every update or restore.
+create table if not exists blog_revisions (
+  id bigint generated always as identity primary key,
+  blog_id bigint not null references blogs (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  title text not null,
+  content text not null,
+  tags text[] not null default '{}',
+  category text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists blog_revisions_blog_created_at_idx
+  on blog_revisions (blog_id, created_at desc);
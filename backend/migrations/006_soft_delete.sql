@@ -0,0 +1,5 @@
+-- Deleted blogs sit in the trash until restored or purged after the
+-- retention window (TRASH_RETENTION_DAYS).
+alter table blogs add column if not exists deleted_at timestamptz;
+
+create index if not exists blogs_user_deleted_at_idx on blogs (user_id, deleted_at);
@@ -0,0 +1,18 @@
+-- Optimistic concurrency: every write bumps the version and stale
+-- writes are rejected with 409.
+alter table blogs add column if not exists version integer not null default 1;
+
+-- Server-side autosave of in-progress edits. draft_key is the blog id
+-- being edited, or 'new' for the create form.
+create table if not exists blog_drafts (
+  id bigint generated always as identity primary key,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  draft_key text not null,
+  title text not null default '',
+  content text not null default '',
+  tags text[] not null default '{}',
+  category text,
+  base_version integer,
+  updated_at timestamptz not null default now(),
+  unique (user_id, draft_key)
+);
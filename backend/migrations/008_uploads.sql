@@ -0,0 +1,23 @@
+-- Images uploaded through POST /uploads. size_bytes covers the stored
+-- image and its thumbnail and is what counts towards the plan quota.
+create table if not exists uploads (
+  id bigint generated always as identity primary key,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  storage_key text not null,
+  thumbnail_key text not null,
+  url text not null,
+  thumbnail_url text not null,
+  content_type text not null,
+  original_name text,
+  size_bytes bigint not null,
+  width integer,
+  height integer,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists uploads_user_created_at_idx on uploads (user_id, created_at desc);
+
+-- Only needed with STORAGE_DRIVER=supabase.
+insert into storage.buckets (id, name, public)
+values ('blog-uploads', 'blog-uploads', true)
+on conflict (id) do nothing;
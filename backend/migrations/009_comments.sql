@@ -0,0 +1,23 @@
+-- Threaded comments on blogs. root_id points at the top-level comment of
+-- a thread so a page of threads can be loaded in one query.
+alter table blogs add column if not exists comments_locked boolean not null default false;
+
+create table if not exists comments (
+  id bigint generated always as identity primary key,
+  blog_id bigint not null references blogs (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  parent_id bigint references comments (id) on delete cascade,
+  root_id bigint references comments (id) on delete cascade,
+  depth integer not null default 0,
+  author_name text not null,
+  body text not null,
+  status text not null default 'visible'
+    check (status in ('visible', 'hidden', 'deleted')),
+  created_at timestamptz not null default now(),
+  edited_at timestamptz
+);
+
+create index if not exists comments_blog_root_idx
+  on comments (blog_id, created_at, id) where parent_id is null;
+create index if not exists comments_root_id_idx on comments (root_id);
+create index if not exists comments_user_created_at_idx on comments (user_id, created_at);
@@ -0,0 +1,18 @@
+-- Subscription state mirrored from Stripe webhooks.
+alter table profiles
+  add column if not exists subscription_status text,
+  add column if not exists stripe_price_id text,
+  add column if not exists current_period_end timestamptz,
+  add column if not exists cancel_at_period_end boolean not null default false,
+  add column if not exists grace_period_ends_at timestamptz,
+  -- created timestamp of the last Stripe event applied, to drop out-of-order deliveries
+  add column if not exists stripe_event_created bigint;
+
+create index if not exists profiles_stripe_customer_id_idx on profiles (stripe_customer_id);
+
+-- Every Stripe event id we have finished processing, so retries are no-ops.
+create table if not exists stripe_events (
+  id text primary key,
+  type text not null,
+  processed_at timestamptz not null default now()
+);
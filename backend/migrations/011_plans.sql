@@ -0,0 +1,21 @@
+-- Plan definitions, read by the API instead of hardcoded limits.
+create table if not exists plans (
+  id text primary key,
+  name text not null,
+  max_blogs integer not null,
+  max_storage_bytes bigint not null,
+  features jsonb not null default '{}'::jsonb,
+  sort_order integer not null default 0
+);
+
+insert into plans (id, name, max_blogs, max_storage_bytes, features, sort_order)
+values
+  ('free', 'Free', 4, 26214400, '{"scheduling": false, "custom_domains": false}', 0),
+  ('premium', 'Premium', 20, 1073741824, '{"scheduling": true, "custom_domains": true}', 1)
+on conflict (id) do nothing;
+
+-- Blogs over the plan limit after a downgrade: read-only and hidden from
+-- public pages until the owner is back within the limit.
+alter table blogs add column if not exists archived_at timestamptz;
+
+create index if not exists blogs_user_archived_idx on blogs (user_id, archived_at);
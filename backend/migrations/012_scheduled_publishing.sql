@@ -0,0 +1,32 @@
+-- Scheduled publishing: drafts with publish_at go live once it has passed.
+alter table blogs add column if not exists publish_at timestamptz;
+
+create index if not exists blogs_publish_at_idx on blogs (publish_at)
+  where publish_at is not null;
+
+-- Publishes every due post in one statement. Row locks make concurrent
+-- callers skip posts another caller already published.
+create or replace function publish_due_blogs()
+returns setof blogs
+language sql
+as $$
+  update blogs
+  set status = 'published',
+      published_at = coalesce(published_at, publish_at),
+      publish_at = null,
+      version = version + 1,
+      updated_at = now()
+  where publish_at <= now()
+    and status <> 'published'
+    and deleted_at is null
+    and archived_at is null
+  returning *;
+$$;
+
+-- One row per background job; a run holds the lease until locked_until.
+create table if not exists job_leases (
+  name text primary key,
+  locked_until timestamptz not null,
+  locked_by text,
+  last_run_at timestamptz
+);
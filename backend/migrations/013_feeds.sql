@@ -0,0 +1,2 @@
+-- Authors opt in before their published posts are syndicated.
+alter table profiles add column if not exists feed_enabled boolean not null default false;
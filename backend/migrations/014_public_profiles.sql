@@ -0,0 +1,10 @@
+-- Public author profile fields.
+alter table profiles
+  add column if not exists username text,
+  add column if not exists display_name text,
+  add column if not exists bio text,
+  add column if not exists avatar_url text,
+  add column if not exists social_links jsonb not null default '{}'::jsonb;
+
+-- usernames are stored lowercase by the API; the index guards races
+create unique index if not exists profiles_username_key on profiles (lower(username));
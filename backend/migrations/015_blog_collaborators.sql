@@ -0,0 +1,22 @@
+-- Co-authors of a blog. Invitations are addressed to an email address and
+-- get the invitee's user_id once they accept. The blog's user_id stays its
+-- owner, and only owned blogs count towards plan limits.
+create table if not exists blog_collaborators (
+  id bigint generated always as identity primary key,
+  blog_id bigint not null references blogs (id) on delete cascade,
+  email text not null,
+  user_id uuid references auth.users (id) on delete cascade,
+  role text not null check (role in ('editor', 'viewer')),
+  status text not null default 'pending'
+    check (status in ('pending', 'accepted', 'declined')),
+  invited_by uuid not null references auth.users (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  responded_at timestamptz,
+  -- emails are stored lowercase by the API
+  unique (blog_id, email)
+);
+
+create index if not exists blog_collaborators_user_idx
+  on blog_collaborators (user_id) where status = 'accepted';
+create index if not exists blog_collaborators_email_idx
+  on blog_collaborators (email) where status = 'pending';
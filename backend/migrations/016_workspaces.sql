@@ -0,0 +1,49 @@
+-- Team workspaces. A workspace owns its blogs and has its own plan and
+-- Stripe subscription, billed per seat (one seat per accepted member).
+-- Blogs without a workspace_id stay personal and count towards the
+-- author's own plan.
+create table if not exists workspaces (
+  id bigint generated always as identity primary key,
+  name text not null,
+  plan text not null default 'free' references plans (id),
+  stripe_customer_id text,
+  stripe_subscription_id text,
+  subscription_status text,
+  stripe_price_id text,
+  current_period_end timestamptz,
+  cancel_at_period_end boolean not null default false,
+  grace_period_ends_at timestamptz,
+  -- created timestamp of the last Stripe event applied, to drop out-of-order deliveries
+  stripe_event_created bigint,
+  created_by uuid not null references auth.users (id) on delete cascade,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists workspaces_stripe_customer_id_idx on workspaces (stripe_customer_id);
+
+-- Members and invitations, addressed by email like blog_collaborators.
+-- The creator is added as the 'owner' member.
+create table if not exists workspace_members (
+  id bigint generated always as identity primary key,
+  workspace_id bigint not null references workspaces (id) on delete cascade,
+  email text not null,
+  user_id uuid references auth.users (id) on delete cascade,
+  role text not null check (role in ('owner', 'admin', 'writer')),
+  status text not null default 'pending'
+    check (status in ('pending', 'accepted', 'declined')),
+  invited_by uuid references auth.users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  responded_at timestamptz,
+  -- emails are stored lowercase by the API
+  unique (workspace_id, email)
+);
+
+create index if not exists workspace_members_user_idx
+  on workspace_members (user_id) where status = 'accepted';
+create index if not exists workspace_members_email_idx
+  on workspace_members (email) where status = 'pending';
+
+alter table blogs
+  add column if not exists workspace_id bigint references workspaces (id) on delete cascade;
+
+create index if not exists blogs_workspace_idx on blogs (workspace_id, deleted_at);
@@ -0,0 +1,159 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "./support/harness.js";
+
+describe("authentication", () => {
+  let server;
+  let user;
+
+  before(async () => {
+    server = await startTestServer();
+    user = await server.signIn();
+  });
+
+  after(() => server.close());
+
+  it("requires a token on private routes", async () => {
+    const response = await server.get("/blogs");
+
+    assert.equal(response.status, 401);
+    assert.equal(response.body.code, "token_missing");
+  });
+
+  it("tells expired tokens apart from invalid ones", async () => {
+    const expired = await server.get("/blogs", { token: await server.expiredToken(user) });
+    assert.equal(expired.status, 401);
+    assert.equal(expired.body.code, "token_expired");
+
+    const invalid = await server.get("/blogs", { token: "not.a.jwt" });
+    assert.equal(invalid.status, 401);
+    assert.equal(invalid.body.code, "token_invalid");
+
+    const forged = await server.get("/blogs", { token: `${user.token.slice(0, -4)}AAAA` });
+    assert.equal(forged.status, 401);
+    assert.equal(forged.body.code, "token_invalid");
+  });
+
+  it("creates the profile on first use", async () => {
+    const response = await server.get("/profile", { user });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.plan, "free");
+    assert.ok(server.supabase.table("profiles").some((row) => row.id === user.id));
+  });
+
+  it("lets anonymous readers through optional auth", async () => {
+    const author = await server.signIn();
+    const blog = (
+      await server.post("/blogs", {
+        user: author,
+        body: { title: "Open", content: "Hi", status: "published" },
+      })
+    ).body;
+
+    const response = await server.get(`/blogs/${blog.id}/comments`);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.isPostAuthor, false);
+  });
+
+  it("sends security headers", async () => {
+    const response = await server.get("/plans");
+
+    assert.equal(response.headers.get("x-content-type-options"), "nosniff");
+    assert.equal(response.headers.get("x-powered-by"), null);
+  });
+
+  it("only allows CORS from the configured frontend", async () => {
+    const allowed = await server.get("/plans", { headers: { Origin: "http://app.test" } });
+    assert.equal(allowed.headers.get("access-control-allow-origin"), "http://app.test");
+
+    const other = await server.get("/plans", { headers: { Origin: "http://evil.test" } });
+    assert.equal(other.headers.get("access-control-allow-origin"), null);
+  });
+
+  it("rejects oversized JSON bodies", async () => {
+    const response = await server.post("/blogs", {
+      user,
+      body: { title: "Big", content: "x".repeat(1024 * 1024 + 1) },
+    });
+
+    assert.equal(response.status, 413);
+    assert.equal(response.body.code, "payload_too_large");
+  });
+});
+
+describe("rate limiting", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer({
+      env: { RATE_LIMIT_API_MAX: "3", RATE_LIMIT_WRITE_MAX: "1" },
+    });
+  });
+
+  after(() => server.close());
+
+  it("answers 429 with Retry-After once the budget is spent", async () => {
+    const statuses = [];
+    for (let index = 0; index < 4; index += 1) {
+      statuses.push((await server.get("/plans")).status);
+    }
+
+    assert.deepEqual(statuses, [200, 200, 200, 429]);
+    const limited = await server.get("/plans");
+    assert.equal(limited.body.code, "rate_limited");
+    assert.ok(Number(limited.headers.get("retry-after")) > 0);
+  });
+});
+
+describe("auth rate limiting", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer({ env: { RATE_LIMIT_AUTH_MAX: "60" } });
+  });
+
+  after(() => server.close());
+
+  it("doesn't charge valid tokens to the auth budget", async () => {
+    const user = await server.signIn();
+    const statuses = [];
+    for (let index = 0; index < 61; index += 1) {
+      statuses.push((await server.get("/blogs", { user })).status);
+    }
+
+    assert.ok(statuses.every((status) => status === 200));
+  });
+
+  it("limits failed token checks per IP", async () => {
+    const statuses = [];
+    for (let index = 0; index < 61; index += 1) {
+      statuses.push((await server.get("/blogs", { token: "not.a.jwt" })).status);
+    }
+
+    assert.equal(statuses[59], 401);
+    assert.equal(statuses[60], 429);
+  });
+});
+
+describe("write rate limiting", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer({ env: { RATE_LIMIT_WRITE_MAX: "1" } });
+  });
+
+  after(() => server.close());
+
+  it("limits writes per user", async () => {
+    const user = await server.signIn();
+    const body = { title: "T", content: "C" };
+
+    assert.equal((await server.post("/blogs", { user, body })).status, 200);
+    assert.equal((await server.post("/blogs", { user, body })).status, 429);
+
+    const other = await server.signIn();
+    assert.equal((await server.post("/blogs", { user: other, body })).status, 200);
+  });
+});
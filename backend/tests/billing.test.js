@@ -0,0 +1,330 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer } from "./support/harness.js";
+import { createFakeStripe, stripeEvent } from "./support/fakeStripe.js";
+import { createStripeEventHandler } from "../lib/stripeWebhook.js";
+
+describe("billing", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer({
+      stripe: createFakeStripe({
+        prices: { price_annual: { unit_amount: 5000 } },
+        invoices: [
+          {
+            id: "in_1",
+            customer: "cus_billing",
+            number: "0001",
+            status: "paid",
+            amount_paid: 500,
+            currency: "usd",
+            created: 1700000000,
+            hosted_invoice_url: "https://invoice.stripe.test/in_1",
+          },
+        ],
+      }),
+    });
+  });
+
+  after(() => server.close());
+
+  it("summarizes prices and invoices", async () => {
+    const user = await server.signIn();
+    server.seedProfile(user, { stripe_customer_id: "cus_billing" });
+
+    const response = await server.get("/billing", { user });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.plan, "free");
+    assert.equal(response.body.canManage, true);
+    assert.deepEqual(response.body.prices, [
+      { interval: "monthly", amount: 500, currency: "usd" },
+      { interval: "annual", amount: 5000, currency: "usd" },
+    ]);
+    assert.equal(response.body.invoices[0].number, "0001");
+    assert.equal(response.body.invoices[0].amount, 500);
+  });
+
+  it("starts checkout with a new customer for the chosen interval", async () => {
+    const user = await server.signIn();
+
+    const response = await server.post("/billing/checkout", {
+      user,
+      body: { interval: "annual" },
+    });
+
+    assert.equal(response.status, 200);
+    assert.match(response.body.checkoutUrl, /^https:\/\/checkout\.stripe\.test\//);
+
+    const session = server.stripe.calls.findLast(
+      (call) => call.method === "checkout.sessions.create"
+    ).params;
+    assert.equal(session.line_items[0].price, "price_annual");
+    assert.equal(session.metadata.supabaseUserId, user.id);
+    assert.equal(session.success_url, "http://app.test/billing-success");
+
+    const profile = server.supabase.table("profiles").find((row) => row.id === user.id);
+    assert.equal(profile.stripe_customer_id, session.customer);
+  });
+
+  it("validates the interval and refuses a second subscription", async () => {
+    const user = await server.signIn();
+    const invalid = await server.post("/billing/checkout", {
+      user,
+      body: { interval: "weekly" },
+    });
+    assert.equal(invalid.status, 400);
+    assert.ok(invalid.body.fields.interval);
+
+    const subscriber = await server.signIn();
+    server.seedProfile(subscriber, { plan: "premium", stripe_customer_id: "cus_sub" });
+    const again = await server.post("/billing/checkout", { user: subscriber, body: {} });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, "already_subscribed");
+  });
+
+  it("opens the billing portal only for customers", async () => {
+    const user = await server.signIn();
+    const none = await server.post("/billing/portal", { user });
+    assert.equal(none.status, 409);
+    assert.equal(none.body.code, "no_billing_account");
+
+    const customer = await server.signIn();
+    server.seedProfile(customer, { stripe_customer_id: "cus_portal" });
+    const portal = await server.post("/billing/portal", { user: customer });
+    assert.equal(portal.status, 200);
+    assert.match(portal.body.portalUrl, /^https:\/\/billing\.stripe\.test\//);
+  });
+});
+
+describe("billing without Stripe", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer({ stripe: null });
+  });
+
+  after(() => server.close());
+
+  it("reports billing as not configured", async () => {
+    const user = await server.signIn();
+
+    const summary = await server.get("/billing", { user });
+    assert.equal(summary.status, 200);
+    assert.deepEqual(summary.body.prices, []);
+    assert.equal(summary.body.canManage, false);
+
+    for (const url of ["/billing/checkout", "/billing/portal"]) {
+      const response = await server.post(url, { user, body: {} });
+      assert.equal(response.status, 503);
+      assert.equal(response.body.code, "billing_not_configured");
+    }
+
+    const webhook = await server.sendWebhook(stripeEvent("invoice.paid", {}));
+    assert.equal(webhook.status, 503);
+  });
+});
+
+describe("stripe webhooks", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(() => server.close());
+
+  const profileOf = (user) =>
+    server.supabase.table("profiles").find((row) => row.id === user.id);
+
+  // a signed-in user whose profile is linked to a Stripe customer
+  const customer = async (fields = {}) => {
+    const user = await server.signIn();
+    server.seedProfile(user, { stripe_customer_id: `cus_${user.id}`, ...fields });
+    return user;
+  };
+
+  const subscription = (user, fields = {}) => ({
+    id: `sub_${user.id}`,
+    customer: `cus_${user.id}`,
+    status: "active",
+    cancel_at_period_end: false,
+    current_period_end: 1900000000,
+    items: { data: [{ price: { id: "price_annual" } }] },
+    ...fields,
+  });
+
+  it("rejects deliveries with a bad signature", async () => {
+    const response = await server.sendWebhook(stripeEvent("invoice.paid", {}), {
+      signature: "t=1,v1=forged",
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, "invalid_signature");
+    assert.equal(server.supabase.table("stripe_events").length, 0);
+  });
+
+  it("upgrades on a completed checkout and processes each event once", async () => {
+    const user = await server.signIn();
+    server.seedProfile(user);
+    const event = stripeEvent("checkout.session.completed", {
+      customer: "cus_new",
+      subscription: "sub_new",
+      metadata: { supabaseUserId: user.id },
+    });
+
+    const first = await server.sendWebhook(event);
+    assert.equal(first.status, 200);
+    assert.deepEqual(first.body, { received: true, duplicate: false });
+    assert.equal(profileOf(user).plan, "premium");
+    assert.equal(profileOf(user).stripe_customer_id, "cus_new");
+
+    const second = await server.sendWebhook(event);
+    assert.deepEqual(second.body, { received: true, duplicate: true });
+
+    const profile = await server.get("/profile", { user });
+    assert.equal(profile.body.plan, "premium");
+  });
+
+  it("syncs subscription updates and downgrades on cancellation", async () => {
+    const user = await customer();
+
+    await server.sendWebhook(
+      stripeEvent("customer.subscription.updated", subscription(user, { cancel_at_period_end: true }))
+    );
+    const billing = await server.get("/billing", { user });
+    assert.equal(billing.body.plan, "premium");
+    assert.equal(billing.body.interval, "annual");
+    assert.equal(billing.body.cancelAtPeriodEnd, true);
+
+    await server.sendWebhook(stripeEvent("customer.subscription.deleted", subscription(user)));
+    assert.equal(profileOf(user).plan, "free");
+    assert.equal(profileOf(user).subscription_status, "canceled");
+    assert.equal((await server.get("/profile", { user })).body.plan, "free");
+  });
+
+  it("drops premium while a subscription is paused and restores it on resume", async () => {
+    const user = await customer({ plan: "premium", subscription_status: "active" });
+    const now = Math.floor(Date.now() / 1000);
+
+    await server.sendWebhook(
+      stripeEvent("customer.subscription.paused", subscription(user, { status: "paused" }), {
+        created: now - 60,
+      })
+    );
+    assert.equal(profileOf(user).plan, "free");
+    assert.equal(profileOf(user).subscription_status, "paused");
+
+    await server.sendWebhook(
+      stripeEvent("customer.subscription.resumed", subscription(user), { created: now })
+    );
+    assert.equal(profileOf(user).plan, "premium");
+    assert.equal(profileOf(user).subscription_status, "active");
+  });
+
+  it("applies concurrent deliveries of the same event once", async () => {
+    const user = await server.signIn();
+    server.seedProfile(user);
+    const event = stripeEvent("checkout.session.completed", {
+      customer: `cus_${user.id}`,
+      subscription: `sub_${user.id}`,
+      metadata: { supabaseUserId: user.id },
+    });
+
+    const deliveries = await Promise.all([server.sendWebhook(event), server.sendWebhook(event)]);
+
+    assert.deepEqual(
+      deliveries.map((response) => response.body.duplicate).sort(),
+      [false, true]
+    );
+  });
+
+  it("gives a failed event back so Stripe's retry can apply it", async () => {
+    const user = await customer();
+    let failures = 1;
+    const stripeEvents = createStripeEventHandler({
+      supabase: server.supabase,
+      defaultPlan: "free",
+      premiumPlan: "premium",
+      gracePeriodDays: 7,
+      onPlanChange: async () => {
+        if (failures > 0) {
+          failures -= 1;
+          throw new Error("Downstream failure");
+        }
+      },
+    });
+    const event = stripeEvent("customer.subscription.updated", subscription(user));
+
+    await assert.rejects(stripeEvents.handleEvent(event), /Downstream failure/);
+    assert.ok(!server.supabase.table("stripe_events").some((row) => row.id === event.id));
+
+    assert.deepEqual(await stripeEvents.handleEvent(event), { duplicate: false });
+    assert.equal(profileOf(user).plan, "premium");
+  });
+
+  it("ignores events older than the last one applied", async () => {
+    const user = await customer();
+    const now = Math.floor(Date.now() / 1000);
+
+    await server.sendWebhook(
+      stripeEvent("customer.subscription.deleted", subscription(user), { created: now })
+    );
+    await server.sendWebhook(
+      stripeEvent("customer.subscription.updated", subscription(user), { created: now - 60 })
+    );
+
+    assert.equal(profileOf(user).plan, "free");
+    assert.equal(profileOf(user).subscription_status, "canceled");
+  });
+
+  it("keeps premium through the grace period after a failed payment", async () => {
+    const user = await customer();
+    const tenDaysAgo = Math.floor(Date.now() / 1000) - 10 * 24 * 60 * 60;
+
+    await server.sendWebhook(
+      stripeEvent("customer.subscription.updated", subscription(user), { created: tenDaysAgo })
+    );
+    await server.sendWebhook(
+      stripeEvent("invoice.payment_failed", { customer: `cus_${user.id}` }, { created: tenDaysAgo + 1 })
+    );
+    assert.equal(profileOf(user).subscription_status, "past_due");
+    assert.equal(profileOf(user).plan, "premium");
+    assert.ok(profileOf(user).grace_period_ends_at);
+
+    await server.jobs.runJob("expire-grace-periods");
+
+    assert.equal(profileOf(user).plan, "free");
+    assert.equal((await server.get("/profile", { user })).body.plan, "free");
+  });
+
+  it("restores premium when an invoice is paid", async () => {
+    const user = await customer({
+      plan: "free",
+      subscription_status: "past_due",
+      stripe_subscription_id: "sub_paid",
+    });
+
+    await server.sendWebhook(
+      stripeEvent("invoice.paid", {
+        customer: `cus_${user.id}`,
+        subscription: "sub_paid",
+        lines: { data: [{ period: { end: 1900000000 } }] },
+      })
+    );
+
+    assert.equal(profileOf(user).plan, "premium");
+    assert.equal(profileOf(user).subscription_status, "active");
+    assert.equal(profileOf(user).current_period_end, new Date(1900000000 * 1000).toISOString());
+  });
+
+  it("records unknown event types without failing", async () => {
+    const event = stripeEvent("customer.created", { id: "cus_unknown" });
+
+    const response = await server.sendWebhook(event);
+
+    assert.equal(response.status, 200);
+    assert.ok(server.supabase.table("stripe_events").some((row) => row.id === event.id));
+  });
+});
@@ -0,0 +1,501 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer, createBlog } from "./support/harness.js";
+import { stripeEvent } from "./support/fakeStripe.js";
+
+describe("blogs", () => {
+  let server;
+  let alice;
+  let bob;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    alice = await server.signIn();
+    bob = await server.signIn();
+  });
+
+  it("creates a blog with rendered html, a slug and normalized tags", async () => {
+    const response = await server.post("/blogs", {
+      user: alice,
+      body: {
+        title: "Hello World",
+        content: "# Hi\n\n<script>alert(1)</script>",
+        tags: ["Web Dev", "web-dev", "node"],
+        category: "  Notes ",
+      },
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.user_id, alice.id);
+    assert.equal(response.body.status, "draft");
+    assert.match(response.body.slug, /^hello-world/);
+    assert.deepEqual(response.body.tags, ["web-dev", "node"]);
+    assert.equal(response.body.category, "Notes");
+    assert.match(response.body.content_html, /<h1/);
+    assert.doesNotMatch(response.body.content_html, /<script/);
+  });
+
+  it("gives every blog a unique slug", async () => {
+    const first = await createBlog(server, alice, { title: "Same title" });
+    const second = await createBlog(server, bob, { title: "Same title" });
+
+    assert.notEqual(first.slug, second.slug);
+  });
+
+  it("rejects invalid bodies with field errors", async () => {
+    const response = await server.post("/blogs", {
+      user: alice,
+      body: { title: "", content: 12, status: "live", tags: "nope" },
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, "validation_failed");
+    assert.deepEqual(Object.keys(response.body.fields).sort(), [
+      "content",
+      "status",
+      "tags",
+      "title",
+    ]);
+  });
+
+  it("rejects titles over the length limit", async () => {
+    const response = await server.post("/blogs", {
+      user: alice,
+      body: { title: "x".repeat(201), content: "Body" },
+    });
+
+    assert.equal(response.status, 400);
+    assert.ok(response.body.fields.title);
+  });
+
+  it("rejects malformed JSON", async () => {
+    const response = await server.post("/blogs", {
+      user: alice,
+      body: "{not json",
+      headers: { "Content-Type": "application/json" },
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, "invalid_json");
+  });
+
+  it("lists only the user's own blogs, newest first, with cursor pagination", async () => {
+    for (const title of ["One", "Two", "Three"]) {
+      await createBlog(server, alice, { title });
+    }
+    await createBlog(server, bob, { title: "Not yours" });
+
+    const firstPage = await server.get("/blogs?limit=2", { user: alice });
+    assert.equal(firstPage.status, 200);
+    assert.deepEqual(
+      firstPage.body.items.map((blog) => blog.title),
+      ["Three", "Two"]
+    );
+    assert.ok(firstPage.body.nextCursor);
+
+    const secondPage = await server.get(
+      `/blogs?limit=2&cursor=${firstPage.body.nextCursor}`,
+      { user: alice }
+    );
+    assert.deepEqual(
+      secondPage.body.items.map((blog) => blog.title),
+      ["One"]
+    );
+    assert.equal(secondPage.body.nextCursor, null);
+  });
+
+  it("filters the list by tag, category and search text", async () => {
+    await createBlog(server, alice, { title: "Tagged", tags: ["node"], category: "Dev" });
+    await createBlog(server, alice, { title: "Other", content: "nothing to see" });
+
+    const byTag = await server.get("/blogs?tags=node", { user: alice });
+    assert.deepEqual(byTag.body.items.map((blog) => blog.title), ["Tagged"]);
+
+    const byCategory = await server.get("/blogs?category=Dev", { user: alice });
+    assert.deepEqual(byCategory.body.items.map((blog) => blog.title), ["Tagged"]);
+
+    const bySearch = await server.get("/blogs?q=nothing", { user: alice });
+    assert.deepEqual(bySearch.body.items.map((blog) => blog.title), ["Other"]);
+
+    const badLimit = await server.get("/blogs?limit=500", { user: alice });
+    assert.equal(badLimit.status, 400);
+  });
+
+  it("summarizes tags and categories in use", async () => {
+    await createBlog(server, alice, { tags: ["a", "b"], category: "X" });
+    await createBlog(server, alice, { tags: ["a"] });
+
+    const response = await server.get("/taxonomy", { user: alice });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.tags, [
+      { name: "a", count: 2 },
+      { name: "b", count: 1 },
+    ]);
+    assert.deepEqual(response.body.categories, [{ name: "X", count: 1 }]);
+  });
+
+  it("updates a blog, bumps its version and keeps a revision", async () => {
+    const blog = await createBlog(server, alice, { title: "Draft title" });
+
+    const response = await server.put(`/blogs/${blog.id}`, {
+      user: alice,
+      body: { title: "New title", content: "New body", version: blog.version },
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.title, "New title");
+    assert.equal(response.body.version, blog.version + 1);
+    assert.match(response.body.slug, /^new-title/);
+
+    const revisions = await server.get(`/blogs/${blog.id}/revisions`, { user: alice });
+    assert.equal(revisions.status, 200);
+    assert.equal(revisions.body.length, 1);
+    assert.equal(revisions.body[0].title, "Draft title");
+
+    const revision = await server.get(
+      `/blogs/${blog.id}/revisions/${revisions.body[0].id}`,
+      { user: alice }
+    );
+    assert.equal(revision.body.content, "Some **markdown**.");
+  });
+
+  it("keeps the slug of a published blog when the title changes", async () => {
+    const blog = await createBlog(server, alice, { title: "Launch", status: "published" });
+
+    const response = await server.put(`/blogs/${blog.id}`, {
+      user: alice,
+      body: { title: "Renamed launch", content: "Body" },
+    });
+
+    assert.equal(response.body.slug, blog.slug);
+    assert.equal(response.body.published_at, blog.published_at);
+  });
+
+  it("answers a stale version with a conflict and the current blog", async () => {
+    const blog = await createBlog(server, alice);
+    await server.put(`/blogs/${blog.id}`, {
+      user: alice,
+      body: { title: "Elsewhere", content: "Changed", version: blog.version },
+    });
+
+    const response = await server.put(`/blogs/${blog.id}`, {
+      user: alice,
+      body: { title: "Mine", content: "Stale", version: blog.version },
+    });
+
+    assert.equal(response.status, 409);
+    assert.equal(response.body.code, "version_conflict");
+    assert.equal(response.body.current.title, "Elsewhere");
+    const revisions = await server.get(`/blogs/${blog.id}/revisions`, { user: alice });
+    assert.equal(revisions.body.length, 1);
+  });
+
+  it("refuses to restore a revision over a newer edit", async () => {
+    const blog = await createBlog(server, alice, { title: "Original" });
+    const edited = (
+      await server.put(`/blogs/${blog.id}`, {
+        user: alice,
+        body: { title: "Edited", content: "Edited body", version: blog.version },
+      })
+    ).body;
+    const [revision] = (await server.get(`/blogs/${blog.id}/revisions`, { user: alice })).body;
+    await server.put(`/blogs/${blog.id}`, {
+      user: alice,
+      body: { title: "Edited again", content: "Newer", version: edited.version },
+    });
+
+    const response = await server.post(`/blogs/${blog.id}/revisions/${revision.id}/restore`, {
+      user: alice,
+      body: { version: edited.version },
+    });
+
+    assert.equal(response.status, 409);
+    assert.equal(response.body.code, "version_conflict");
+    assert.equal(response.body.current.title, "Edited again");
+    const revisions = await server.get(`/blogs/${blog.id}/revisions`, { user: alice });
+    assert.equal(revisions.body.length, 2);
+  });
+
+  it("restores a revision and keeps the replaced content as a revision", async () => {
+    const blog = await createBlog(server, alice, { title: "Original" });
+    await server.put(`/blogs/${blog.id}`, {
+      user: alice,
+      body: { title: "Edited", content: "Edited body" },
+    });
+    const [revision] = (await server.get(`/blogs/${blog.id}/revisions`, { user: alice })).body;
+
+    const response = await server.post(
+      `/blogs/${blog.id}/revisions/${revision.id}/restore`,
+      { user: alice }
+    );
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.title, "Original");
+    const revisions = await server.get(`/blogs/${blog.id}/revisions`, { user: alice });
+    assert.equal(revisions.body.length, 2);
+  });
+
+  it("hides other users' blogs behind 404s", async () => {
+    const blog = await createBlog(server, alice);
+    const attempts = [
+      server.put(`/blogs/${blog.id}`, { user: bob, body: { title: "Mine", content: "Now" } }),
+      server.del(`/blogs/${blog.id}`, { user: bob }),
+      server.get(`/blogs/${blog.id}/revisions`, { user: bob }),
+      server.get(`/drafts/${blog.id}`, { user: bob }),
+      server.put(`/blogs/${blog.id}/comment-lock`, { user: bob, body: { locked: true } }),
+    ];
+
+    for (const response of await Promise.all(attempts)) {
+      assert.equal(response.status, 404);
+      assert.equal(response.body.code, "not_found");
+    }
+
+    const unchanged = await server.get("/blogs", { user: alice });
+    assert.equal(unchanged.body.items[0].title, blog.title);
+  });
+
+  it("rejects ids that are not bigint ids", async () => {
+    const response = await server.put("/blogs/abc", {
+      user: alice,
+      body: { title: "T", content: "C" },
+    });
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(Object.keys(response.body.fields), ["id"]);
+  });
+
+  it("moves blogs to the trash, restores and purges them", async () => {
+    const blog = await createBlog(server, alice);
+
+    const deleted = await server.del(`/blogs/${blog.id}`, { user: alice });
+    assert.equal(deleted.status, 200);
+    assert.equal((await server.get("/blogs", { user: alice })).body.items.length, 0);
+
+    const trash = await server.get("/trash", { user: alice });
+    assert.equal(trash.body.length, 1);
+    assert.ok(trash.body[0].purge_at);
+
+    const restored = await server.post(`/trash/${blog.id}/restore`, { user: alice });
+    assert.equal(restored.status, 200);
+    assert.equal(restored.body.deleted_at, null);
+
+    await server.del(`/blogs/${blog.id}`, { user: alice });
+    const purged = await server.del(`/trash/${blog.id}`, { user: alice });
+    assert.equal(purged.status, 200);
+    assert.ok(!server.supabase.table("blogs").some((row) => row.id === blog.id));
+
+    const missing = await server.del(`/trash/${blog.id}`, { user: alice });
+    assert.equal(missing.status, 404);
+  });
+
+  it("purges blogs that outlived the trash retention window", async () => {
+    const blog = await createBlog(server, alice);
+    const row = server.supabase.table("blogs").find((item) => item.id === blog.id);
+    row.deleted_at = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000).toISOString();
+
+    await server.jobs.runJob("purge-trash");
+
+    assert.ok(!server.supabase.table("blogs").some((row) => row.id === blog.id));
+  });
+});
+
+describe("plan limits", () => {
+  let server;
+  let user;
+
+  before(async () => {
+    server = await startTestServer();
+    server.supabase.insert("plans", [
+      { id: "free", name: "Free", max_blogs: 2, max_storage_bytes: 1024, sort_order: 0 },
+      {
+        id: "premium",
+        name: "Premium",
+        max_blogs: 5,
+        max_storage_bytes: 1024 * 1024,
+        features: { scheduling: true },
+        sort_order: 1,
+      },
+    ]);
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    user = await server.signIn();
+    server.seedProfile(user, { stripe_customer_id: `cus_${user.id}` });
+  });
+
+  const subscription = (status) => ({
+    id: `sub_${user.id}`,
+    object: "subscription",
+    customer: `cus_${user.id}`,
+    status,
+    cancel_at_period_end: false,
+    items: { data: [{ price: { id: "price_monthly" }, current_period_end: 2000000000 }] },
+  });
+
+  // plan changes go through Stripe webhooks like in production
+  const setPlan = async (plan) => {
+    const response = await server.sendWebhook(
+      stripeEvent(
+        "customer.subscription.updated",
+        subscription(plan === "premium" ? "active" : "canceled")
+      )
+    );
+    assert.equal(response.status, 200);
+  };
+
+  it("stops creating blogs at the plan limit", async () => {
+    await createBlog(server, user);
+    await createBlog(server, user);
+
+    const response = await server.post("/blogs", {
+      user,
+      body: { title: "Third", content: "Too many" },
+    });
+
+    assert.equal(response.status, 403);
+    assert.equal(response.body.code, "plan_limit_reached");
+  });
+
+  it("does not count trashed blogs, but won't restore past the limit", async () => {
+    const first = await createBlog(server, user);
+    await createBlog(server, user);
+    await server.del(`/blogs/${first.id}`, { user });
+    await createBlog(server, user);
+
+    const response = await server.post(`/trash/${first.id}/restore`, { user });
+
+    assert.equal(response.status, 403);
+    assert.equal(response.body.code, "plan_limit_reached");
+  });
+
+  it("archives blogs over the limit after a downgrade and unarchives them later", async () => {
+    await createBlog(server, user);
+    await setPlan("premium");
+    const newest = [await createBlog(server, user), await createBlog(server, user)];
+    await setPlan("free");
+
+    const profile = await server.get("/profile", { user });
+    assert.equal(profile.body.archivedCount, 1);
+
+    const archived = server.supabase
+      .table("blogs")
+      .find((row) => row.user_id === user.id && row.archived_at);
+    const edit = await server.put(`/blogs/${archived.id}`, {
+      user,
+      body: { title: "Edit", content: "Blocked" },
+    });
+    assert.equal(edit.status, 403);
+    assert.equal(edit.body.code, "blog_archived");
+
+    await server.del(`/blogs/${newest[1].id}`, { user });
+    assert.ok(
+      server.supabase.table("blogs").every((row) => row.user_id !== user.id || !row.archived_at)
+    );
+  });
+
+  it("only lets plans with the scheduling feature schedule posts", async () => {
+    const publishAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+    const refused = await server.post("/blogs", {
+      user,
+      body: { title: "Later", content: "Soon", publish_at: publishAt },
+    });
+    assert.equal(refused.status, 403);
+    assert.equal(refused.body.code, "feature_unavailable");
+
+    await setPlan("premium");
+    const scheduled = await createBlog(server, user, { title: "Later", publish_at: publishAt });
+    assert.equal(scheduled.publish_at, publishAt);
+
+    const past = await server.post("/blogs", {
+      user,
+      body: { title: "Past", content: "Too late", publish_at: "2000-01-01T00:00:00Z" },
+    });
+    assert.equal(past.status, 400);
+    assert.ok(past.body.fields.publish_at);
+  });
+
+  it("publishes scheduled blogs once they are due", async () => {
+    await setPlan("premium");
+    const blog = await createBlog(server, user, {
+      publish_at: new Date(Date.now() + 60 * 1000).toISOString(),
+    });
+    server.supabase.table("blogs").find((row) => row.id === blog.id).publish_at =
+      new Date(Date.now() - 1000).toISOString();
+
+    await server.jobs.runJob("publish-scheduled");
+
+    const row = server.supabase.table("blogs").find((item) => item.id === blog.id);
+    assert.equal(row.status, "published");
+    assert.equal(row.publish_at, null);
+    assert.ok(row.published_at);
+  });
+});
+
+describe("drafts", () => {
+  let server;
+  let user;
+
+  before(async () => {
+    server = await startTestServer();
+    user = await server.signIn();
+  });
+
+  after(() => server.close());
+
+  it("saves, reads and discards the new-blog draft", async () => {
+    const missing = await server.get("/drafts/new", { user });
+    assert.equal(missing.status, 404);
+
+    const saved = await server.put("/drafts/new", {
+      user,
+      body: { title: "Half", content: "Written", tags: ["wip"] },
+    });
+    assert.equal(saved.status, 200);
+
+    const overwritten = await server.put("/drafts/new", {
+      user,
+      body: { title: "Half done", content: "Written more" },
+    });
+    assert.equal(overwritten.body.id, saved.body.id);
+
+    const fetched = await server.get("/drafts/new", { user });
+    assert.equal(fetched.body.title, "Half done");
+
+    const discarded = await server.del("/drafts/new", { user });
+    assert.equal(discarded.status, 200);
+    assert.equal((await server.get("/drafts/new", { user })).status, 404);
+  });
+
+  it("keeps drafts for existing blogs and clears them when the blog is saved", async () => {
+    const blog = await createBlog(server, user);
+    await server.put(`/drafts/${blog.id}`, {
+      user,
+      body: { title: "Edit in progress", content: "...", base_version: blog.version },
+    });
+
+    assert.equal((await server.get(`/drafts/${blog.id}`, { user })).body.base_version, 1);
+
+    await server.put(`/blogs/${blog.id}`, {
+      user,
+      body: { title: "Saved", content: "Done" },
+    });
+    assert.equal((await server.get(`/drafts/${blog.id}`, { user })).status, 404);
+  });
+
+  it("rejects unknown draft keys", async () => {
+    const invalid = await server.put("/drafts/nope", { user, body: {} });
+    assert.equal(invalid.status, 400);
+
+    const unknownBlog = await server.put("/drafts/999", { user, body: {} });
+    assert.equal(unknownBlog.status, 404);
+  });
+});
@@ -0,0 +1,271 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer, createBlog } from "./support/harness.js";
+
+describe("co-authors", () => {
+  let server;
+  let alice;
+  let bob;
+  let carol;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    alice = await server.signIn();
+    bob = await server.signIn();
+    carol = await server.signIn();
+  });
+
+  const invite = (blog, email, role, user = alice) =>
+    server.post(`/blogs/${blog.id}/collaborators`, { user, body: { email, role } });
+
+  // invites `user` to alice's blog and accepts on their behalf
+  const share = async (blog, user, role) => {
+    const invitation = await invite(blog, user.email, role);
+    assert.equal(invitation.status, 200);
+    const accepted = await server.post(`/invitations/${invitation.body.id}/accept`, { user });
+    assert.equal(accepted.status, 200);
+    return invitation.body;
+  };
+
+  const edit = (blog, user, fields = {}) =>
+    server.put(`/blogs/${blog.id}`, {
+      user,
+      body: { title: blog.title, content: "Edited", version: blog.version, ...fields },
+    });
+
+  it("sends invitations that the invitee sees and accepts", async () => {
+    await server.put("/profile", { user: alice, body: { display_name: "Alice" } });
+    const blog = await createBlog(server, alice, { title: "Shared" });
+
+    const sent = await invite(blog, bob.email.toUpperCase(), "editor");
+    assert.equal(sent.status, 200);
+    assert.equal(sent.body.email, bob.email);
+    assert.equal(sent.body.status, "pending");
+
+    const invitations = await server.get("/invitations", { user: bob });
+    assert.equal(invitations.status, 200);
+    assert.deepEqual(
+      invitations.body.map(({ blog_title, role, invited_by }) => ({ blog_title, role, invited_by })),
+      [{ blog_title: "Shared", role: "editor", invited_by: "Alice" }]
+    );
+
+    const pending = await server.get("/blogs", { user: bob });
+    assert.equal(pending.body.items.length, 0);
+
+    const accepted = await server.post(`/invitations/${sent.body.id}/accept`, { user: bob });
+    assert.equal(accepted.status, 200);
+    assert.equal(accepted.body.status, "accepted");
+    assert.equal(accepted.body.user_id, bob.id);
+
+    const list = await server.get("/blogs", { user: bob });
+    assert.deepEqual(
+      list.body.items.map(({ id, role, collaborator_id }) => ({ id, role, collaborator_id })),
+      [{ id: blog.id, role: "editor", collaborator_id: sent.body.id }]
+    );
+    assert.equal((await server.get("/invitations", { user: bob })).body.length, 0);
+
+    const own = await server.get("/blogs", { user: alice });
+    assert.equal(own.body.items[0].role, "owner");
+    assert.equal(own.body.items[0].collaborator_id, null);
+  });
+
+  it("lets only the invitee answer an invitation, once", async () => {
+    const blog = await createBlog(server, alice);
+    const sent = await invite(blog, bob.email, "viewer");
+
+    const stolen = await server.post(`/invitations/${sent.body.id}/accept`, { user: carol });
+    assert.equal(stolen.status, 404);
+
+    const declined = await server.post(`/invitations/${sent.body.id}/decline`, { user: bob });
+    assert.equal(declined.status, 200);
+    assert.equal(declined.body.status, "declined");
+
+    const again = await server.post(`/invitations/${sent.body.id}/accept`, { user: bob });
+    assert.equal(again.status, 404);
+    assert.equal((await server.get("/blogs", { user: bob })).body.items.length, 0);
+
+    // a declined invitation can be sent again
+    const resent = await invite(blog, bob.email, "editor");
+    assert.equal(resent.status, 200);
+    assert.equal(resent.body.id, sent.body.id);
+    assert.equal(resent.body.status, "pending");
+  });
+
+  it("validates invitations", async () => {
+    const blog = await createBlog(server, alice);
+
+    const badEmail = await invite(blog, "not-an-email", "editor");
+    assert.equal(badEmail.status, 400);
+    assert.ok(badEmail.body.fields.email);
+
+    const badRole = await invite(blog, bob.email, "owner");
+    assert.equal(badRole.status, 400);
+    assert.ok(badRole.body.fields.role);
+
+    const self = await invite(blog, alice.email, "editor");
+    assert.equal(self.status, 400);
+
+    assert.equal((await invite(blog, bob.email, "editor")).status, 200);
+    const duplicate = await invite(blog, bob.email, "viewer");
+    assert.equal(duplicate.status, 409);
+    assert.equal(duplicate.body.code, "already_invited");
+
+    const stranger = await invite(blog, carol.email, "editor", bob);
+    assert.equal(stranger.status, 404);
+  });
+
+  it("lets editors edit but not delete or share", async () => {
+    const blog = await createBlog(server, alice);
+    await share(blog, bob, "editor");
+
+    const edited = await edit(blog, bob, { title: "Edited by Bob" });
+    assert.equal(edited.status, 200);
+    assert.equal(edited.body.title, "Edited by Bob");
+    assert.equal(edited.body.user_id, alice.id);
+
+    const revisions = await server.get(`/blogs/${blog.id}/revisions`, { user: bob });
+    assert.equal(revisions.status, 200);
+    assert.equal(revisions.body.length, 1);
+
+    const draft = await server.put(`/drafts/${blog.id}`, {
+      user: bob,
+      body: { title: "Draft", content: "Work in progress" },
+    });
+    assert.equal(draft.status, 200);
+
+    const deleted = await server.del(`/blogs/${blog.id}`, { user: bob });
+    assert.equal(deleted.status, 403);
+    assert.equal(deleted.body.code, "forbidden");
+
+    const shared = await invite(blog, carol.email, "viewer", bob);
+    assert.equal(shared.status, 403);
+    assert.equal((await server.get(`/blogs/${blog.id}/collaborators`, { user: bob })).status, 403);
+  });
+
+  it("lets viewers read but not edit", async () => {
+    const blog = await createBlog(server, alice);
+    await share(blog, bob, "viewer");
+
+    const edited = await edit(blog, bob);
+    assert.equal(edited.status, 403);
+    assert.equal(edited.body.code, "forbidden");
+
+    const revisions = await server.get(`/blogs/${blog.id}/revisions`, { user: bob });
+    assert.equal(revisions.status, 200);
+
+    const comments = await server.get(`/blogs/${blog.id}/comments`, { user: bob });
+    assert.equal(comments.status, 200);
+
+    const draft = await server.put(`/drafts/${blog.id}`, {
+      user: bob,
+      body: { title: "Draft", content: "Nope" },
+    });
+    assert.equal(draft.status, 404);
+  });
+
+  it("keeps other users out", async () => {
+    const blog = await createBlog(server, alice);
+    await share(blog, bob, "editor");
+
+    assert.equal((await edit(blog, carol)).status, 404);
+    assert.equal((await server.del(`/blogs/${blog.id}`, { user: carol })).status, 404);
+    assert.equal((await server.get(`/blogs/${blog.id}/revisions`, { user: carol })).status, 404);
+    assert.equal((await server.get("/blogs", { user: carol })).body.items.length, 0);
+  });
+
+  it("changes roles and removes co-authors", async () => {
+    const blog = await createBlog(server, alice);
+    const bobInvite = await share(blog, bob, "editor");
+    const carolInvite = await share(blog, carol, "viewer");
+
+    const collaborators = await server.get(`/blogs/${blog.id}/collaborators`, { user: alice });
+    assert.deepEqual(
+      collaborators.body.map(({ email, role, status }) => ({ email, role, status })),
+      [
+        { email: bob.email, role: "editor", status: "accepted" },
+        { email: carol.email, role: "viewer", status: "accepted" },
+      ]
+    );
+
+    const demoted = await server.put(`/blogs/${blog.id}/collaborators/${bobInvite.id}`, {
+      user: alice,
+      body: { role: "viewer" },
+    });
+    assert.equal(demoted.status, 200);
+    assert.equal(demoted.body.role, "viewer");
+    assert.equal((await edit(blog, bob)).status, 403);
+
+    const missingRole = await server.put(`/blogs/${blog.id}/collaborators/${bobInvite.id}`, {
+      user: alice,
+      body: {},
+    });
+    assert.equal(missingRole.status, 400);
+
+    // co-authors can leave but not remove anyone else
+    const kicked = await server.del(`/blogs/${blog.id}/collaborators/${bobInvite.id}`, {
+      user: carol,
+    });
+    assert.equal(kicked.status, 403);
+
+    const left = await server.del(`/blogs/${blog.id}/collaborators/${carolInvite.id}`, {
+      user: carol,
+    });
+    assert.equal(left.status, 200);
+    assert.equal((await server.get("/blogs", { user: carol })).body.items.length, 0);
+
+    const removed = await server.del(`/blogs/${blog.id}/collaborators/${bobInvite.id}`, {
+      user: alice,
+    });
+    assert.equal(removed.status, 200);
+    assert.equal((await server.get("/blogs", { user: bob })).body.items.length, 0);
+  });
+
+  it("counts only owned blogs towards the plan limit", async () => {
+    const blog = await createBlog(server, alice);
+    await share(blog, bob, "editor");
+    for (let index = 0; index < 3; index += 1) {
+      await createBlog(server, bob);
+    }
+
+    const profile = await server.get("/profile", { user: bob });
+    assert.equal(profile.body.blogCount, 3);
+    assert.equal(profile.body.maxBlogs, 4);
+
+    const created = await server.post("/blogs", {
+      user: bob,
+      body: { title: "Fourth", content: "Still within the limit" },
+    });
+    assert.equal(created.status, 200);
+
+    const list = await server.get("/blogs", { user: bob });
+    assert.equal(list.body.items.length, 5);
+  });
+
+  it("streams edits to the owner and every co-author", async () => {
+    const blog = await createBlog(server, alice);
+    await share(blog, bob, "editor");
+    await share(blog, carol, "viewer");
+
+    const streams = await Promise.all([alice, carol].map((user) => server.openEvents(user)));
+    try {
+      for (const stream of streams) {
+        assert.equal((await stream.next()).type, "ready");
+      }
+
+      const edited = await edit(blog, bob);
+      for (const stream of streams) {
+        assert.deepEqual(await stream.next(), {
+          type: "blog.updated",
+          data: { blog: edited.body },
+        });
+      }
+    } finally {
+      streams.forEach((stream) => stream.close());
+    }
+  });
+});
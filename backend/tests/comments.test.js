@@ -0,0 +1,159 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer, createBlog } from "./support/harness.js";
+
+describe("comments", () => {
+  let server;
+  let author;
+  let reader;
+  let blog;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    author = await server.signIn();
+    reader = await server.signIn();
+    server.seedProfile(reader, { display_name: "Reader" });
+    blog = await createBlog(server, author, { status: "published" });
+  });
+
+  const comment = (user, body, fields = {}) =>
+    server.post(`/blogs/${blog.id}/comments`, { user, body: { body, ...fields } });
+
+  it("posts comments and threaded replies", async () => {
+    const root = await comment(reader, "  First!  ");
+    assert.equal(root.status, 200);
+    assert.equal(root.body.body, "First!");
+    assert.equal(root.body.author_name, "Reader");
+
+    const reply = await comment(author, "Thanks", { parent_id: root.body.id });
+    assert.equal(reply.status, 200);
+    assert.equal(reply.body.depth, 1);
+
+    const threads = await server.get(`/blogs/${blog.id}/comments`);
+    assert.equal(threads.status, 200);
+    assert.equal(threads.body.items.length, 1);
+    assert.equal(threads.body.items[0].replies[0].body, "Thanks");
+  });
+
+  it("validates comment bodies and parents", async () => {
+    const empty = await comment(reader, "   ");
+    assert.equal(empty.status, 400);
+    assert.ok(empty.body.fields.body);
+
+    const spammy = await comment(reader, "a.com http://b.com www.c.com http://d.com");
+    assert.equal(spammy.status, 400);
+
+    const orphan = await comment(reader, "Hello?", { parent_id: 999999 });
+    assert.equal(orphan.status, 404);
+  });
+
+  it("keeps comments off drafts for everyone but the author", async () => {
+    const draft = await createBlog(server, author);
+
+    const response = await server.post(`/blogs/${draft.id}/comments`, {
+      user: reader,
+      body: { body: "Sneaky" },
+    });
+    assert.equal(response.status, 404);
+
+    const own = await server.get(`/blogs/${draft.id}/comments`, { user: author });
+    assert.equal(own.status, 200);
+  });
+
+  it("slows down rapid commenters", async () => {
+    for (let index = 0; index < 5; index += 1) {
+      assert.equal((await comment(reader, `Comment ${index}`)).status, 200);
+    }
+
+    const response = await comment(reader, "One more");
+    assert.equal(response.status, 429);
+    assert.equal(response.body.code, "rate_limited");
+    assert.ok(response.headers.get("retry-after"));
+  });
+
+  it("lets only the comment author edit", async () => {
+    const posted = await comment(reader, "Typo");
+    const url = `/blogs/${blog.id}/comments/${posted.body.id}`;
+
+    const forbidden = await server.put(url, { user: author, body: { body: "Hijack" } });
+    assert.equal(forbidden.status, 403);
+    assert.equal(forbidden.body.code, "forbidden");
+
+    const edited = await server.put(url, { user: reader, body: { body: "Fixed" } });
+    assert.equal(edited.status, 200);
+    assert.equal(edited.body.body, "Fixed");
+    assert.ok(edited.body.edited_at);
+  });
+
+  it("lets the comment author or post author delete, leaving placeholders for threads", async () => {
+    const root = await comment(reader, "Root");
+    await comment(author, "Reply", { parent_id: root.body.id });
+    const stranger = await server.signIn();
+
+    const refused = await server.del(`/blogs/${blog.id}/comments/${root.body.id}`, {
+      user: stranger,
+    });
+    assert.equal(refused.status, 403);
+
+    const deleted = await server.del(`/blogs/${blog.id}/comments/${root.body.id}`, {
+      user: author,
+    });
+    assert.equal(deleted.status, 200);
+
+    const row = server.supabase.table("comments").find((item) => item.id === root.body.id);
+    assert.equal(row.status, "deleted");
+    assert.equal(row.body, "");
+  });
+
+  it("lets the post author hide comments from readers", async () => {
+    const posted = await comment(reader, "Rude");
+    const url = `/blogs/${blog.id}/comments/${posted.body.id}/visibility`;
+
+    assert.equal((await server.put(url, { user: reader, body: { hidden: true } })).status, 404);
+    assert.equal((await server.put(url, { user: author, body: { hidden: "yes" } })).status, 400);
+
+    const hidden = await server.put(url, { user: author, body: { hidden: true } });
+    assert.equal(hidden.status, 200);
+
+    const publicView = await server.get(`/blogs/${blog.id}/comments`);
+    assert.equal(publicView.body.items.length, 0);
+
+    const authorView = await server.get(`/blogs/${blog.id}/comments`, { user: author });
+    assert.equal(authorView.body.items.length, 1);
+  });
+
+  it("locks new comments and edits", async () => {
+    const posted = await comment(reader, "Before the lock");
+    const locked = await server.put(`/blogs/${blog.id}/comment-lock`, {
+      user: author,
+      body: { locked: true },
+    });
+    assert.equal(locked.status, 200);
+    assert.equal(locked.body.comments_locked, true);
+
+    const response = await comment(reader, "Too late");
+    assert.equal(response.status, 403);
+    assert.equal(response.body.code, "comments_locked");
+
+    const url = `/blogs/${blog.id}/comments/${posted.body.id}`;
+    const edit = await server.put(url, { user: reader, body: { body: "After the lock" } });
+    assert.equal(edit.status, 403);
+    assert.equal(edit.body.code, "comments_locked");
+  });
+
+  it("refuses edits once the blog is in the trash", async () => {
+    const posted = await comment(reader, "Hello");
+    await server.del(`/blogs/${blog.id}`, { user: author });
+
+    const edit = await server.put(`/blogs/${blog.id}/comments/${posted.body.id}`, {
+      user: reader,
+      body: { body: "Still here?" },
+    });
+    assert.equal(edit.status, 404);
+  });
+});
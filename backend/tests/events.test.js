@@ -0,0 +1,111 @@
+import { describe, it, before, after, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer, createBlog } from "./support/harness.js";
+import { stripeEvent } from "./support/fakeStripe.js";
+
+describe("event stream", () => {
+  let server;
+  let alice;
+  let bob;
+  const streams = [];
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    alice = await server.signIn();
+    bob = await server.signIn();
+  });
+
+  afterEach(() => streams.splice(0).forEach((stream) => stream.close()));
+
+  // opens a stream and waits until it is subscribed
+  const listen = async (user) => {
+    const stream = await server.openEvents(user);
+    streams.push(stream);
+    assert.equal(stream.status, 200);
+    assert.deepEqual(await stream.next(), { type: "ready", data: {} });
+    return stream;
+  };
+
+  it("requires a signed-in user", async () => {
+    const response = await server.get("/events");
+    assert.equal(response.status, 401);
+    assert.equal(response.body.code, "token_missing");
+  });
+
+  it("streams server-sent events", async () => {
+    const stream = await listen(alice);
+    assert.match(stream.headers.get("content-type"), /^text\/event-stream/);
+    assert.equal(stream.headers.get("cache-control"), "no-cache, no-transform");
+  });
+
+  it("delivers creates, edits and deletes of the user's own blogs", async () => {
+    const stream = await listen(alice);
+
+    const blog = await createBlog(server, alice, { title: "Live" });
+    assert.deepEqual(await stream.next(), { type: "blog.created", data: { blog } });
+
+    const edited = await server.put(`/blogs/${blog.id}`, {
+      user: alice,
+      body: { title: "Live edit", content: "Changed", version: blog.version },
+    });
+    assert.deepEqual(await stream.next(), {
+      type: "blog.updated",
+      data: { blog: edited.body },
+    });
+
+    await server.del(`/blogs/${blog.id}`, { user: alice });
+    assert.deepEqual(await stream.next(), {
+      type: "blog.deleted",
+      data: { id: blog.id },
+    });
+
+    await server.post(`/trash/${blog.id}/restore`, { user: alice });
+    assert.equal((await stream.next()).type, "blogs.changed");
+  });
+
+  it("keeps each user's events to their own streams", async () => {
+    const stream = await listen(bob);
+
+    await createBlog(server, alice);
+    const own = await createBlog(server, bob);
+
+    const event = await stream.next();
+    assert.equal(event.type, "blog.created");
+    assert.equal(event.data.blog.id, own.id);
+  });
+
+  it("announces plan changes from Stripe webhooks", async () => {
+    server.seedProfile(alice);
+    const stream = await listen(alice);
+
+    await server.sendWebhook(
+      stripeEvent("checkout.session.completed", {
+        customer: "cus_live",
+        subscription: "sub_live",
+        metadata: { supabaseUserId: alice.id },
+      })
+    );
+
+    assert.equal((await stream.next()).type, "profile.changed");
+  });
+
+  it("reports blogs published by the scheduler", async () => {
+    const blog = await createBlog(server, alice);
+    server.supabase.table("blogs").find((row) => row.id === blog.id).publish_at =
+      new Date(Date.now() - 1000).toISOString();
+    const stream = await listen(alice);
+
+    await server.jobs.runJob("publish-scheduled");
+
+    const event = await stream.next();
+    assert.equal(event.type, "blog.updated");
+    assert.equal(event.data.blog.id, blog.id);
+    assert.equal(event.data.blog.status, "published");
+    assert.deepEqual(Object.keys(event.data.blog), Object.keys(blog));
+  });
+});
@@ -0,0 +1,132 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import JSZip from "jszip";
+import { startTestServer, createBlog } from "./support/harness.js";
+
+const fileForm = (buffer, name, type) => {
+  const form = new FormData();
+  form.append("file", new Blob([buffer], { type }), name);
+  return form;
+};
+
+const WXR = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0"
+  xmlns:content="http://purl.org/rss/1.0/modules/content/"
+  xmlns:wp="http://wordpress.org/export/1.2/">
+  <channel>
+    <title>Old blog</title>
+    <item>
+      <title>From WordPress</title>
+      <content:encoded><![CDATA[<p>Hello <strong>there</strong></p>]]></content:encoded>
+      <wp:post_name>from-wordpress</wp:post_name>
+      <wp:status>publish</wp:status>
+      <wp:post_type>post</wp:post_type>
+      <category domain="post_tag">Old Times</category>
+    </item>
+    <item>
+      <title>About</title>
+      <content:encoded><![CDATA[<p>A page</p>]]></content:encoded>
+      <wp:post_type>page</wp:post_type>
+    </item>
+  </channel>
+</rss>`;
+
+describe("export and import", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(() => server.close());
+
+  it("exports every live personal blog as Markdown in a zip", async () => {
+    const user = await server.signIn();
+    await createBlog(server, user, { title: "Kept", tags: ["one"] });
+    const trashed = await createBlog(server, user, { title: "Trashed" });
+    await server.del(`/blogs/${trashed.id}`, { user });
+    const workspace = (await server.post("/workspaces", { user, body: { name: "Team" } })).body;
+    await createBlog(server, user, { title: "Team post", workspace_id: workspace.id });
+
+    const response = await server.get("/export", { user });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get("content-type"), "application/zip");
+    assert.match(response.headers.get("content-disposition"), /blogs-export-.*\.zip/);
+
+    const zip = await JSZip.loadAsync(response.buffer);
+    const markdown = Object.keys(zip.files).filter((name) => name.endsWith(".md"));
+    assert.equal(markdown.length, 1);
+    assert.match(await zip.file(markdown[0]).async("string"), /title: "?Kept"?/);
+    assert.ok(zip.file("manifest.json"));
+  });
+
+  it("imports an export into another account", async () => {
+    const source = await server.signIn();
+    await createBlog(server, source, { title: "Travelling post", status: "published" });
+    const exported = await server.get("/export", { user: source });
+
+    const target = await server.signIn();
+    const response = await server.post("/import", {
+      user: target,
+      body: fileForm(exported.buffer, "export.zip", "application/zip"),
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.imported, 1);
+    assert.equal(response.body.failed, 0);
+
+    const blogs = await server.get("/blogs", { user: target });
+    assert.equal(blogs.body.items[0].title, "Travelling post");
+    assert.equal(blogs.body.items[0].status, "published");
+  });
+
+  it("imports WordPress posts and skips pages", async () => {
+    const user = await server.signIn();
+
+    const response = await server.post("/import", {
+      user,
+      body: fileForm(Buffer.from(WXR), "wordpress.xml", "text/xml"),
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.imported, 1);
+
+    const blog = server.supabase.table("blogs").find((row) => row.id === response.body.results[0].id);
+    assert.equal(blog.title, "From WordPress");
+    assert.equal(blog.content, "Hello **there**");
+    assert.deepEqual(blog.tags, ["old-times"]);
+  });
+
+  it("reports per-item failures once the plan limit is reached", async () => {
+    const user = await server.signIn();
+    const zip = new JSZip();
+    for (let index = 0; index < 5; index += 1) {
+      zip.file(`post-${index}.md`, `---\ntitle: "Post ${index}"\n---\nBody ${index}`);
+    }
+    zip.file("broken.md", "---\ntitle: \"\"\n---\nNo title");
+
+    const response = await server.post("/import", {
+      user,
+      body: fileForm(await zip.generateAsync({ type: "nodebuffer" }), "posts.zip", "application/zip"),
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.imported, 4);
+    assert.equal(response.body.failed, 2);
+    assert.ok(response.body.results.some((result) => /Plan limit/.test(result.error)));
+    assert.ok(response.body.results.some((result) => result.error === "Title is required."));
+  });
+
+  it("rejects files it can't read", async () => {
+    const user = await server.signIn();
+
+    const response = await server.post("/import", {
+      user,
+      body: fileForm(Buffer.from("hello"), "notes.txt", "text/plain"),
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, "invalid_import");
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer, createBlog } from "./support/harness.js";
+
+describe("profile", () => {
+  let server;
+  let user;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    user = await server.signIn();
+  });
+
+  it("reports plan, usage and settings", async () => {
+    await createBlog(server, user);
+
+    const response = await server.get("/profile", { user });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.plan, "free");
+    assert.equal(response.body.planName, "Free");
+    assert.equal(response.body.blogCount, 1);
+    assert.equal(response.body.maxBlogs, 4);
+    assert.equal(response.body.storageUsed, 0);
+    assert.equal(response.body.feedEnabled, false);
+    assert.equal(response.body.username, null);
+  });
+
+  it("looks the profile up once per request and never across requests", async () => {
+    await createBlog(server, user);
+    await server.get("/profile", { user });
+
+    const from = server.supabase.from;
+    let lookups = 0;
+    server.supabase.from = (table) => {
+      if (table === "profiles") lookups += 1;
+      return from(table);
+    };
+
+    try {
+      // checks the plan limit and scheduling feature before inserting
+      await createBlog(server, user);
+      assert.equal(lookups, 1);
+
+      server.supabase.table("profiles").find((row) => row.id === user.id).plan = "premium";
+      const profile = await server.get("/profile", { user });
+      assert.equal(lookups, 2);
+      assert.equal(profile.body.plan, "premium");
+    } finally {
+      server.supabase.from = from;
+    }
+  });
+
+  it("updates public profile fields", async () => {
+    const response = await server.put("/profile", {
+      user,
+      body: {
+        username: "New_Handle",
+        display_name: "New Name",
+        bio: "Hello",
+        social_links: { website: "https://example.test" },
+      },
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.username, "new_handle");
+    assert.equal(response.body.displayName, "New Name");
+
+    const profile = await server.get("/profile", { user });
+    assert.equal(profile.body.username, "new_handle");
+  });
+
+  it("refuses taken, reserved and malformed usernames", async () => {
+    const other = await server.signIn();
+    await server.put("/profile", { user: other, body: { username: "taken" } });
+
+    const taken = await server.put("/profile", { user, body: { username: "Taken" } });
+    assert.equal(taken.status, 409);
+    assert.equal(taken.body.code, "username_taken");
+
+    const reserved = await server.put("/profile", { user, body: { username: "settings" } });
+    assert.equal(reserved.status, 400);
+
+    const malformed = await server.put("/profile", { user, body: { username: "a b" } });
+    assert.equal(malformed.status, 400);
+    assert.equal(malformed.body.code, "validation_failed");
+  });
+
+  it("turns feeds on and off", async () => {
+    const invalid = await server.put("/profile/syndication", { user, body: { enabled: "on" } });
+    assert.equal(invalid.status, 400);
+
+    const enabled = await server.put("/profile/syndication", { user, body: { enabled: true } });
+    assert.equal(enabled.status, 200);
+    assert.deepEqual(enabled.body, { feedEnabled: true });
+
+    assert.equal((await server.get("/profile", { user })).body.feedEnabled, true);
+    assert.equal((await server.get(`/feeds/${user.id}/json`)).status, 200);
+  });
+});
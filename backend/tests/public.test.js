@@ -0,0 +1,141 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer, createBlog } from "./support/harness.js";
+
+describe("public pages", () => {
+  let server;
+  let author;
+  let published;
+  let draft;
+
+  before(async () => {
+    server = await startTestServer();
+    author = await server.signIn();
+    server.seedProfile(author, {
+      username: "writer",
+      display_name: "The Writer",
+      bio: "Writes things.",
+      feed_enabled: true,
+    });
+
+    published = await createBlog(server, author, {
+      title: "Out in the open",
+      status: "published",
+      tags: ["news"],
+    });
+    await createBlog(server, author, { title: "Also public", status: "published" });
+    draft = await createBlog(server, author, { title: "Not yet" });
+  });
+
+  after(() => server.close());
+
+  it("lists published blogs without auth", async () => {
+    const response = await server.get("/public/blogs");
+
+    assert.equal(response.status, 200);
+    const titles = response.body.items.map((blog) => blog.title);
+    assert.ok(titles.includes("Out in the open"));
+    assert.ok(!titles.includes("Not yet"));
+    assert.equal(response.body.items[0].user_id, undefined);
+  });
+
+  it("filters public blogs by tag", async () => {
+    const response = await server.get("/public/blogs?tags=news");
+
+    assert.deepEqual(
+      response.body.items.map((blog) => blog.title),
+      ["Out in the open"]
+    );
+  });
+
+  it("serves a published blog by slug with its author", async () => {
+    const response = await server.get(`/public/blogs/${published.slug}`);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.title, "Out in the open");
+    assert.equal(response.body.author.username, "writer");
+    assert.equal(response.body.author.display_name, "The Writer");
+  });
+
+  it("does not serve drafts or trashed blogs publicly", async () => {
+    assert.equal((await server.get(`/public/blogs/${draft.slug}`)).status, 404);
+
+    const trashed = await createBlog(server, author, { title: "Gone", status: "published" });
+    await server.del(`/blogs/${trashed.id}`, { user: author });
+    assert.equal((await server.get(`/public/blogs/${trashed.slug}`)).status, 404);
+  });
+
+  it("serves author pages and their published blogs", async () => {
+    const profile = await server.get("/public/authors/Writer");
+    assert.equal(profile.status, 200);
+    assert.equal(profile.body.username, "writer");
+    assert.equal(profile.body.bio, "Writes things.");
+
+    const blogs = await server.get("/public/authors/writer/blogs");
+    assert.equal(blogs.status, 200);
+    assert.ok(blogs.body.items.every((blog) => blog.title !== "Not yet"));
+
+    assert.equal((await server.get("/public/authors/nobody")).status, 404);
+    assert.equal((await server.get("/public/authors/nobody/blogs")).status, 404);
+  });
+
+  it("renders RSS, Atom and JSON feeds with conditional GET", async () => {
+    const rss = await server.get(`/feeds/${author.id}/rss`);
+    assert.equal(rss.status, 200);
+    assert.match(rss.headers.get("content-type"), /rss\+xml/);
+    assert.match(rss.buffer.toString(), /Out in the open/);
+
+    const atom = await server.get(`/feeds/${author.id}/atom`);
+    assert.match(atom.buffer.toString(), /<feed/);
+
+    const json = await server.get(`/feeds/${author.id}/json`);
+    assert.equal(json.body.title, "Posts by The Writer");
+    assert.ok(json.body.items.length >= 2);
+
+    // fetch adds "Cache-Control: no-cache" to conditional requests unless told otherwise
+    const cached = await server.get(`/feeds/${author.id}/rss`, {
+      headers: { "If-None-Match": rss.headers.get("etag"), "Cache-Control": "max-age=0" },
+    });
+    assert.equal(cached.status, 304);
+  });
+
+  it("answers repeat requests for an empty feed with 304", async () => {
+    const newcomer = await server.signIn();
+    server.seedProfile(newcomer, { feed_enabled: true });
+
+    const rss = await server.get(`/feeds/${newcomer.id}/rss`);
+    assert.equal(rss.status, 200);
+
+    const cached = await server.get(`/feeds/${newcomer.id}/rss`, {
+      headers: { "If-None-Match": rss.headers.get("etag"), "Cache-Control": "max-age=0" },
+    });
+    assert.equal(cached.status, 304);
+  });
+
+  it("hides feeds that are turned off or unknown", async () => {
+    const quiet = await server.signIn();
+    await createBlog(server, quiet, { status: "published" });
+
+    assert.equal((await server.get(`/feeds/${quiet.id}/rss`)).status, 404);
+    assert.equal((await server.get(`/feeds/${author.id}/yaml`)).status, 404);
+    assert.equal((await server.get("/feeds/not-a-uuid/rss")).status, 404);
+  });
+
+  it("lists plans", async () => {
+    const response = await server.get("/plans");
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(
+      response.body.map((plan) => plan.id),
+      ["free", "premium"]
+    );
+    assert.equal(typeof response.body[0].maxBlogs, "number");
+  });
+
+  it("answers unknown routes with a JSON 404", async () => {
+    const response = await server.get("/nowhere");
+
+    assert.equal(response.status, 404);
+    assert.equal(response.body.code, "not_found");
+  });
+});
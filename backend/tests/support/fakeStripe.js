@@ -0,0 +1,108 @@
+import Stripe from "stripe";
+
+export const WEBHOOK_SECRET = "whsec_test_secret";
+
+/**
+ * Stand-in for the Stripe client: the endpoints the API calls record their
+ * params in `calls` and return canned objects. `webhooks` is the real SDK
+ * helper, so fixture events are signed and verified exactly like live ones.
+ * `subscriptions` maps ids to subscription objects; quantity updates are
+ * applied to them.
+ */
+export const createFakeStripe = ({ prices = {}, invoices = [], subscriptions = {} } = {}) => {
+  const calls = [];
+  let counter = 0;
+
+  const nextId = (prefix) => `${prefix}_test_${(counter += 1)}`;
+
+  const record = (method, params, result) => {
+    calls.push({ method, params });
+    return result;
+  };
+
+  return {
+    calls,
+    prices: {
+      retrieve: async (priceId) =>
+        record("prices.retrieve", priceId, {
+          id: priceId,
+          unit_amount: 500,
+          currency: "usd",
+          ...prices[priceId],
+        }),
+    },
+    customers: {
+      create: async (params) =>
+        record("customers.create", params, { id: nextId("cus"), ...params }),
+    },
+    checkout: {
+      sessions: {
+        create: async (params) => {
+          const id = nextId("cs");
+          return record("checkout.sessions.create", params, {
+            id,
+            url: `https://checkout.stripe.test/${id}`,
+          });
+        },
+      },
+    },
+    billingPortal: {
+      sessions: {
+        create: async (params) => {
+          const id = nextId("bps");
+          return record("billingPortal.sessions.create", params, {
+            id,
+            url: `https://billing.stripe.test/${id}`,
+          });
+        },
+      },
+    },
+    subscriptions: {
+      retrieve: async (subscriptionId) => {
+        const subscription = subscriptions[subscriptionId];
+        if (!subscription) {
+          throw new Error(`No such subscription: ${subscriptionId}`);
+        }
+        return record("subscriptions.retrieve", subscriptionId, subscription);
+      },
+    },
+    subscriptionItems: {
+      update: async (itemId, params) => {
+        const item = Object.values(subscriptions)
+          .flatMap((subscription) => subscription.items.data)
+          .find((candidate) => candidate.id === itemId);
+        Object.assign(item, { quantity: params.quantity });
+        return record("subscriptionItems.update", { id: itemId, ...params }, item);
+      },
+    },
+    invoices: {
+      list: async (params) =>
+        record("invoices.list", params, {
+          data: invoices
+            .filter((invoice) => invoice.customer === params.customer)
+            .slice(0, params.limit),
+        }),
+    },
+    webhooks: Stripe.webhooks,
+  };
+};
+
+// a webhook delivery: raw body plus a valid Stripe-Signature header for it
+export const signEvent = (event, secret = WEBHOOK_SECRET) => {
+  const payload = JSON.stringify(event);
+  return {
+    payload,
+    signature: Stripe.webhooks.generateTestHeaderString({ payload, secret }),
+  };
+};
+
+let eventCounter = 0;
+
+// minimal Stripe event envelope; `created` defaults to now, in seconds
+export const stripeEvent = (type, object, { created } = {}) => ({
+  id: `evt_test_${(eventCounter += 1)}`,
+  object: "event",
+  type,
+  created: created ?? Math.floor(Date.now() / 1000),
+  data: { object },
+});
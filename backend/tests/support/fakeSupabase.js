@@ -0,0 +1,435 @@
+/**
+ * In-memory stand-in for the parts of supabase-js the API uses:
+ * `from(table)` query chains (select/insert/update/upsert/delete with
+ * filters, ordering, limits and single/maybeSingle), `rpc(name)` and
+ * `auth.getUser(token)`. Results have the same `{ data, error, count }`
+ * shape as PostgREST, including its error codes for missing rows (PGRST116)
+ * and unique violations (23505).
+ *
+ * `schema` describes each table: `identity` for bigint ids, `primaryKey`,
+ * `unique` column sets and `defaults()` for columns the database fills in.
+ */
+export const createFakeSupabase = ({ schema = {}, functions = {} } = {}) => {
+  const tables = new Map();
+  const sequences = new Map();
+  const users = new Map();
+
+  const table = (name) => {
+    if (!tables.has(name)) {
+      tables.set(name, []);
+    }
+    return tables.get(name);
+  };
+
+  const uniqueKeys = (name) => {
+    const spec = schema[name] || {};
+    const keys = spec.unique ? [...spec.unique] : [];
+    if (spec.primaryKey || spec.identity) {
+      keys.unshift([spec.primaryKey || "id"]);
+    }
+    return keys;
+  };
+
+  const findConflict = (name, row, ignore) =>
+    uniqueKeys(name).find((columns) =>
+      table(name).some(
+        (other) =>
+          other !== ignore &&
+          columns.every((column) => row[column] != null && equals(other[column], row[column]))
+      )
+    );
+
+  const buildRow = (name, values) => {
+    const spec = schema[name] || {};
+    const row = { ...(spec.defaults ? spec.defaults() : {}), ...clone(values) };
+    if (spec.identity && row.id === undefined) {
+      const next = (sequences.get(name) || 0) + 1;
+      sequences.set(name, next);
+      row.id = next;
+    }
+    return row;
+  };
+
+  const insertRows = (name, rows) => {
+    const built = rows.map((values) => buildRow(name, values));
+    const pending = [];
+
+    for (const row of built) {
+      if (findConflict(name, row) || pending.some((other) => sameUniqueKey(name, row, other))) {
+        return { error: uniqueViolation(name) };
+      }
+      pending.push(row);
+    }
+
+    table(name).push(...pending);
+    return { rows: pending };
+  };
+
+  const sameUniqueKey = (name, row, other) =>
+    uniqueKeys(name).some((columns) =>
+      columns.every((column) => row[column] != null && equals(other[column], row[column]))
+    );
+
+  const execute = (name, state) => {
+    const rows = table(name);
+    const matches = () => rows.filter((row) => state.filters.every((filter) => filter(row)));
+    let affected;
+
+    if (state.action === "select") {
+      affected = matches();
+    } else if (state.action === "insert") {
+      const result = insertRows(name, state.payload);
+      if (result.error) {
+        return { data: null, error: result.error, count: null };
+      }
+      affected = result.rows;
+    } else if (state.action === "upsert") {
+      const conflictColumns = (state.upsertOptions.onConflict || schema[name]?.primaryKey || "id")
+        .split(",")
+        .map((column) => column.trim());
+      affected = [];
+
+      for (const values of state.payload) {
+        const existing = rows.find((row) =>
+          conflictColumns.every((column) => equals(row[column], values[column]))
+        );
+
+        if (!existing) {
+          const result = insertRows(name, [values]);
+          if (result.error) {
+            return { data: null, error: result.error, count: null };
+          }
+          affected.push(...result.rows);
+        } else if (!state.upsertOptions.ignoreDuplicates) {
+          Object.assign(existing, clone(values));
+          affected.push(existing);
+        }
+      }
+    } else if (state.action === "update") {
+      affected = matches();
+      for (const row of affected) {
+        const updated = { ...row, ...clone(state.payload) };
+        if (findConflict(name, updated, row)) {
+          return { data: null, error: uniqueViolation(name), count: null };
+        }
+      }
+      affected.forEach((row) => Object.assign(row, clone(state.payload)));
+    } else if (state.action === "delete") {
+      affected = matches();
+      tables.set(
+        name,
+        rows.filter((row) => !affected.includes(row))
+      );
+    }
+
+    const count = state.options.count ? affected.length : null;
+    const returning = state.action === "select" ? state.columns : state.returning;
+
+    if (state.options.head || returning === null) {
+      return { data: null, error: null, count };
+    }
+
+    let data = [...affected];
+    for (const [column, ascending] of [...state.order].reverse()) {
+      data.sort((a, b) => compareForOrder(a[column], b[column], ascending));
+    }
+    if (state.limit !== null) {
+      data = data.slice(0, state.limit);
+    }
+    data = data.map((row) => project(row, returning));
+
+    if (state.single) {
+      if (data.length === 1) {
+        return { data: data[0], error: null, count };
+      }
+      if (data.length === 0 && state.single === "maybe") {
+        return { data: null, error: null, count };
+      }
+      return {
+        data: null,
+        error: {
+          code: "PGRST116",
+          message: "JSON object requested, multiple (or no) rows returned",
+          details: `The result contains ${data.length} rows`,
+          hint: null,
+        },
+        count,
+      };
+    }
+
+    return { data, error: null, count };
+  };
+
+  const from = (name) => {
+    const state = {
+      action: "select",
+      columns: "*",
+      returning: null,
+      payload: null,
+      options: {},
+      upsertOptions: {},
+      filters: [],
+      order: [],
+      limit: null,
+      single: null,
+    };
+
+    const filter = (predicate) => {
+      state.filters.push(predicate);
+      return query;
+    };
+
+    const query = {
+      select(columns = "*", options = {}) {
+        if (state.action === "select") {
+          state.columns = columns;
+          state.options = options;
+        } else {
+          state.returning = columns;
+        }
+        return query;
+      },
+      insert(values) {
+        state.action = "insert";
+        state.payload = [].concat(values);
+        return query;
+      },
+      upsert(values, options = {}) {
+        state.action = "upsert";
+        state.payload = [].concat(values);
+        state.upsertOptions = options;
+        return query;
+      },
+      update(values, options = {}) {
+        state.action = "update";
+        state.payload = values;
+        state.options = options;
+        return query;
+      },
+      delete(options = {}) {
+        state.action = "delete";
+        state.options = options;
+        return query;
+      },
+      eq: (column, value) => filter((row) => equals(row[column], value)),
+      neq: (column, value) => filter((row) => row[column] != null && !equals(row[column], value)),
+      gt: (column, value) => filter((row) => compare(row[column], value) > 0),
+      gte: (column, value) => filter((row) => compare(row[column], value) >= 0),
+      lt: (column, value) => filter((row) => compare(row[column], value) < 0),
+      lte: (column, value) => filter((row) => compare(row[column], value) <= 0),
+      is: (column, value) => filter((row) => (row[column] ?? null) === value),
+      in: (column, values) =>
+        filter((row) => values.some((value) => equals(row[column], value))),
+      not: (column, operator, value) => {
+        const test = OPERATORS[operator];
+        return filter((row) => !test(row[column], value));
+      },
+      like: (column, pattern) => filter((row) => likeToRegExp(pattern).test(row[column] ?? "")),
+      contains: (column, values) =>
+        filter((row) => values.every((value) => (row[column] || []).includes(value))),
+      // good enough for tests: every search word appears in one of the text columns
+      textSearch: (column, search) =>
+        filter((row) => {
+          const text = Object.values(row)
+            .filter((value) => typeof value === "string")
+            .join(" ")
+            .toLowerCase();
+          return search
+            .toLowerCase()
+            .split(/\s+/)
+            .filter(Boolean)
+            .every((word) => text.includes(word));
+        }),
+      or: (expression) => {
+        const conditions = splitTopLevel(expression).map(parseCondition);
+        return filter((row) => conditions.some((condition) => condition(row)));
+      },
+      order(column, { ascending = true } = {}) {
+        state.order.push([column, ascending]);
+        return query;
+      },
+      limit(count) {
+        state.limit = count;
+        return query;
+      },
+      single() {
+        state.single = "single";
+        return query;
+      },
+      maybeSingle() {
+        state.single = "maybe";
+        return query;
+      },
+      then(resolve, reject) {
+        return Promise.resolve()
+          .then(() => execute(name, state))
+          .then(resolve, reject);
+      },
+    };
+
+    return query;
+  };
+
+  const rpc = async (name, args = {}) => {
+    const fn = functions[name];
+    if (!fn) {
+      return {
+        data: null,
+        error: { code: "PGRST202", message: `Could not find the function ${name}` },
+      };
+    }
+    return { data: clone(fn(fake, args)), error: null };
+  };
+
+  const auth = {
+    async getUser(token) {
+      const user = users.get(token);
+      return user
+        ? { data: { user: clone(user) }, error: null }
+        : { data: { user: null }, error: { status: 401, message: "invalid JWT" } };
+    },
+  };
+
+  const fake = {
+    from,
+    rpc,
+    auth,
+    // live rows of a table, for seeding and assertions
+    table,
+    insert: (name, rows) => {
+      const result = insertRows(name, [].concat(rows));
+      if (result.error) {
+        throw new Error(result.error.message);
+      }
+      return result.rows;
+    },
+    addUser: (token, user) => users.set(token, user),
+  };
+
+  return fake;
+};
+
+const clone = (value) => (value === undefined ? value : structuredClone(value));
+
+const uniqueViolation = (name) => ({
+  code: "23505",
+  message: `duplicate key value violates unique constraint on "${name}"`,
+  details: null,
+  hint: null,
+});
+
+const equals = (a, b) => {
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return false;
+  }
+  return String(a) === String(b);
+};
+
+const compare = (a, b) => {
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return NaN;
+  }
+  if (typeof a === "number" || typeof b === "number") {
+    return Number(a) - Number(b);
+  }
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+};
+
+// Postgres puts nulls last when ascending and first when descending
+const compareForOrder = (a, b, ascending) => {
+  const aNull = a === null || a === undefined;
+  const bNull = b === null || b === undefined;
+  if (aNull || bNull) {
+    return aNull === bNull ? 0 : (aNull ? 1 : -1) * (ascending ? 1 : -1);
+  }
+  return compare(a, b) * (ascending ? 1 : -1);
+};
+
+const project = (row, columns) => {
+  const fields = columns.split(",").map((column) => column.trim());
+  if (fields.includes("*")) {
+    return clone(row);
+  }
+  return Object.fromEntries(fields.map((field) => [field, clone(row[field] ?? null)]));
+};
+
+const likeToRegExp = (pattern) =>
+  new RegExp(
+    `^${pattern
+      .split("%")
+      .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/_/g, "."))
+      .join(".*")}$`
+  );
+
+const OPERATORS = {
+  eq: (value, target) => equals(value, target),
+  neq: (value, target) => !equals(value, target),
+  gt: (value, target) => compare(value, target) > 0,
+  gte: (value, target) => compare(value, target) >= 0,
+  lt: (value, target) => compare(value, target) < 0,
+  lte: (value, target) => compare(value, target) <= 0,
+  is: (value, target) => (value ?? null) === target,
+  in: (value, targets) => targets.some((target) => equals(value, target)),
+};
+
+// splits a PostgREST logic expression on commas outside parentheses and quotes
+const splitTopLevel = (expression) => {
+  const parts = [];
+  let current = "";
+  let depth = 0;
+  let quoted = false;
+
+  for (let index = 0; index < expression.length; index += 1) {
+    const char = expression[index];
+    if (quoted) {
+      current += char;
+      if (char === "\\") {
+        current += expression[(index += 1)];
+      } else if (char === '"') {
+        quoted = false;
+      }
+      continue;
+    }
+
+    if (char === "," && depth === 0) {
+      parts.push(current);
+      current = "";
+      continue;
+    }
+
+    if (char === '"') {
+      quoted = true;
+    } else if (char === "(") {
+      depth += 1;
+    } else if (char === ")") {
+      depth -= 1;
+    }
+    current += char;
+  }
+
+  parts.push(current);
+  return parts.filter(Boolean);
+};
+
+const parseValue = (raw) => {
+  if (raw.startsWith('"')) {
+    return raw.slice(1, -1).replace(/\\(.)/g, "$1");
+  }
+  const literals = { null: null, true: true, false: false };
+  return raw in literals ? literals[raw] : raw;
+};
+
+const parseCondition = (term) => {
+  const group = term.match(/^(and|or)\((.*)\)$/s);
+  if (group) {
+    const conditions = splitTopLevel(group[2]).map(parseCondition);
+    return group[1] === "and"
+      ? (row) => conditions.every((condition) => condition(row))
+      : (row) => conditions.some((condition) => condition(row));
+  }
+
+  const [, column, operator, raw] = term.match(/^([^.]+)\.(\w+)\.(.*)$/s);
+  const value =
+    operator === "in" ? splitTopLevel(raw.slice(1, -1)).map(parseValue) : parseValue(raw);
+  return (row) => OPERATORS[operator](row[column], value);
+};
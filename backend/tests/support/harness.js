@@ -0,0 +1,176 @@
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { randomUUID } from "node:crypto";
+import { SignJWT } from "jose";
+import { createApp } from "../../app.js";
+import { createFakeSupabase } from "./fakeSupabase.js";
+import { createFakeStripe, signEvent, WEBHOOK_SECRET } from "./fakeStripe.js";
+import { SCHEMA, FUNCTIONS } from "./schema.js";
+
+const SUPABASE_URL = "http://supabase.test";
+const JWT_SECRET = "test-jwt-secret-with-enough-length";
+const jwtKey = new TextEncoder().encode(JWT_SECRET);
+
+export const TEST_ENV = {
+  SUPABASE_URL,
+  SUPABASE_JWT_SECRET: JWT_SECRET,
+  STRIPE_WEBHOOK_SECRET: WEBHOOK_SECRET,
+  STRIPE_PRICE_ID: "price_monthly",
+  STRIPE_ANNUAL_PRICE_ID: "price_annual",
+  FRONTEND_URL: "http://app.test",
+  // high enough that only the rate limit tests ever hit them
+  RATE_LIMIT_API_MAX: "10000",
+  RATE_LIMIT_AUTH_MAX: "10000",
+  RATE_LIMIT_WRITE_MAX: "10000",
+  RATE_LIMIT_BILLING_MAX: "10000",
+};
+
+const signToken = (claims, expiresIn) =>
+  new SignJWT({ role: "authenticated", ...claims })
+    .setProtectedHeader({ alg: "HS256" })
+    .setIssuer(`${SUPABASE_URL}/auth/v1`)
+    .setAudience("authenticated")
+    .setIssuedAt()
+    .setExpirationTime(expiresIn)
+    .sign(jwtKey);
+
+/**
+ * Builds the app on a fresh in-memory Supabase and Stripe stand-in and serves
+ * it on a random local port. `stripe: null` runs it without billing.
+ */
+export const startTestServer = async ({ env = {}, stripe = createFakeStripe() } = {}) => {
+  const supabase = createFakeSupabase({ schema: SCHEMA, functions: FUNCTIONS });
+  const uploadDir = await fs.mkdtemp(path.join(os.tmpdir(), "blog-uploads-"));
+  const { app, jobs } = createApp({
+    supabase,
+    stripe,
+    env: { ...TEST_ENV, UPLOAD_DIR: uploadDir, ...env },
+  });
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // JSON bodies are serialized, FormData and strings are sent as they are
+  const request = async (method, url, { user, token = user?.token, body, headers = {} } = {}) => {
+    const init = { method, headers: { ...headers } };
+    if (token) {
+      init.headers.Authorization = `Bearer ${token}`;
+    }
+    if (body instanceof FormData || typeof body === "string") {
+      init.body = body;
+    } else if (body !== undefined) {
+      init.headers["Content-Type"] = "application/json";
+      init.body = JSON.stringify(body);
+    }
+
+    const response = await fetch(`${baseUrl}${url}`, init);
+    const buffer = Buffer.from(await response.arrayBuffer());
+    let json = null;
+    try {
+      json = JSON.parse(buffer.toString("utf8"));
+    } catch {
+      // feeds, zips and other non-JSON bodies
+    }
+    return { status: response.status, headers: response.headers, body: json, buffer };
+  };
+
+  // a signed-in user with a valid access token; the profile row is created on first use
+  const signIn = async ({ email = `${randomUUID().slice(0, 8)}@example.test` } = {}) => {
+    const id = randomUUID();
+    const token = await signToken({ sub: id, email }, "1h");
+    supabase.addUser(token, { id, email });
+    return { id, email, token };
+  };
+
+  // profiles are cached by the app, so seed them before the user's first request
+  const seedProfile = (user, fields = {}) =>
+    supabase.insert("profiles", { id: user.id, ...fields })[0];
+
+  // delivers a Stripe event the way Stripe does: raw JSON plus a signature header
+  const sendWebhook = (event, { signature } = {}) => {
+    const signed = signEvent(event);
+    return request("POST", "/stripe/webhook", {
+      body: signed.payload,
+      headers: {
+        "Content-Type": "application/json",
+        "Stripe-Signature": signature ?? signed.signature,
+      },
+    });
+  };
+
+  // a user's GET /events stream; next() resolves with the next event, skipping comments
+  const openEvents = async (user) => {
+    const controller = new AbortController();
+    const response = await fetch(`${baseUrl}/events`, {
+      headers: { Authorization: `Bearer ${user.token}` },
+      signal: controller.signal,
+    });
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = "";
+
+    const next = async () => {
+      while (!buffer.includes("\n\n")) {
+        const { value, done } = await reader.read();
+        if (done) {
+          return null;
+        }
+        buffer += value;
+      }
+
+      const end = buffer.indexOf("\n\n");
+      const fields = Object.fromEntries(
+        buffer
+          .slice(0, end)
+          .split("\n")
+          .map((line) => [line.slice(0, line.indexOf(":")), line.slice(line.indexOf(":") + 1).trim()])
+      );
+      buffer = buffer.slice(end + 2);
+
+      return fields.event ? { type: fields.event, data: JSON.parse(fields.data) } : next();
+    };
+
+    return { status: response.status, headers: response.headers, next, close: () => controller.abort() };
+  };
+
+  const expiredToken = (user) =>
+    signToken({ sub: user.id, email: user.email }, Math.floor(Date.now() / 1000) - 60);
+
+  const close = async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    await fs.rm(uploadDir, { recursive: true, force: true });
+  };
+
+  return {
+    supabase,
+    stripe,
+    jobs,
+    uploadDir,
+    request,
+    get: (url, options) => request("GET", url, options),
+    post: (url, options) => request("POST", url, options),
+    put: (url, options) => request("PUT", url, options),
+    del: (url, options) => request("DELETE", url, options),
+    signIn,
+    seedProfile,
+    sendWebhook,
+    openEvents,
+    expiredToken,
+    close,
+  };
+};
+
+// creates a blog through the API and returns it
+export const createBlog = async (server, user, fields = {}) => {
+  const response = await server.post("/blogs", {
+    user,
+    body: { title: "A blog", content: "Some **markdown**.", ...fields },
+  });
+  if (response.status !== 200) {
+    throw new Error(`Creating a blog failed: ${JSON.stringify(response.body)}`);
+  }
+  return response.body;
+};
@@ -0,0 +1,154 @@
+// Tables and functions from migrations/, as far as the fake needs to know them.
+
+const now = () => new Date().toISOString();
+
+export const SCHEMA = {
+  profiles: {
+    primaryKey: "id",
+    unique: [["username"]],
+    defaults: () => ({
+      plan: "free",
+      stripe_customer_id: null,
+      stripe_subscription_id: null,
+      subscription_status: null,
+      stripe_price_id: null,
+      current_period_end: null,
+      cancel_at_period_end: false,
+      grace_period_ends_at: null,
+      stripe_event_created: null,
+      feed_enabled: false,
+      username: null,
+      display_name: null,
+      bio: null,
+      avatar_url: null,
+      social_links: {},
+    }),
+  },
+  blogs: {
+    identity: true,
+    unique: [["slug"]],
+    defaults: () => ({
+      status: "draft",
+      slug: null,
+      content_html: null,
+      tags: [],
+      category: null,
+      version: 1,
+      comments_locked: false,
+      published_at: null,
+      publish_at: null,
+      deleted_at: null,
+      archived_at: null,
+      workspace_id: null,
+      created_at: now(),
+      updated_at: now(),
+    }),
+  },
+  blog_revisions: {
+    identity: true,
+    defaults: () => ({ tags: [], category: null, created_at: now() }),
+  },
+  blog_drafts: {
+    identity: true,
+    unique: [["user_id", "draft_key"]],
+    defaults: () => ({
+      title: "",
+      content: "",
+      tags: [],
+      category: null,
+      base_version: null,
+      updated_at: now(),
+    }),
+  },
+  blog_collaborators: {
+    identity: true,
+    unique: [["blog_id", "email"]],
+    defaults: () => ({
+      user_id: null,
+      status: "pending",
+      created_at: now(),
+      responded_at: null,
+    }),
+  },
+  workspaces: {
+    identity: true,
+    defaults: () => ({
+      plan: "free",
+      stripe_customer_id: null,
+      stripe_subscription_id: null,
+      subscription_status: null,
+      stripe_price_id: null,
+      current_period_end: null,
+      cancel_at_period_end: false,
+      grace_period_ends_at: null,
+      stripe_event_created: null,
+      created_at: now(),
+    }),
+  },
+  workspace_members: {
+    identity: true,
+    unique: [["workspace_id", "email"]],
+    defaults: () => ({
+      user_id: null,
+      status: "pending",
+      invited_by: null,
+      created_at: now(),
+      responded_at: null,
+    }),
+  },
+  comments: {
+    identity: true,
+    defaults: () => ({
+      parent_id: null,
+      root_id: null,
+      depth: 0,
+      status: "visible",
+      edited_at: null,
+      created_at: now(),
+    }),
+  },
+  uploads: {
+    identity: true,
+    defaults: () => ({ created_at: now() }),
+  },
+  stripe_events: {
+    primaryKey: "id",
+    defaults: () => ({ processed_at: now() }),
+  },
+  plans: {
+    primaryKey: "id",
+    defaults: () => ({ features: {}, sort_order: 0 }),
+  },
+  job_leases: {
+    primaryKey: "name",
+    defaults: () => ({ locked_by: null, last_run_at: null }),
+  },
+};
+
+export const FUNCTIONS = {
+  // 012_scheduled_publishing.sql
+  publish_due_blogs: (db) => {
+    const due = db
+      .table("blogs")
+      .filter(
+        (blog) =>
+          blog.publish_at &&
+          blog.publish_at <= now() &&
+          blog.status !== "published" &&
+          !blog.deleted_at &&
+          !blog.archived_at
+      );
+
+    for (const blog of due) {
+      Object.assign(blog, {
+        status: "published",
+        published_at: blog.published_at || blog.publish_at,
+        publish_at: null,
+        version: blog.version + 1,
+        updated_at: now(),
+      });
+    }
+
+    return due;
+  },
+};
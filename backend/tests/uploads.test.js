@@ -0,0 +1,107 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import sharp from "sharp";
+import { startTestServer } from "./support/harness.js";
+
+const createPng = (width = 64, height = 48) =>
+  sharp({
+    create: { width, height, channels: 3, background: { r: 200, g: 80, b: 40 } },
+  })
+    .png()
+    .toBuffer();
+
+const imageForm = (buffer, name = "photo.png", type = "image/png") => {
+  const form = new FormData();
+  form.append("file", new Blob([buffer], { type }), name);
+  return form;
+};
+
+describe("uploads", () => {
+  let server;
+  let user;
+
+  before(async () => {
+    server = await startTestServer();
+    user = await server.signIn();
+  });
+
+  after(() => server.close());
+
+  it("stores an image with a thumbnail and serves it", async () => {
+    const response = await server.post("/uploads", {
+      user,
+      body: imageForm(await createPng()),
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.width, 64);
+    assert.equal(response.body.original_name, "photo.png");
+    assert.equal(response.body.storageUsed, response.body.size_bytes);
+
+    const served = await server.get(new URL(response.body.url).pathname);
+    assert.equal(served.status, 200);
+    assert.ok(served.buffer.length > 0);
+  });
+
+  it("rejects missing files and files that are not images", async () => {
+    const missing = await server.post("/uploads", { user, body: new FormData() });
+    assert.equal(missing.status, 400);
+    assert.ok(missing.body.fields.file);
+
+    const text = await server.post("/uploads", {
+      user,
+      body: imageForm(Buffer.from("not an image"), "notes.png"),
+    });
+    assert.equal(text.status, 400);
+    assert.equal(text.body.code, "invalid_image");
+  });
+
+  it("lists uploads with usage and only deletes the owner's", async () => {
+    const uploaded = await server.post("/uploads", {
+      user,
+      body: imageForm(await createPng(32, 32)),
+    });
+
+    const list = await server.get("/uploads", { user });
+    assert.equal(list.status, 200);
+    assert.ok(list.body.uploads.some((upload) => upload.id === uploaded.body.id));
+    assert.equal(
+      list.body.storageUsed,
+      list.body.uploads.reduce((total, upload) => total + upload.size_bytes, 0)
+    );
+
+    const stranger = await server.signIn();
+    const refused = await server.del(`/uploads/${uploaded.body.id}`, { user: stranger });
+    assert.equal(refused.status, 404);
+
+    const deleted = await server.del(`/uploads/${uploaded.body.id}`, { user });
+    assert.equal(deleted.status, 200);
+    assert.equal((await server.get(new URL(uploaded.body.url).pathname)).status, 404);
+  });
+});
+
+describe("upload quota", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+    server.supabase.insert("plans", [
+      { id: "free", name: "Free", max_blogs: 4, max_storage_bytes: 1, sort_order: 0 },
+    ]);
+  });
+
+  after(() => server.close());
+
+  it("refuses uploads past the plan's storage", async () => {
+    const user = await server.signIn();
+
+    const response = await server.post("/uploads", {
+      user,
+      body: imageForm(await createPng()),
+    });
+
+    assert.equal(response.status, 403);
+    assert.equal(response.body.code, "storage_quota_exceeded");
+    assert.equal(server.supabase.table("uploads").length, 0);
+  });
+});
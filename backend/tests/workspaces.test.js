@@ -0,0 +1,412 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer, createBlog } from "./support/harness.js";
+import { createFakeStripe, stripeEvent } from "./support/fakeStripe.js";
+
+describe("workspaces", () => {
+  let server;
+  let alice;
+  let bob;
+  let carol;
+
+  // a seat-based subscription the tests attach to a workspace
+  const subscriptions = {
+    sub_team: {
+      id: "sub_team",
+      status: "active",
+      items: { data: [{ id: "si_team", quantity: 1, price: { id: "price_monthly" } }] },
+    },
+  };
+
+  before(async () => {
+    server = await startTestServer({ stripe: createFakeStripe({ subscriptions }) });
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    alice = await server.signIn();
+    bob = await server.signIn();
+    carol = await server.signIn();
+  });
+
+  const createWorkspace = async (user = alice, name = "Newsroom") => {
+    const response = await server.post("/workspaces", { user, body: { name } });
+    assert.equal(response.status, 200);
+    return response.body;
+  };
+
+  const invite = (workspace, email, role, user = alice) =>
+    server.post(`/workspaces/${workspace.id}/members`, { user, body: { email, role } });
+
+  // invites `user` to the workspace and accepts on their behalf
+  const join = async (workspace, user, role = "writer") => {
+    const invitation = await invite(workspace, user.email, role);
+    assert.equal(invitation.status, 200);
+    const accepted = await server.post(`/workspaces/invitations/${invitation.body.id}/accept`, {
+      user,
+    });
+    assert.equal(accepted.status, 200);
+    return invitation.body;
+  };
+
+  const listBlogs = (user, workspace) =>
+    server.get(workspace ? `/blogs?workspace=${workspace.id}` : "/blogs", { user });
+
+  const workspaceRow = (workspace) =>
+    server.supabase.table("workspaces").find((row) => row.id === workspace.id);
+
+  it("creates a workspace owned by its creator", async () => {
+    const workspace = await createWorkspace();
+    assert.equal(workspace.name, "Newsroom");
+    assert.equal(workspace.role, "owner");
+    assert.equal(workspace.plan, "free");
+    assert.equal(workspace.seats, 1);
+    assert.equal(workspace.blogCount, 0);
+    assert.equal(workspace.maxBlogs, 4);
+
+    const list = await server.get("/workspaces", { user: alice });
+    assert.deepEqual(
+      list.body.map(({ id, role }) => ({ id, role })),
+      [{ id: workspace.id, role: "owner" }]
+    );
+    assert.equal((await server.get("/workspaces", { user: bob })).body.length, 0);
+
+    const unnamed = await server.post("/workspaces", { user: alice, body: { name: " " } });
+    assert.equal(unnamed.status, 400);
+    assert.ok(unnamed.body.fields.name);
+  });
+
+  it("sends invitations that the invitee sees and accepts", async () => {
+    await server.put("/profile", { user: alice, body: { display_name: "Alice" } });
+    const workspace = await createWorkspace();
+
+    const sent = await invite(workspace, bob.email.toUpperCase(), "admin");
+    assert.equal(sent.status, 200);
+    assert.equal(sent.body.email, bob.email);
+    assert.equal(sent.body.status, "pending");
+
+    const invitations = await server.get("/workspaces/invitations", { user: bob });
+    assert.deepEqual(
+      invitations.body.map(({ workspace_name, role, invited_by }) => ({
+        workspace_name,
+        role,
+        invited_by,
+      })),
+      [{ workspace_name: "Newsroom", role: "admin", invited_by: "Alice" }]
+    );
+
+    const stolen = await server.post(`/workspaces/invitations/${sent.body.id}/accept`, {
+      user: carol,
+    });
+    assert.equal(stolen.status, 404);
+
+    const accepted = await server.post(`/workspaces/invitations/${sent.body.id}/accept`, {
+      user: bob,
+    });
+    assert.equal(accepted.status, 200);
+    assert.equal(accepted.body.user_id, bob.id);
+
+    const list = await server.get("/workspaces", { user: bob });
+    assert.deepEqual(
+      list.body.map(({ id, role, seats }) => ({ id, role, seats })),
+      [{ id: workspace.id, role: "admin", seats: 2 }]
+    );
+
+    const duplicate = await invite(workspace, bob.email, "writer");
+    assert.equal(duplicate.status, 409);
+    assert.equal(duplicate.body.code, "already_invited");
+
+    const badRole = await invite(workspace, carol.email, "owner");
+    assert.equal(badRole.status, 400);
+    assert.ok(badRole.body.fields.role);
+  });
+
+  it("counts workspace blogs against the workspace plan", async () => {
+    const workspace = await createWorkspace();
+    await join(workspace, bob);
+
+    for (let index = 0; index < 3; index += 1) {
+      await createBlog(server, alice, { workspace_id: workspace.id });
+    }
+    const bobsBlog = await createBlog(server, bob, { workspace_id: workspace.id });
+    assert.equal(bobsBlog.workspace_id, workspace.id);
+
+    const full = await server.post("/blogs", {
+      user: bob,
+      body: { title: "Fifth", content: "Over the limit", workspace_id: workspace.id },
+    });
+    assert.equal(full.status, 403);
+    assert.equal(full.body.code, "plan_limit_reached");
+
+    // personal plans are untouched by workspace blogs
+    const personal = await server.get("/profile", { user: alice });
+    assert.equal(personal.body.blogCount, 0);
+    assert.equal((await createBlog(server, alice)).workspace_id, null);
+
+    const workspaceList = await listBlogs(bob, workspace);
+    assert.equal(workspaceList.status, 200);
+    assert.equal(workspaceList.body.items.length, 4);
+    assert.equal((await listBlogs(bob)).body.items.length, 0);
+    assert.equal((await listBlogs(alice)).body.items.length, 1);
+
+    const [summary] = (await server.get("/workspaces", { user: alice })).body;
+    assert.equal(summary.blogCount, 4);
+
+    const outsider = await server.post("/blogs", {
+      user: carol,
+      body: { title: "Nope", content: "Not a member", workspace_id: workspace.id },
+    });
+    assert.equal(outsider.status, 404);
+    assert.equal((await listBlogs(carol, workspace)).status, 404);
+  });
+
+  it("lets writers edit every workspace blog but delete only their own", async () => {
+    const workspace = await createWorkspace();
+    await join(workspace, bob, "writer");
+    await join(workspace, carol, "admin");
+    const blog = await createBlog(server, alice, { workspace_id: workspace.id });
+    const bobsBlog = await createBlog(server, bob, { workspace_id: workspace.id });
+
+    const roles = (await listBlogs(bob, workspace)).body.items.map(({ id, role }) => ({ id, role }));
+    assert.deepEqual(
+      roles.sort((a, b) => Number(a.id) - Number(b.id)),
+      [
+        { id: blog.id, role: "editor" },
+        { id: bobsBlog.id, role: "owner" },
+      ]
+    );
+
+    const edited = await server.put(`/blogs/${blog.id}`, {
+      user: bob,
+      body: { title: "Edited by Bob", content: "Edited", version: blog.version },
+    });
+    assert.equal(edited.status, 200);
+
+    const deleted = await server.del(`/blogs/${blog.id}`, { user: bob });
+    assert.equal(deleted.status, 403);
+    assert.equal((await server.del(`/blogs/${bobsBlog.id}`, { user: bob })).status, 200);
+
+    // admins manage every blog in the workspace
+    assert.equal((await server.del(`/blogs/${blog.id}`, { user: carol })).status, 200);
+  });
+
+  it("limits member management to the owner and admins", async () => {
+    const workspace = await createWorkspace();
+    const bobMember = await join(workspace, bob, "writer");
+    const carolMember = await join(workspace, carol, "admin");
+
+    const members = await server.get(`/workspaces/${workspace.id}/members`, { user: bob });
+    assert.deepEqual(
+      members.body.map(({ email, role }) => ({ email, role })),
+      [
+        { email: alice.email, role: "owner" },
+        { email: bob.email, role: "writer" },
+        { email: carol.email, role: "admin" },
+      ]
+    );
+    const owner = members.body[0];
+
+    const writerInvite = await invite(workspace, "dave@example.test", "writer", bob);
+    assert.equal(writerInvite.status, 403);
+    assert.equal(writerInvite.body.code, "forbidden");
+
+    const promoted = await server.put(`/workspaces/${workspace.id}/members/${bobMember.id}`, {
+      user: carol,
+      body: { role: "admin" },
+    });
+    assert.equal(promoted.status, 200);
+    assert.equal(promoted.body.role, "admin");
+
+    const demoteOwner = await server.put(`/workspaces/${workspace.id}/members/${owner.id}`, {
+      user: carol,
+      body: { role: "writer" },
+    });
+    assert.equal(demoteOwner.status, 403);
+    assert.equal((await server.del(`/workspaces/${workspace.id}/members/${owner.id}`, { user: alice })).status, 403);
+
+    const renamed = await server.put(`/workspaces/${workspace.id}`, {
+      user: carol,
+      body: { name: "Features desk" },
+    });
+    assert.equal(renamed.status, 200);
+    assert.equal(renamed.body.name, "Features desk");
+
+    // members can leave on their own
+    const left = await server.del(`/workspaces/${workspace.id}/members/${carolMember.id}`, {
+      user: carol,
+    });
+    assert.equal(left.status, 200);
+    assert.equal((await server.get("/workspaces", { user: carol })).body.length, 0);
+  });
+
+  it("takes workspace blogs away from members who are removed", async () => {
+    const workspace = await createWorkspace();
+    const bobMember = await join(workspace, bob);
+    const blog = await createBlog(server, bob, { workspace_id: workspace.id });
+
+    const removed = await server.del(`/workspaces/${workspace.id}/members/${bobMember.id}`, {
+      user: alice,
+    });
+    assert.equal(removed.status, 200);
+
+    const edited = await server.put(`/blogs/${blog.id}`, {
+      user: bob,
+      body: { title: "Still mine?", content: "No", version: blog.version },
+    });
+    assert.equal(edited.status, 404);
+    assert.equal((await listBlogs(bob)).body.items.length, 0);
+    assert.equal((await listBlogs(alice, workspace)).body.items.length, 1);
+  });
+
+  it("lets admins see and restore members' trashed workspace blogs", async () => {
+    const workspace = await createWorkspace();
+    await join(workspace, bob, "writer");
+    await join(workspace, carol, "admin");
+    const bobsBlog = await createBlog(server, bob, { workspace_id: workspace.id });
+    const alicesBlog = await createBlog(server, alice, { workspace_id: workspace.id });
+    assert.equal((await server.del(`/blogs/${bobsBlog.id}`, { user: carol })).status, 200);
+    assert.equal((await server.del(`/blogs/${alicesBlog.id}`, { user: alice })).status, 200);
+
+    const trash = (user) => server.get(`/trash?workspace=${workspace.id}`, { user });
+    assert.deepEqual(
+      (await trash(carol)).body.map(({ id }) => id).sort(),
+      [alicesBlog.id, bobsBlog.id].sort()
+    );
+    // writers only see what they wrote
+    assert.deepEqual((await trash(bob)).body.map(({ id }) => id), [bobsBlog.id]);
+    assert.equal((await trash(await server.signIn())).status, 404);
+    assert.equal((await server.get("/trash", { user: bob })).body.length, 0);
+
+    const refused = await server.post(`/trash/${alicesBlog.id}/restore`, { user: bob });
+    assert.equal(refused.status, 403);
+
+    const restored = await server.post(`/trash/${bobsBlog.id}/restore`, { user: carol });
+    assert.equal(restored.status, 200);
+    assert.equal(restored.body.workspace_id, workspace.id);
+    assert.equal((await listBlogs(bob, workspace)).body.items.length, 1);
+  });
+
+  it("keeps removed members out of the workspace's trash", async () => {
+    const workspace = await createWorkspace();
+    const bobMember = await join(workspace, bob);
+    const blog = await createBlog(server, bob, { workspace_id: workspace.id });
+    assert.equal((await server.del(`/blogs/${blog.id}`, { user: bob })).status, 200);
+    await server.del(`/workspaces/${workspace.id}/members/${bobMember.id}`, { user: alice });
+
+    assert.equal((await server.get(`/trash?workspace=${workspace.id}`, { user: bob })).status, 404);
+    assert.equal((await server.del(`/trash/${blog.id}`, { user: bob })).status, 404);
+    assert.equal((await server.post(`/trash/${blog.id}/restore`, { user: bob })).status, 404);
+    assert.ok(server.supabase.table("blogs").some((row) => row.id === blog.id));
+
+    assert.equal((await server.del(`/trash/${blog.id}`, { user: alice })).status, 200);
+    assert.ok(!server.supabase.table("blogs").some((row) => row.id === blog.id));
+  });
+
+  it("bills the workspace per seat and upgrades it from the webhook", async () => {
+    const workspace = await createWorkspace();
+    await join(workspace, bob);
+
+    const writer = await server.post(`/workspaces/${workspace.id}/billing/checkout`, {
+      user: bob,
+      body: { interval: "monthly" },
+    });
+    assert.equal(writer.status, 403);
+
+    const checkout = await server.post(`/workspaces/${workspace.id}/billing/checkout`, {
+      user: alice,
+      body: { interval: "monthly" },
+    });
+    assert.equal(checkout.status, 200);
+
+    const session = server.stripe.calls.findLast(
+      (call) => call.method === "checkout.sessions.create"
+    ).params;
+    assert.equal(session.line_items[0].quantity, 2);
+    assert.equal(session.metadata.workspaceId, String(workspace.id));
+    assert.equal(session.customer, workspaceRow(workspace).stripe_customer_id);
+    assert.equal(session.success_url, `http://app.test/billing-success?workspace=${workspace.id}`);
+
+    await server.sendWebhook(
+      stripeEvent("checkout.session.completed", {
+        customer: session.customer,
+        subscription: "sub_team",
+        metadata: { workspaceId: String(workspace.id) },
+      })
+    );
+    assert.equal(workspaceRow(workspace).plan, "premium");
+
+    const [summary] = (await server.get("/workspaces", { user: bob })).body;
+    assert.equal(summary.plan, "premium");
+    assert.equal(summary.maxBlogs, 20);
+
+    // the personal plan of whoever paid is unchanged
+    assert.equal((await server.get("/profile", { user: alice })).body.plan, "free");
+
+    const billing = await server.get(`/workspaces/${workspace.id}/billing`, { user: alice });
+    assert.equal(billing.status, 200);
+    assert.equal(billing.body.seats, 2);
+    assert.equal(billing.body.canManage, true);
+
+    // joining and leaving change the subscription's quantity
+    const carolMember = await join(workspace, carol);
+    assert.equal(subscriptions.sub_team.items.data[0].quantity, 3);
+
+    await server.del(`/workspaces/${workspace.id}/members/${carolMember.id}`, { user: carol });
+    assert.equal(subscriptions.sub_team.items.data[0].quantity, 2);
+
+    await server.sendWebhook(
+      stripeEvent("customer.subscription.deleted", {
+        id: "sub_team",
+        customer: session.customer,
+        status: "canceled",
+      })
+    );
+    assert.equal(workspaceRow(workspace).plan, "free");
+  });
+
+  it("archives workspace blogs over the limit when the plan ends", async () => {
+    const workspace = await createWorkspace();
+    workspaceRow(workspace).plan = "premium";
+
+    for (let index = 0; index < 5; index += 1) {
+      await createBlog(server, alice, { workspace_id: workspace.id });
+    }
+
+    const customer = `cus_workspace_${workspace.id}`;
+    workspaceRow(workspace).stripe_customer_id = customer;
+    await server.sendWebhook(
+      stripeEvent("customer.subscription.deleted", {
+        id: "sub_gone",
+        customer,
+        status: "canceled",
+      })
+    );
+
+    const [summary] = (await server.get("/workspaces", { user: alice })).body;
+    assert.equal(summary.plan, "free");
+    assert.equal(summary.archivedCount, 1);
+  });
+
+  it("streams workspace blog changes to every member", async () => {
+    const workspace = await createWorkspace();
+    await join(workspace, bob);
+    const blog = await createBlog(server, alice, { workspace_id: workspace.id });
+
+    const stream = await server.openEvents(bob);
+    try {
+      assert.equal((await stream.next()).type, "ready");
+
+      const edited = await server.put(`/blogs/${blog.id}`, {
+        user: alice,
+        body: { title: "Edited", content: "Edited", version: blog.version },
+      });
+      assert.deepEqual(await stream.next(), {
+        type: "blog.updated",
+        data: { blog: edited.body },
+      });
+    } finally {
+      stream.close();
+    }
+  });
+});
@@ -0,0 +1,69 @@
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+  useState,
+} from "react";
+import { useQueryClient } from "@tanstack/react-query";
+import { supabase } from "./supabaseClient";
+
+const AuthContext = createContext(null);
+
+/**
+ * Tracks the Supabase session for every page below it. Cached API data
+ * belongs to the signed-in user, so it is dropped when they sign out.
+ */
+function AuthProvider(props) {
+  const queryClient = useQueryClient();
+  const [session, setSession] = useState(null);
+  const [checkingSession, setCheckingSession] = useState(true);
+
+  useEffect(() => {
+    const initSession = async () => {
+      try {
+        const { data } = await supabase.auth.getSession();
+        setSession(data.session);
+      } finally {
+        setCheckingSession(false);
+      }
+    };
+
+    initSession();
+
+    const {
+      data: { subscription },
+    } = supabase.auth.onAuthStateChange((_event, currentSession) => {
+      setSession(currentSession);
+      if (!currentSession) {
+        queryClient.clear();
+      }
+    });
+
+    return () => subscription.unsubscribe();
+  }, [queryClient]);
+
+  const signOut = useCallback(async () => {
+    await supabase.auth.signOut();
+    queryClient.clear();
+  }, [queryClient]);
+
+  const value = useMemo(
+    () => ({
+      session,
+      user: session?.user || null,
+      checkingSession,
+      signOut,
+    }),
+    [session, checkingSession, signOut]
+  );
+
+  return (
+    <AuthContext.Provider value={value}>{props.children}</AuthContext.Provider>
+  );
+}
+
+export const useAuth = () => useContext(AuthContext);
+
+export default AuthProvider;
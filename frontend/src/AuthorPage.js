@@ -0,0 +1,127 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { Link } from "react-router-dom";
+import { api } from "./api";
+import { getErrorMessage } from "./apiErrors";
+
+const PAGE_SIZE = 10;
+
+function AuthorPage(props) {
+  const [author, setAuthor] = useState(null);
+  const [posts, setPosts] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [errorMessage, setErrorMessage] = useState("");
+
+  const authorUrl = `/public/authors/${encodeURIComponent(props.username)}`;
+
+  const fetchPosts = useCallback(
+    async (cursor) => {
+      const result = await api.get(`${authorUrl}/blogs`, {
+        params: { limit: PAGE_SIZE, cursor: cursor || undefined },
+      });
+      return result.data;
+    },
+    [authorUrl]
+  );
+
+  useEffect(() => {
+    const loadAuthor = async () => {
+      try {
+        setLoading(true);
+        const [profile, page] = await Promise.all([
+          api.get(authorUrl),
+          fetchPosts(),
+        ]);
+        setAuthor(profile.data);
+        setPosts(page.items);
+        setNextCursor(page.nextCursor);
+        setErrorMessage("");
+      } catch (error) {
+        console.error(error);
+        setErrorMessage(getErrorMessage(error, "Failed to load author."));
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadAuthor();
+  }, [authorUrl, fetchPosts]);
+
+  const loadMore = async () => {
+    try {
+      setLoadingMore(true);
+      const page = await fetchPosts(nextCursor);
+      setPosts((prev) => [...prev, ...page.items]);
+      setNextCursor(page.nextCursor);
+    } catch (error) {
+      console.error(error);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  if (loading) {
+    return <p>Loading...</p>;
+  }
+
+  if (errorMessage) {
+    return (
+      <div>
+        <div className="status error">{errorMessage}</div>
+        <Link to="/">Back to home</Link>
+      </div>
+    );
+  }
+
+  const links = Object.entries(author.social_links || {});
+
+  return (
+    <div className="author-page">
+      <div className="author-header">
+        {author.avatar_url && <img className="avatar large" src={author.avatar_url} alt="" />}
+        <div>
+          <h2>{author.display_name}</h2>
+          <p className="post-meta">@{author.username}</p>
+          {author.bio && <p>{author.bio}</p>}
+          {links.length > 0 && (
+            <p className="post-meta">
+              {links.map(([network, url], index) => (
+                <React.Fragment key={network}>
+                  {index > 0 && " · "}
+                  <a href={url} target="_blank" rel="noopener noreferrer nofollow">
+                    {network}
+                  </a>
+                </React.Fragment>
+              ))}
+            </p>
+          )}
+        </div>
+      </div>
+
+      {posts.length === 0 && <p>No published posts yet.</p>}
+      {posts.map((post) => (
+        <div key={post.id} className="blog-card">
+          <h3>
+            <Link to={`/posts/${encodeURIComponent(post.slug)}`}>{post.title}</Link>
+          </h3>
+          {post.published_at && (
+            <p className="post-meta">
+              Published {new Date(post.published_at).toLocaleDateString()}
+            </p>
+          )}
+        </div>
+      ))}
+      {nextCursor && (
+        <button onClick={loadMore} disabled={loadingMore}>
+          {loadingMore ? "Loading..." : "Load more"}
+        </button>
+      )}
+      <p>
+        <Link to="/">Back to home</Link>
+      </p>
+    </div>
+  );
+}
+
+export default AuthorPage;
@@ -0,0 +1,70 @@
+import React, { useState, useEffect } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { useQueryClient } from "@tanstack/react-query";
+import { queryKeys, useProfile, useWorkspaces } from "./queries";
+
+// the webhook can land a few seconds after Stripe redirects back; the live
+// profile.changed (or workspaces.changed) event usually updates the plan,
+// polling covers a dropped stream. Workspace checkouts return with ?workspace=id
+const POLL_INTERVAL_MS = 2000;
+const MAX_POLLS = 5;
+// the webhook sets these once Stripe confirms the subscription, whatever the plan is called
+const ACTIVE_STATUSES = ["active", "trialing"];
+
+function BillingReturn(props) {
+  const { result } = props;
+  const [searchParams] = useSearchParams();
+  const workspaceId = searchParams.get("workspace");
+  const { data: profile, refetch: refetchProfile } = useProfile();
+  const { data: workspaces, refetch: refetchWorkspaces } = useWorkspaces();
+  const queryClient = useQueryClient();
+  const navigate = useNavigate();
+  const [polls, setPolls] = useState(0);
+
+  const account = workspaceId
+    ? (workspaces || []).find((workspace) => String(workspace.id) === workspaceId)
+    : profile;
+  const refetchAccount = workspaceId ? refetchWorkspaces : refetchProfile;
+  const upgraded = ACTIVE_STATUSES.includes(account?.subscriptionStatus);
+  const waiting = result === "success" && !upgraded && polls < MAX_POLLS;
+
+  useEffect(() => {
+    if (polls > 0 && !waiting) return;
+
+    const timer = setTimeout(
+      async () => {
+        await refetchAccount();
+        queryClient.invalidateQueries({ queryKey: queryKeys.billing });
+        setPolls((prev) => prev + 1);
+      },
+      polls ? POLL_INTERVAL_MS : 0
+    );
+    return () => clearTimeout(timer);
+  }, [polls, waiting, refetchAccount, queryClient]);
+
+  let message;
+  if (result === "cancel") {
+    message = "Checkout was cancelled. You have not been charged.";
+  } else if (upgraded) {
+    message = workspaceId
+      ? `Thanks! ${account.name} is now on the ${account.planName} plan.`
+      : `Thanks! Your ${account.planName} plan is active.`;
+  } else if (waiting) {
+    message = "Payment received, activating your plan...";
+  } else {
+    message =
+      "Payment received. Your plan will update here as soon as Stripe confirms it.";
+  }
+
+  return (
+    <div className="billing-return">
+      <h2>{result === "cancel" ? "Checkout cancelled" : "Billing"}</h2>
+      <div className="status">{message}</div>
+      <button onClick={() => navigate("/", { replace: true })}>
+        Back to your blogs
+      </button>
+    </div>
+  );
+}
+
+export default BillingReturn;
@@ -1,14 +1,63 @@
-import React, {useState} from "react"
+import React, {useState, useMemo} from "react"
+import { Link } from "react-router-dom"
+import MarkdownEditor from "./MarkdownEditor"
+import TagInput from "./TagInput"
+import RevisionHistory from "./RevisionHistory"
+import Comments from "./Comments"
+import ShareDialog from "./ShareDialog"
+import useAutosave, { findSavedDraft, clearLocalDraft } from "./useAutosave"
+import { mergeContent } from "./merge"
+import { renderPostHtml } from "./markdown"
+import { toLocalInputValue, fromLocalInputValue, minScheduleValue } from "./schedule"
+
+function toEditable(blog){
+    return { title: blog.title || "", content: blog.content || "", tags: blog.tags || [], category: blog.category || "" }
+}
+
+function isChanged(a, b){
+    return JSON.stringify(toEditable(a)) !== JSON.stringify(toEditable(b))
+}
+
+const ROLE_LABELS = { editor: "Editor", viewer: "Viewer" }
 
 function Blog(props){
 
+    // "owner", or the user's role on a blog shared with them
+    const role = props.role || "owner"
+    const isOwner = role === "owner"
+    const canEdit = isOwner || role === "editor"
+    // workspace members get a role too, but only collaborators can leave a single blog
+    const isShared = !isOwner && Boolean(props.collaboratorId)
+
     const [edit, setEdit] = useState(false)
-    const [editedBlog, setEditedBlog] = useState({ title: props.title, content: props.content })
+    const [showHistory, setShowHistory] = useState(false)
+    const [showComments, setShowComments] = useState(false)
+    const [showShare, setShowShare] = useState(false)
+    const [editedBlog, setEditedBlog] = useState(toEditable(props))
+    // the version being edited, used as the merge base when a save conflicts
+    const [editBase, setEditBase] = useState(null)
+    const [conflict, setConflict] = useState(null)
+    const [recoveredDraft, setRecoveredDraft] = useState(null)
+    const [mergeNotice, setMergeNotice] = useState("")
+    const [scheduleInput, setScheduleInput] = useState("")
+
+    const draftValue = useMemo(() => ({ ...editedBlog, base_version: editBase ? editBase.version : null }), [editedBlog, editBase])
+    const savedAt = useAutosave(props.id, draftValue, {
+        enabled: edit && editBase !== null && isChanged(editedBlog, editBase),
+        saveRemote: props.onSaveDraft,
+    })
 
     function handleDelete(){
         props.onDelete(props.id)
     }
 
+    function handleLeave(){
+        if (!window.confirm("Leave this blog? You will need a new invitation to see it again.")) {
+            return
+        }
+        props.onLeave(props.id, props.collaboratorId)
+    }
+
     function handleChange(event){
         const { name, value } = event.target;
         setEditedBlog((prev) => {
@@ -16,25 +65,154 @@ function Blog(props){
         });
     }
 
+    function handlePublishToggle(){
+        const status = props.status === "published" ? "draft" : "published"
+        props.onEdit(props.id, { title: props.title, content: props.content, status, version: props.version })
+    }
+
+    async function startEdit(){
+        const base = { ...toEditable(props), version: props.version }
+        setEditBase(base)
+        setEditedBlog(toEditable(props))
+        setConflict(null)
+        setMergeNotice("")
+        setScheduleInput(toLocalInputValue(props.publishAt))
+        setEdit(true)
+
+        const draft = await findSavedDraft(props.id, props.onFetchDraft)
+        if (draft && isChanged(draft, base)) {
+            setRecoveredDraft(draft)
+        }
+    }
+
+    function restoreDraft(){
+        setEditedBlog(toEditable(recoveredDraft))
+        setRecoveredDraft(null)
+    }
+
+    function discardRecoveredDraft(){
+        props.onDiscardDraft(props.id)
+        setRecoveredDraft(null)
+    }
+
+    async function saveWithVersion(version){
+        const changes = { ...editedBlog, version }
+        // only send publish_at when the schedule was touched
+        if (scheduleInput !== toLocalInputValue(props.publishAt)) {
+            changes.publish_at = fromLocalInputValue(scheduleInput)
+        }
+        // the card shows the saved version straight away; a failed save reopens the editor with the edits intact
+        setEdit(false)
+        const result = await props.onEdit(props.id, changes)
+        if (result && result.ok) {
+            clearLocalDraft(props.id)
+            return
+        }
+        if (result && result.conflict) {
+            setConflict(result.conflict)
+        }
+        setEdit(true)
+    }
+
     function handleSave(){
-        props.onEdit(props.id,editedBlog);
-        setEdit(!edit)
+        saveWithVersion(editBase.version)
+    }
+
+    function handleOverwrite(){
+        const current = conflict
+        setConflict(null)
+        saveWithVersion(current.version)
+    }
+
+    function handleMerge(){
+        const current = conflict
+        const merged = mergeContent(editBase.content, editedBlog.content, current.content)
+        const title = editedBlog.title !== editBase.title ? editedBlog.title : current.title
+        setEditedBlog((prev) => ({ ...prev, title, content: merged.content }))
+        setEditBase({ ...toEditable(current), version: current.version })
+        setConflict(null)
+        setMergeNotice(merged.clean
+            ? "Merged your changes into the saved version. Review and save."
+            : "Some of your changes overlap with the saved version. Resolve the marked sections, then save.")
+    }
+
+    function handleDiscardMine(){
+        const current = conflict
+        setEditedBlog(toEditable(current))
+        setEditBase({ ...toEditable(current), version: current.version })
+        setConflict(null)
+        props.onDiscardDraft(props.id)
+    }
+
+    function handleCancel(){
+        props.onDiscardDraft(props.id)
+        setEdit(false)
+        setEditedBlog(toEditable(props))
+        setRecoveredDraft(null)
+        setConflict(null)
     }
 
     return (<div className="blog-card">
         {(!edit) && (<div>
             <h2>{props.title}</h2>
-            <p>{props.content}</p>
-            <button onClick={()=>{setEdit(!edit)}}>Edit</button> 
-            <button onClick={handleDelete}>Delete</button>
+            <span className={`status-badge ${props.status}`}>{props.status === "published" ? "Published" : "Draft"}</span>
+            {props.archivedAt && (<span className="status-badge archived">Archived</span>)}
+            {isShared && (<span className="status-badge shared">Shared with you · {ROLE_LABELS[role]}</span>)}
+            {props.publishAt && props.status !== "published" && (<span className="status-badge scheduled">Scheduled for {new Date(props.publishAt).toLocaleString()}</span>)}
+            {props.pending && (<span className="status-badge pending">Saving...</span>)}
+            {props.category && (<span className="category-label">{props.category}</span>)}
+            {props.tags && props.tags.length > 0 && (<div className="tag-list">
+                {props.tags.map((tag) => (<button key={tag} className="tag-chip" onClick={()=>{props.onTagClick(tag)}}>#{tag}</button>))}
+            </div>)}
+            <div className="markdown-body" dangerouslySetInnerHTML={{ __html: renderPostHtml(props.contentHtml, props.content) }} />
+            {props.archivedAt && (<p className="notice">Over your plan limit: this blog is read-only and hidden from the public until you upgrade or delete other blogs.</p>)}
+            {props.status === "published" && !props.archivedAt && (<p><Link to={`/posts/${props.slug}`}>View public page</Link></p>)}
+            {!props.archivedAt && !props.pending && canEdit && (<button onClick={startEdit}>Edit</button>)}
+            {!props.pending && isOwner && (<button onClick={handleDelete}>Delete</button>)}
+            {!props.pending && isShared && (<button onClick={handleLeave}>Leave</button>)}
+            {!props.archivedAt && !props.pending && canEdit && (<button className="secondary" onClick={handlePublishToggle}>{props.status === "published" ? "Unpublish" : "Publish"}</button>)}
+            {!props.archivedAt && !props.pending && (<button className="secondary" onClick={()=>{setShowHistory(!showHistory)}}>{showHistory ? "Hide History" : "History"}</button>)}
+            {showHistory && !props.archivedAt && (<RevisionHistory
+                blogId={props.id}
+                title={props.title}
+                content={props.content}
+                updatedAt={props.updatedAt}
+                onFetchRevisions={props.onFetchRevisions}
+                onFetchRevision={props.onFetchRevision}
+                onRestore={canEdit ? props.onRestoreRevision : null}
+            />)}
+            {!props.pending && (<button className="secondary" onClick={()=>{setShowComments(!showComments)}}>{showComments ? "Hide Comments" : "Comments"}</button>)}
+            {showComments && (<Comments blogId={props.id} api={props.commentsApi} currentUserId={props.currentUserId} />)}
+            {!props.pending && isOwner && (<button className="secondary" onClick={()=>{setShowShare(!showShare)}}>{showShare ? "Hide Sharing" : "Share"}</button>)}
+            {showShare && isOwner && (<ShareDialog blogId={props.id} onClose={()=>{setShowShare(false)}} />)}
             </div>
         )}
         
         {edit && (<div>
+            {recoveredDraft && (<div className="status draft-notice">
+                You have unsaved changes from {new Date(recoveredDraft.updated_at).toLocaleString()}
+                {recoveredDraft.base_version && recoveredDraft.base_version !== props.version ? " (made on an older version)" : ""}.
+                <button className="secondary" onClick={restoreDraft}>Restore</button>
+                <button className="secondary" onClick={discardRecoveredDraft}>Discard</button>
+            </div>)}
+            {conflict && (<div className="status error conflict-notice">
+                This blog was changed somewhere else (now version {conflict.version}) since you started editing.
+                <button className="secondary" onClick={handleMerge}>Merge</button>
+                <button className="secondary" onClick={handleOverwrite}>Overwrite with mine</button>
+                <button className="secondary" onClick={handleDiscardMine}>Discard mine</button>
+            </div>)}
+            {mergeNotice && (<div className="status">{mergeNotice}</div>)}
             <input name="title" id={props.id} value={editedBlog.title || ""} onChange={handleChange}></input>
-            <textarea name="content" id={props.id} value={editedBlog.content || ""} onChange={handleChange}></textarea>
-            <button onClick={handleSave}>Save</button>
-            <button onClick={()=>{setEdit(!edit);setEditedBlog({ title: props.title, content: props.content})}}>Cancel</button>
+            <MarkdownEditor name="content" value={editedBlog.content || ""} onChange={handleChange} onUploadImage={props.onUploadImage} />
+            <input name="category" value={editedBlog.category || ""} onChange={handleChange} placeholder="Category (optional)"></input>
+            <TagInput value={editedBlog.tags} onChange={(tags)=>{setEditedBlog((prev) => ({ ...prev, tags }))}} />
+            {props.canSchedule && props.status !== "published" && (<label className="schedule-field">
+                Schedule for <input type="datetime-local" value={scheduleInput} min={minScheduleValue()} onChange={(event)=>{setScheduleInput(event.target.value)}} />
+                {scheduleInput && (<button type="button" className="link-button" onClick={()=>{setScheduleInput("")}}>Clear</button>)}
+            </label>)}
+            {savedAt && (<p className="post-meta">Draft autosaved at {savedAt.toLocaleTimeString()}</p>)}
+            <button onClick={handleSave} disabled={conflict !== null}>Save</button>
+            <button onClick={handleCancel}>Cancel</button>
             </div>
         )}
     </div>)
@@ -0,0 +1,311 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { Link, useLocation } from "react-router-dom";
+import { getErrorMessage } from "./apiErrors";
+
+const MAX_DEPTH = 5;
+
+// applies `update` to the comment with the given id anywhere in the tree
+const updateTree = (comments, id, update) =>
+  comments.flatMap((comment) => {
+    if (comment.id === id) {
+      return update(comment);
+    }
+    return [{ ...comment, replies: updateTree(comment.replies, id, update) }];
+  });
+
+function CommentForm(props) {
+  const [body, setBody] = useState(props.initialBody || "");
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!body.trim()) return;
+
+    setSaving(true);
+    const saved = await props.onSubmit(body);
+    setSaving(false);
+    if (saved && !props.initialBody) {
+      setBody("");
+    }
+  };
+
+  return (
+    <form className="comment-form" onSubmit={handleSubmit}>
+      <textarea
+        rows="3"
+        value={body}
+        onChange={(event) => setBody(event.target.value)}
+        placeholder={props.placeholder || "Write a comment..."}
+      ></textarea>
+      <button type="submit" disabled={saving || !body.trim()}>
+        {saving ? "Posting..." : props.submitLabel || "Post"}
+      </button>
+      {props.onCancel && (
+        <button type="button" className="secondary" onClick={props.onCancel}>
+          Cancel
+        </button>
+      )}
+    </form>
+  );
+}
+
+function CommentItem(props) {
+  const { comment, canWrite, isPostAuthor, currentUserId, locked } = props;
+  const [replying, setReplying] = useState(false);
+  const [editing, setEditing] = useState(false);
+
+  const isOwn = currentUserId && comment.user_id === currentUserId;
+  const deleted = comment.status === "deleted";
+
+  return (
+    <li className={`comment ${comment.status}`}>
+      {deleted ? (
+        <p className="post-meta">[deleted]</p>
+      ) : (
+        <>
+          <p className="post-meta">
+            <strong>{comment.author_name}</strong> ·{" "}
+            {new Date(comment.created_at).toLocaleString()}
+            {comment.edited_at && " · edited"}
+            {comment.status === "hidden" && " · hidden from readers"}
+          </p>
+          {editing ? (
+            <CommentForm
+              initialBody={comment.body}
+              submitLabel="Save"
+              onSubmit={async (body) => {
+                const saved = await props.onEdit(comment.id, body);
+                if (saved) setEditing(false);
+                return saved;
+              }}
+              onCancel={() => setEditing(false)}
+            />
+          ) : (
+            <p className="comment-body">{comment.body}</p>
+          )}
+          <div className="comment-actions">
+            {canWrite && !locked && comment.depth < MAX_DEPTH && (
+              <button type="button" onClick={() => setReplying(!replying)}>
+                Reply
+              </button>
+            )}
+            {isOwn && !editing && (
+              <button type="button" onClick={() => setEditing(true)}>
+                Edit
+              </button>
+            )}
+            {isPostAuthor && (
+              <button
+                type="button"
+                onClick={() => props.onHide(comment.id, comment.status !== "hidden")}
+              >
+                {comment.status === "hidden" ? "Unhide" : "Hide"}
+              </button>
+            )}
+            {(isOwn || isPostAuthor) && (
+              <button type="button" onClick={() => props.onDelete(comment.id)}>
+                Delete
+              </button>
+            )}
+          </div>
+        </>
+      )}
+      {replying && (
+        <CommentForm
+          placeholder="Write a reply..."
+          submitLabel="Reply"
+          onSubmit={async (body) => {
+            const saved = await props.onReply(body, comment.id);
+            if (saved) setReplying(false);
+            return saved;
+          }}
+          onCancel={() => setReplying(false)}
+        />
+      )}
+      {comment.replies.length > 0 && (
+        <ul className="comment-list">
+          {comment.replies.map((reply) => (
+            <CommentItem key={reply.id} {...props} comment={reply} />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+}
+
+function Comments(props) {
+  const { blogId, api } = props;
+  const location = useLocation();
+  const [comments, setComments] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [locked, setLocked] = useState(false);
+  const [isPostAuthor, setIsPostAuthor] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [errorMessage, setErrorMessage] = useState("");
+
+  const showError = (error, fallback) => {
+    console.error(error);
+    setErrorMessage(getErrorMessage(error, fallback));
+  };
+
+  const loadComments = useCallback(
+    async (cursor) => {
+      const page = await api.list(blogId, cursor);
+      setComments((prev) => (cursor ? [...prev, ...page.items] : page.items));
+      setNextCursor(page.nextCursor);
+      setLocked(page.locked);
+      setIsPostAuthor(page.isPostAuthor);
+    },
+    [api, blogId]
+  );
+
+  useEffect(() => {
+    const loadFirstPage = async () => {
+      try {
+        setLoading(true);
+        await loadComments();
+        setErrorMessage("");
+      } catch (error) {
+        console.error(error);
+        setErrorMessage(
+          getErrorMessage(error, "Failed to load comments.")
+        );
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadFirstPage();
+  }, [loadComments]);
+
+  const handleLoadMore = async () => {
+    try {
+      await loadComments(nextCursor);
+    } catch (error) {
+      showError(error, "Failed to load comments.");
+    }
+  };
+
+  const handleCreate = async (body, parentId) => {
+    try {
+      const comment = await api.create(blogId, body, parentId);
+      setComments((prev) =>
+        parentId
+          ? updateTree(prev, parentId, (parent) => [
+              { ...parent, replies: [...parent.replies, comment] },
+            ])
+          : [...prev, comment]
+      );
+      setErrorMessage("");
+      return true;
+    } catch (error) {
+      showError(error, "Failed to post comment.");
+      return false;
+    }
+  };
+
+  const handleEdit = async (commentId, body) => {
+    try {
+      const updated = await api.update(blogId, commentId, body);
+      setComments((prev) =>
+        updateTree(prev, commentId, (comment) => [{ ...comment, ...updated }])
+      );
+      setErrorMessage("");
+      return true;
+    } catch (error) {
+      showError(error, "Failed to update comment.");
+      return false;
+    }
+  };
+
+  const handleHide = async (commentId, hidden) => {
+    try {
+      const updated = await api.setHidden(blogId, commentId, hidden);
+      setComments((prev) =>
+        updateTree(prev, commentId, (comment) => [
+          { ...comment, status: updated.status },
+        ])
+      );
+      setErrorMessage("");
+    } catch (error) {
+      showError(error, "Failed to update comment.");
+    }
+  };
+
+  const handleDelete = async (commentId) => {
+    if (!window.confirm("Delete this comment?")) return;
+
+    try {
+      await api.remove(blogId, commentId);
+      setComments((prev) =>
+        updateTree(prev, commentId, (comment) =>
+          comment.replies.length
+            ? [{ ...comment, status: "deleted", body: "", author_name: null }]
+            : []
+        )
+      );
+      setErrorMessage("");
+    } catch (error) {
+      showError(error, "Failed to delete comment.");
+    }
+  };
+
+  const handleToggleLock = async () => {
+    try {
+      const blog = await api.setLocked(blogId, !locked);
+      setLocked(blog.comments_locked);
+      setErrorMessage("");
+    } catch (error) {
+      showError(error, "Failed to update comment settings.");
+    }
+  };
+
+  if (loading) {
+    return <p>Loading comments...</p>;
+  }
+
+  return (
+    <div className="comments">
+      {errorMessage && <div className="status error">{errorMessage}</div>}
+      {isPostAuthor && (
+        <button type="button" className="secondary" onClick={handleToggleLock}>
+          {locked ? "Unlock Comments" : "Lock Comments"}
+        </button>
+      )}
+      {locked && <p className="notice">Comments are locked.</p>}
+      {comments.length === 0 && <p>No comments yet.</p>}
+      <ul className="comment-list">
+        {comments.map((comment) => (
+          <CommentItem
+            key={comment.id}
+            comment={comment}
+            canWrite={api.canWrite}
+            isPostAuthor={isPostAuthor}
+            currentUserId={props.currentUserId}
+            locked={locked}
+            onReply={handleCreate}
+            onEdit={handleEdit}
+            onHide={handleHide}
+            onDelete={handleDelete}
+          />
+        ))}
+      </ul>
+      {nextCursor && (
+        <button type="button" onClick={handleLoadMore}>
+          Load more comments
+        </button>
+      )}
+      {api.canWrite && !locked && <CommentForm onSubmit={(body) => handleCreate(body)} />}
+      {!api.canWrite && (
+        <p className="post-meta">
+          <Link to="/login" state={{ from: location }}>
+            Sign in
+          </Link>{" "}
+          to join the discussion.
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default Comments;
@@ -0,0 +1,328 @@
+import React, { useState, useEffect, useRef, useMemo } from "react";
+import { Link } from "react-router-dom";
+import Blog from "./Blog";
+import PlanCard from "./PlanCard";
+import Invitations from "./Invitations";
+import { useAuth } from "./AuthContext";
+import { useWorkspace } from "./WorkspaceContext";
+import { api } from "./api";
+import { createCommentsApi } from "./commentsApi";
+import {
+  fetchDraft,
+  saveDraft,
+  discardDraft,
+  fetchRevisions,
+  fetchRevision,
+} from "./blogsApi";
+import {
+  useProfile,
+  useBlogs,
+  useTaxonomy,
+  useBilling,
+  usePlans,
+  useUpdateBlog,
+  useDeleteBlog,
+  useLeaveBlog,
+  useRestoreRevision,
+} from "./queries";
+import useImageUpload from "./useImageUpload";
+import { getErrorCode, getErrorMessage } from "./apiErrors";
+
+const SEARCH_DEBOUNCE_MS = 300;
+const SORT_OPTIONS = [
+  { value: "newest", label: "Newest" },
+  { value: "oldest", label: "Oldest" },
+  { value: "title", label: "Title" },
+  { value: "updated", label: "Last updated" },
+];
+const EMPTY_TAXONOMY = { tags: [], categories: [] };
+
+// the blog list of the user or their active workspace, with plan, search and filters
+function Dashboard() {
+  const { user } = useAuth();
+  const { workspace, workspaceId } = useWorkspace();
+  const [statusMessage, setStatusMessage] = useState("");
+  const [upgradeLoading, setUpgradeLoading] = useState(false);
+  const [portalLoading, setPortalLoading] = useState(false);
+  const [searchInput, setSearchInput] = useState("");
+  const [searchQuery, setSearchQuery] = useState("");
+  const [sort, setSort] = useState("newest");
+  const [activeTags, setActiveTags] = useState([]);
+  const [activeCategory, setActiveCategory] = useState("");
+  const loadMoreRef = useRef(null);
+
+  const { data: profile } = useProfile();
+  const {
+    data: blogs = [],
+    isPending: dataLoading,
+    error: blogsError,
+    hasNextPage,
+    fetchNextPage,
+    isFetchingNextPage,
+  } = useBlogs({
+    workspaceId,
+    q: searchQuery,
+    sort,
+    tags: activeTags,
+    category: activeCategory,
+  });
+  const { data: taxonomy = EMPTY_TAXONOMY } = useTaxonomy(workspaceId);
+  const { data: billing = null } = useBilling(workspace);
+  const { data: plans = [] } = usePlans();
+  const updateBlog = useUpdateBlog();
+  const deleteBlog = useDeleteBlog();
+  const leaveBlog = useLeaveBlog();
+  const restoreRevision = useRestoreRevision();
+
+  const commentsApi = useMemo(() => createCommentsApi(Boolean(user)), [user]);
+  const uploadImage = useImageUpload(setStatusMessage);
+
+  useEffect(() => {
+    const timer = setTimeout(
+      () => setSearchQuery(searchInput.trim()),
+      SEARCH_DEBOUNCE_MS
+    );
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  // infinite scroll: fetch the next page when the sentinel comes into view
+  useEffect(() => {
+    const node = loadMoreRef.current;
+    if (!node || !hasNextPage) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting && !isFetchingNextPage) {
+          fetchNextPage();
+        }
+      },
+      { rootMargin: "200px" }
+    );
+    observer.observe(node);
+
+    return () => observer.disconnect();
+  }, [hasNextPage, isFetchingNextPage, fetchNextPage]);
+
+  const toggleTagFilter = (tag) => {
+    setActiveTags((prev) =>
+      prev.includes(tag) ? prev.filter((item) => item !== tag) : [...prev, tag]
+    );
+  };
+
+  const clearFilters = () => {
+    setActiveTags([]);
+    setActiveCategory("");
+  };
+
+  // resolves to { ok } or, when the server has a newer version, { conflict };
+  // the list itself is updated (and rolled back) by the cache
+  const editBlog = async (id, editedBlog) => {
+    try {
+      await updateBlog.mutateAsync({ id, changes: editedBlog });
+      return { ok: true };
+    } catch (error) {
+      console.error(error);
+      const current = error.response?.data?.current;
+      if (getErrorCode(error) === "version_conflict" && current) {
+        return { ok: false, conflict: current };
+      }
+      return { ok: false };
+    }
+  };
+
+  // a workspace's plan and usage replace the personal ones while it is active
+  const plan = workspace || (workspaceId ? null : profile);
+  const billingPath = workspace ? `/workspaces/${workspace.id}/billing` : "/billing";
+  const canManageBilling =
+    !workspace || workspace.role === "owner" || workspace.role === "admin";
+
+  const startUpgrade = async (interval) => {
+    try {
+      setUpgradeLoading(true);
+      const result = await api.post(`${billingPath}/checkout`, { interval });
+      window.location.href = result.data.checkoutUrl;
+    } catch (error) {
+      console.error(error);
+      setStatusMessage(
+        getErrorMessage(error, "Unable to start checkout.")
+      );
+    } finally {
+      setUpgradeLoading(false);
+    }
+  };
+
+  const openBillingPortal = async () => {
+    try {
+      setPortalLoading(true);
+      const result = await api.post(`${billingPath}/portal`);
+      window.location.href = result.data.portalUrl;
+    } catch (error) {
+      console.error(error);
+      setStatusMessage(
+        getErrorMessage(error, "Unable to open the billing portal.")
+      );
+      setPortalLoading(false);
+    }
+  };
+
+  const reachedLimit = plan && plan.blogCount >= plan.maxBlogs ? true : false;
+
+  return (
+    <>
+      {plan && (
+        <PlanCard
+          profile={plan}
+          billing={canManageBilling ? billing : null}
+          plans={plans}
+          onUpgrade={canManageBilling ? startUpgrade : null}
+          upgradeLoading={upgradeLoading}
+          onManage={openBillingPortal}
+          portalLoading={portalLoading}
+        />
+      )}
+
+      {statusMessage && <div className="status">{statusMessage}</div>}
+
+      {reachedLimit || !plan ? (
+        <button disabled>+ Create New Blog</button>
+      ) : (
+        <Link className="button" to="/new">
+          + Create New Blog
+        </Link>
+      )}
+
+      {reachedLimit && (
+        <p className="notice">
+          {workspace
+            ? "This workspace has reached its plan limit. An owner or admin can upgrade it."
+            : "You have reached your plan limit. Upgrade to add more blogs."}
+        </p>
+      )}
+
+      <Link className="button secondary" to="/trash">
+        View Trash
+      </Link>
+
+      <Invitations />
+
+      <hr />
+      <h2>{workspace ? `${workspace.name} Blogs` : "Blog List"}</h2>
+      <div className="list-controls">
+        <input
+          type="search"
+          value={searchInput}
+          onChange={(event) => setSearchInput(event.target.value)}
+          placeholder="Search blogs..."
+        />
+        <select value={sort} onChange={(event) => setSort(event.target.value)}>
+          {SORT_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </div>
+      {(taxonomy.tags.length > 0 || taxonomy.categories.length > 0) && (
+        <div className="tag-filter">
+          {taxonomy.categories.length > 0 && (
+            <select
+              value={activeCategory}
+              onChange={(event) => setActiveCategory(event.target.value)}
+            >
+              <option value="">All categories</option>
+              {taxonomy.categories.map((category) => (
+                <option key={category.name} value={category.name}>
+                  {category.name} ({category.count})
+                </option>
+              ))}
+            </select>
+          )}
+          {taxonomy.tags.map((tag) => (
+            <button
+              key={tag.name}
+              className={
+                activeTags.includes(tag.name) ? "tag-chip active" : "tag-chip"
+              }
+              onClick={() => toggleTagFilter(tag.name)}
+            >
+              #{tag.name} ({tag.count})
+            </button>
+          ))}
+          {(activeTags.length > 0 || activeCategory) && (
+            <button className="link-button" onClick={clearFilters}>
+              Clear filters
+            </button>
+          )}
+        </div>
+      )}
+      {dataLoading && <p>Loading your blogs...</p>}
+      {blogsError && (
+        <div className="status error">
+          {getErrorMessage(blogsError, "Failed to load blogs.")}
+        </div>
+      )}
+      {!dataLoading && !blogsError && blogs.length === 0 && (
+        <p>
+          {searchQuery || activeTags.length > 0 || activeCategory
+            ? "No blogs match your filters."
+            : "No blogs yet."}
+        </p>
+      )}
+      {!dataLoading &&
+        blogs.map((blogItem) => (
+          <Blog
+            key={blogItem.id}
+            id={blogItem.id}
+            title={blogItem.title}
+            content={blogItem.content}
+            contentHtml={blogItem.content_html}
+            status={blogItem.status}
+            slug={blogItem.slug}
+            tags={blogItem.tags}
+            category={blogItem.category}
+            updatedAt={blogItem.updated_at}
+            version={blogItem.version}
+            archivedAt={blogItem.archived_at}
+            publishAt={blogItem.publish_at}
+            pending={blogItem.pending}
+            role={blogItem.role}
+            collaboratorId={blogItem.collaborator_id}
+            canSchedule={Boolean(plan?.features?.scheduling)}
+            onTagClick={toggleTagFilter}
+            onFetchRevisions={fetchRevisions}
+            onFetchRevision={fetchRevision}
+            onRestoreRevision={(id, revisionId) =>
+              restoreRevision.mutate({
+                id,
+                revisionId,
+                version: blogItem.version,
+              })
+            }
+            onFetchDraft={fetchDraft}
+            onSaveDraft={saveDraft}
+            onDiscardDraft={discardDraft}
+            onUploadImage={uploadImage}
+            commentsApi={commentsApi}
+            currentUserId={user?.id}
+            onDelete={deleteBlog.mutate}
+            onLeave={(blogId, collaboratorId) =>
+              leaveBlog.mutate({ blogId, collaboratorId })
+            }
+            onEdit={editBlog}
+          />
+        ))}
+      {!dataLoading && hasNextPage && (
+        <div className="load-more" ref={loadMoreRef}>
+          <button
+            onClick={() => fetchNextPage()}
+            disabled={isFetchingNextPage}
+          >
+            {isFetchingNextPage ? "Loading..." : "Load more"}
+          </button>
+        </div>
+      )}
+    </>
+  );
+}
+
+export default Dashboard;
@@ -0,0 +1,170 @@
+import React, { useState, useEffect } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import MarkdownEditor from "./MarkdownEditor";
+import TagInput from "./TagInput";
+import { useProfile, useCreateBlog } from "./queries";
+import { useWorkspace } from "./WorkspaceContext";
+import { fetchDraft, saveDraft, discardDraft } from "./blogsApi";
+import useAutosave, { findSavedDraft, clearLocalDraft } from "./useAutosave";
+import useImageUpload from "./useImageUpload";
+import { fromLocalInputValue, minScheduleValue } from "./schedule";
+
+const EMPTY_BLOG = { title: "", content: "", tags: [], category: "" };
+const NEW_DRAFT_KEY = "new";
+
+// the create form; the autosaved draft is only cleared once the server has the blog.
+// New blogs go into the active workspace, if any
+function EditorPage() {
+  const { data: profile } = useProfile();
+  const { workspace } = useWorkspace();
+  const plan = workspace || profile;
+  const createBlog = useCreateBlog();
+  const navigate = useNavigate();
+  const [blog, setBlog] = useState(EMPTY_BLOG);
+  const [statusMessage, setStatusMessage] = useState("");
+  const [recoveredDraft, setRecoveredDraft] = useState(null);
+  const [publishAt, setPublishAt] = useState("");
+
+  const uploadImage = useImageUpload(setStatusMessage);
+
+  const draftSavedAt = useAutosave(NEW_DRAFT_KEY, blog, {
+    enabled: blog.title !== "" || blog.content !== "",
+    saveRemote: saveDraft,
+  });
+
+  useEffect(() => {
+    const recoverDraft = async () => {
+      const draft = await findSavedDraft(NEW_DRAFT_KEY, fetchDraft);
+      if (draft && (draft.title || draft.content)) {
+        setRecoveredDraft(draft);
+      }
+    };
+
+    recoverDraft();
+  }, []);
+
+  const restoreDraft = () => {
+    setBlog({
+      title: recoveredDraft.title || "",
+      content: recoveredDraft.content || "",
+      tags: recoveredDraft.tags || [],
+      category: recoveredDraft.category || "",
+    });
+    setRecoveredDraft(null);
+  };
+
+  const discardRecoveredDraft = () => {
+    discardDraft(NEW_DRAFT_KEY);
+    setRecoveredDraft(null);
+  };
+
+  const handleChange = (event) => {
+    const { name, value } = event.target;
+    setBlog((prev) => ({ ...prev, [name]: value }));
+  };
+
+  // publishAtValue (datetime-local) schedules a draft to go live later
+  const submitPost = async (status, publishAtValue) => {
+    if (blog.title === "" || blog.content === "") {
+      setStatusMessage("Title and content are required.");
+      return;
+    }
+
+    if (plan && plan.blogCount >= plan.maxBlogs) {
+      setStatusMessage(
+        workspace
+          ? `${workspace.name} has reached its plan limit of ${plan.maxBlogs} blogs.`
+          : `You have reached your plan limit of ${plan.maxBlogs} blogs.`
+      );
+      return;
+    }
+
+    // the list shows the new blog right away; failures are reported there
+    createBlog
+      .mutateAsync({
+        ...blog,
+        status,
+        publish_at: fromLocalInputValue(publishAtValue) || undefined,
+        workspace_id: workspace ? workspace.id : undefined,
+      })
+      .then(() => clearLocalDraft(NEW_DRAFT_KEY), console.error);
+    navigate("/");
+  };
+
+  const cancel = () => {
+    discardDraft(NEW_DRAFT_KEY);
+    navigate("/");
+  };
+
+  return (
+    <div>
+      <Link to="/">Back to Blogs</Link>
+      <h2>{workspace ? `New Blog in ${workspace.name}` : "New Blog"}</h2>
+      {statusMessage && <div className="status">{statusMessage}</div>}
+      {recoveredDraft && (
+        <div className="status draft-notice">
+          You have an unsaved draft from{" "}
+          {new Date(recoveredDraft.updated_at).toLocaleString()}.
+          <button className="secondary" onClick={restoreDraft}>
+            Restore
+          </button>
+          <button className="secondary" onClick={discardRecoveredDraft}>
+            Discard
+          </button>
+        </div>
+      )}
+      <input
+        name="title"
+        type="text"
+        value={blog.title}
+        onChange={handleChange}
+        placeholder="Title..."
+      ></input>
+      <MarkdownEditor
+        name="content"
+        value={blog.content}
+        onChange={handleChange}
+        placeholder="Content (Markdown supported, paste or drop images)..."
+        onUploadImage={uploadImage}
+      />
+      <input
+        name="category"
+        type="text"
+        value={blog.category}
+        onChange={handleChange}
+        placeholder="Category (optional)"
+      />
+      <TagInput
+        value={blog.tags}
+        onChange={(tags) => setBlog((prev) => ({ ...prev, tags }))}
+      />
+      {draftSavedAt && (
+        <p className="post-meta">
+          Draft autosaved at {draftSavedAt.toLocaleTimeString()}
+        </p>
+      )}
+      {plan?.features?.scheduling && (
+        <label className="schedule-field">
+          Schedule for{" "}
+          <input
+            type="datetime-local"
+            value={publishAt}
+            min={minScheduleValue()}
+            onChange={(event) => setPublishAt(event.target.value)}
+          />
+        </label>
+      )}
+      <button onClick={() => submitPost("draft")}>Save Draft</button>
+      {publishAt ? (
+        <button onClick={() => submitPost("draft", publishAt)}>
+          Schedule
+        </button>
+      ) : (
+        <button onClick={() => submitPost("published")}>Publish</button>
+      )}
+      <button onClick={cancel}>Cancel</button>
+    </div>
+  );
+}
+
+export default EditorPage;
@@ -0,0 +1,50 @@
+import React, { useState } from "react";
+import { API_BASE_URL } from "./config";
+
+const FEED_LINKS = [
+  { format: "rss", label: "RSS" },
+  { format: "atom", label: "Atom" },
+  { format: "json", label: "JSON Feed" },
+];
+
+function FeedSettings(props) {
+  const [saving, setSaving] = useState(false);
+
+  const handleToggle = async (event) => {
+    setSaving(true);
+    await props.onToggle(event.target.checked);
+    setSaving(false);
+  };
+
+  return (
+    <div className="feed-settings">
+      <label>
+        <input
+          type="checkbox"
+          checked={props.enabled}
+          onChange={handleToggle}
+          disabled={saving}
+        />{" "}
+        Syndicate my published blogs as feeds
+      </label>
+      {props.enabled && (
+        <p className="post-meta">
+          {FEED_LINKS.map((link, index) => (
+            <React.Fragment key={link.format}>
+              {index > 0 && " · "}
+              <a
+                href={`${API_BASE_URL}/feeds/${props.userId}/${link.format}`}
+                target="_blank"
+                rel="noreferrer"
+              >
+                {link.label}
+              </a>
+            </React.Fragment>
+          ))}
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default FeedSettings;
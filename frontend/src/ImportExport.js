@@ -0,0 +1,96 @@
+import React, { useRef, useState } from "react";
+import { getErrorMessage } from "./apiErrors";
+
+function ImportExport(props) {
+  const fileInputRef = useRef(null);
+  const [busy, setBusy] = useState("");
+  const [report, setReport] = useState(null);
+  const [errorMessage, setErrorMessage] = useState("");
+
+  const handleExport = async () => {
+    try {
+      setBusy("export");
+      setErrorMessage("");
+      const { blob, fileName } = await props.onExport();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error(error);
+      setErrorMessage("Failed to export blogs.");
+    } finally {
+      setBusy("");
+    }
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = "";
+    if (!file) return;
+
+    try {
+      setBusy("import");
+      setErrorMessage("");
+      setReport(await props.onImport(file));
+    } catch (error) {
+      console.error(error);
+      setReport(null);
+      setErrorMessage(getErrorMessage(error, "Failed to import blogs."));
+    } finally {
+      setBusy("");
+    }
+  };
+
+  const failures = report ? report.results.filter((result) => !result.ok) : [];
+
+  return (
+    <div className="import-export">
+      <div className="billing-actions">
+        <button className="secondary" onClick={handleExport} disabled={busy !== ""}>
+          {busy === "export" ? "Exporting..." : "Export blogs"}
+        </button>
+        <button
+          className="secondary"
+          onClick={() => fileInputRef.current.click()}
+          disabled={busy !== ""}
+        >
+          {busy === "import" ? "Importing..." : "Import blogs"}
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".zip,.xml,application/zip,text/xml"
+          hidden
+          onChange={handleImport}
+        />
+      </div>
+      <p className="post-meta">
+        Import a zip from Export or a WordPress export (.xml) file.
+      </p>
+
+      {errorMessage && <div className="status error">{errorMessage}</div>}
+      {report && (
+        <div className="status">
+          Imported {report.imported} of {report.results.length} posts.
+          {failures.length > 0 && (
+            <ul className="import-failures">
+              {failures.map((failure) => (
+                <li key={failure.index}>
+                  {failure.title || failure.source}: {failure.error}
+                </li>
+              ))}
+            </ul>
+          )}
+          <button className="link-button" onClick={() => setReport(null)}>
+            Dismiss
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ImportExport;
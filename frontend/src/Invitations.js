@@ -0,0 +1,83 @@
+import React from "react";
+import {
+  useInvitations,
+  useRespondToInvitation,
+  useWorkspaceInvitations,
+  useRespondToWorkspaceInvitation,
+} from "./queries";
+
+const WORKSPACE_ROLE_LABELS = { admin: "an admin", writer: "a writer" };
+
+// invitations to co-author other users' blogs or join their workspaces, shown above the blog list
+function Invitations() {
+  const { data: invitations = [] } = useInvitations();
+  const { data: workspaceInvitations = [] } = useWorkspaceInvitations();
+  const respond = useRespondToInvitation();
+  const respondToWorkspace = useRespondToWorkspaceInvitation();
+
+  if (invitations.length === 0 && workspaceInvitations.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="invitations">
+      <h3>Invitations</h3>
+      {workspaceInvitations.map((invitation) => (
+        <div key={`workspace-${invitation.id}`} className="invitation">
+          <p>
+            {invitation.invited_by || "Someone"} invited you to join{" "}
+            <strong>{invitation.workspace_name}</strong> as{" "}
+            {WORKSPACE_ROLE_LABELS[invitation.role] || invitation.role}.
+          </p>
+          <button
+            onClick={() =>
+              respondToWorkspace.mutate({
+                invitationId: invitation.id,
+                answer: "accept",
+              })
+            }
+          >
+            Join
+          </button>
+          <button
+            className="secondary"
+            onClick={() =>
+              respondToWorkspace.mutate({
+                invitationId: invitation.id,
+                answer: "decline",
+              })
+            }
+          >
+            Decline
+          </button>
+        </div>
+      ))}
+      {invitations.map((invitation) => (
+        <div key={invitation.id} className="invitation">
+          <p>
+            {invitation.invited_by || "Someone"} invited you to{" "}
+            {invitation.role === "editor" ? "edit" : "view"}{" "}
+            <strong>{invitation.blog_title}</strong>.
+          </p>
+          <button
+            onClick={() =>
+              respond.mutate({ invitationId: invitation.id, answer: "accept" })
+            }
+          >
+            Accept
+          </button>
+          <button
+            className="secondary"
+            onClick={() =>
+              respond.mutate({ invitationId: invitation.id, answer: "decline" })
+            }
+          >
+            Decline
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default Invitations;
@@ -0,0 +1,52 @@
+import React from "react";
+import { Link, Outlet, useNavigate } from "react-router-dom";
+import Header from "./Header";
+import Footer from "./Footer";
+import { useAuth } from "./AuthContext";
+import { useProfile } from "./queries";
+import useLiveUpdates from "./useLiveUpdates";
+import WorkspaceSwitcher from "./WorkspaceSwitcher";
+
+// header, the signed-in user's bar and footer around every page
+function Layout() {
+  const { session, signOut } = useAuth();
+  const { data: profile } = useProfile();
+  useLiveUpdates();
+  const navigate = useNavigate();
+
+  const handleSignOut = async () => {
+    await signOut();
+    navigate("/login");
+  };
+
+  return (
+    <div>
+      <Header />
+
+      {session && (
+        <div className="user-bar">
+          <p>
+            {profile?.avatarUrl && (
+              <img className="avatar" src={profile.avatarUrl} alt="" />
+            )}
+            {profile?.displayName || session.user?.email}
+          </p>
+          <div className="user-bar-actions">
+            <WorkspaceSwitcher />
+            <Link to="/">Your blogs</Link>
+            {profile?.username && (
+              <Link to={`/@${profile.username}`}>Public page</Link>
+            )}
+            <Link to="/settings">Settings</Link>
+            <button onClick={handleSignOut}>Sign Out</button>
+          </div>
+        </div>
+      )}
+
+      <Outlet />
+      <Footer />
+    </div>
+  );
+}
+
+export default Layout;
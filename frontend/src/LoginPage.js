@@ -0,0 +1,113 @@
+import React, { useState } from "react";
+import { Navigate, useLocation } from "react-router-dom";
+import { supabase } from "./supabaseClient";
+import { useAuth } from "./AuthContext";
+
+function LoginPage() {
+  const { session, checkingSession } = useAuth();
+  const location = useLocation();
+  const [authForm, setAuthForm] = useState({ email: "", password: "" });
+  const [authMode, setAuthMode] = useState("login");
+  const [authError, setAuthError] = useState("");
+
+  // back to the page that sent the visitor here
+  const from = location.state?.from;
+  const returnTo = from ? `${from.pathname}${from.search}` : "/";
+
+  const handleAuthChange = (event) => {
+    const { name, value } = event.target;
+    setAuthForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleAuthSubmit = async (event) => {
+    event.preventDefault();
+    setAuthError("");
+
+    if (!authForm.email || !authForm.password) {
+      setAuthError("Email and password are required.");
+      return;
+    }
+
+    try {
+      if (authMode === "login") {
+        const { error } = await supabase.auth.signInWithPassword({
+          email: authForm.email,
+          password: authForm.password,
+        });
+        if (error) throw error;
+      } else {
+        const { error } = await supabase.auth.signUp({
+          email: authForm.email,
+          password: authForm.password,
+        });
+        if (error) throw error;
+      }
+      setAuthForm({ email: "", password: "" });
+    } catch (error) {
+      setAuthError(error.message);
+    }
+  };
+
+  const handleOAuthLogin = async () => {
+    setAuthError("");
+    const { error } = await supabase.auth.signInWithOAuth({
+      provider: "google",
+      options: {
+        redirectTo: window.location.origin,
+      },
+    });
+    if (error) {
+      setAuthError(error.message);
+    }
+  };
+
+  if (checkingSession) {
+    return <p>Loading...</p>;
+  }
+
+  if (session) {
+    return <Navigate to={returnTo} replace />;
+  }
+
+  return (
+    <div className="auth-card">
+      <h2>{authMode === "login" ? "Login" : "Create Account"}</h2>
+      <form onSubmit={handleAuthSubmit}>
+        <input
+          name="email"
+          type="email"
+          value={authForm.email}
+          onChange={handleAuthChange}
+          placeholder="Email address"
+          required
+        />
+        <input
+          name="password"
+          type="password"
+          value={authForm.password}
+          onChange={handleAuthChange}
+          placeholder="Password"
+          required
+        />
+        <button type="submit">
+          {authMode === "login" ? "Sign In" : "Sign Up"}
+        </button>
+      </form>
+      <button onClick={handleOAuthLogin}>Continue with Google</button>
+      <button
+        className="link-button"
+        type="button"
+        onClick={() =>
+          setAuthMode((prev) => (prev === "login" ? "signup" : "login"))
+        }
+      >
+        {authMode === "login"
+          ? "Need an account? Sign up"
+          : "Already have an account? Sign in"}
+      </button>
+      {authError && <p className="status error">{authError}</p>}
+    </div>
+  );
+}
+
+export default LoginPage;
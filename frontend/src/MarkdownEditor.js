@@ -0,0 +1,145 @@
+import React, { useState, useMemo, useRef, useEffect } from "react";
+import { renderMarkdown } from "./markdown";
+
+const MODES = [
+  { id: "write", label: "Write" },
+  { id: "split", label: "Split" },
+  { id: "preview", label: "Preview" },
+];
+
+const imageFiles = (fileList) =>
+  Array.from(fileList || []).filter((file) => file.type.startsWith("image/"));
+
+const altText = (file) => file.name.replace(/\.[^.]+$/, "").replace(/[[\]]/g, "");
+
+function MarkdownEditor(props) {
+  const [mode, setMode] = useState("write");
+  const [dragging, setDragging] = useState(false);
+  const textareaRef = useRef(null);
+  const fileInputRef = useRef(null);
+  // uploads finish after the user may have kept typing, so edits apply to the latest value
+  const valueRef = useRef(props.value);
+
+  useEffect(() => {
+    valueRef.current = props.value;
+  }, [props.value]);
+
+  const previewHtml = useMemo(
+    () => (mode === "write" ? "" : renderMarkdown(props.value)),
+    [mode, props.value]
+  );
+
+  const emitChange = (value) => {
+    valueRef.current = value;
+    props.onChange({ target: { name: props.name, value } });
+  };
+
+  const insertImages = async (files) => {
+    if (!props.onUploadImage || files.length === 0) return;
+
+    const textarea = textareaRef.current;
+    const position = textarea ? textarea.selectionStart : valueRef.current.length;
+    const placeholders = files.map((file, index) => ({
+      file,
+      text: `![Uploading ${altText(file)}… (${Date.now()}-${index})]()`,
+    }));
+
+    const current = valueRef.current;
+    emitChange(
+      current.slice(0, position) +
+        placeholders.map((item) => item.text).join("\n") +
+        current.slice(position)
+    );
+
+    for (const item of placeholders) {
+      let replacement = "";
+      try {
+        const upload = await props.onUploadImage(item.file);
+        replacement = `![${altText(item.file)}](${upload.url})`;
+      } catch (error) {
+        console.error(error);
+      }
+      emitChange(valueRef.current.replace(item.text, replacement));
+    }
+  };
+
+  const handlePaste = (event) => {
+    const files = imageFiles(event.clipboardData?.files);
+    if (files.length) {
+      event.preventDefault();
+      insertImages(files);
+    }
+  };
+
+  const handleDrop = (event) => {
+    setDragging(false);
+    const files = imageFiles(event.dataTransfer?.files);
+    if (files.length) {
+      event.preventDefault();
+      insertImages(files);
+    }
+  };
+
+  return (
+    <div className="markdown-editor">
+      <div className="editor-tabs">
+        {MODES.map((item) => (
+          <button
+            key={item.id}
+            type="button"
+            className={mode === item.id ? "active" : ""}
+            onClick={() => setMode(item.id)}
+          >
+            {item.label}
+          </button>
+        ))}
+        {props.onUploadImage && (
+          <>
+            <button type="button" onClick={() => fileInputRef.current.click()}>
+              Insert Image
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="image/jpeg,image/png,image/webp,image/gif"
+              multiple
+              hidden
+              onChange={(event) => {
+                insertImages(imageFiles(event.target.files));
+                event.target.value = "";
+              }}
+            />
+          </>
+        )}
+      </div>
+      <div className={`editor-panes ${mode}`}>
+        {mode !== "preview" && (
+          <textarea
+            ref={textareaRef}
+            className={dragging ? "dragging" : ""}
+            name={props.name}
+            rows={props.rows || 8}
+            value={props.value}
+            onChange={props.onChange}
+            onPaste={handlePaste}
+            onDragOver={(event) => {
+              event.preventDefault();
+              setDragging(true);
+            }}
+            onDragLeave={() => setDragging(false)}
+            onDrop={handleDrop}
+            placeholder={props.placeholder}
+          ></textarea>
+        )}
+        {mode !== "write" && (
+          <div
+            className="markdown-body preview"
+            dangerouslySetInnerHTML={{ __html: previewHtml }}
+          />
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default MarkdownEditor;
@@ -0,0 +1,45 @@
+import React, { createContext, useCallback, useContext, useMemo, useState } from "react";
+import Toast from "./Toast";
+
+const NoticeContext = createContext(null);
+
+/**
+ * One toast at a time for messages that must outlive the page that caused
+ * them, e.g. a background save failing after the editor was closed.
+ */
+function NoticeProvider(props) {
+  const [notice, setNotice] = useState(null);
+
+  const showNotice = useCallback((message, options = {}) => {
+    setNotice({ message, ...options, id: Date.now() });
+  }, []);
+
+  const dismissNotice = useCallback(() => setNotice(null), []);
+
+  const handleAction = async () => {
+    const { onAction } = notice;
+    setNotice(null);
+    await onAction();
+  };
+
+  const value = useMemo(() => ({ showNotice, dismissNotice }), [showNotice, dismissNotice]);
+
+  return (
+    <NoticeContext.Provider value={value}>
+      {props.children}
+      {notice && (
+        <Toast
+          key={notice.id}
+          message={notice.message}
+          actionLabel={notice.actionLabel}
+          onAction={handleAction}
+          onDismiss={dismissNotice}
+        />
+      )}
+    </NoticeContext.Provider>
+  );
+}
+
+export const useNotice = () => useContext(NoticeContext);
+
+export default NoticeProvider;
@@ -0,0 +1,157 @@
+import React, { useState } from "react";
+
+const MB = 1024 * 1024;
+const INTERVAL_LABELS = { monthly: "month", annual: "year" };
+
+const formatPrice = (amount, currency) =>
+  new Intl.NumberFormat(undefined, {
+    style: "currency",
+    currency: currency.toUpperCase(),
+  }).format(amount / 100);
+
+const formatDate = (value) => new Date(value).toLocaleDateString();
+
+const FEATURE_LABELS = {
+  scheduling: "Scheduled publishing",
+  custom_domains: "Custom domains",
+};
+
+const describePlan = (plan) =>
+  [
+    `${plan.maxBlogs} blogs`,
+    `${Math.round(plan.maxStorage / MB)} MB of images`,
+    ...Object.keys(FEATURE_LABELS)
+      .filter((feature) => plan.features[feature])
+      .map((feature) => FEATURE_LABELS[feature]),
+  ].join(", ");
+
+// `profile` is the user's profile or a workspace summary; workspaces are billed per seat
+function PlanCard(props) {
+  const { profile, billing } = props;
+  const [showInvoices, setShowInvoices] = useState(false);
+  const perSeat = profile.seats !== undefined;
+
+  const prices = billing?.prices || [];
+  const invoices = billing?.invoices || [];
+  const currentPlan = (props.plans || []).find((plan) => plan.id === profile.plan);
+  const upgradePlans = (props.plans || []).filter(
+    (plan) => currentPlan && plan.maxBlogs > currentPlan.maxBlogs
+  );
+
+  return (
+    <div className="plan-card">
+      <p>
+        Plan: <strong>{profile.planName || profile.plan}</strong>
+        {billing?.interval && ` (billed ${billing.interval})`}
+      </p>
+      <p>
+        Blogs used: {profile.blogCount} / {profile.maxBlogs}
+      </p>
+      {perSeat && <p>Seats: {profile.seats}</p>}
+      {profile.maxStorage > 0 && (
+        <p>
+          Image storage: {(profile.storageUsed / MB).toFixed(1)} MB /{" "}
+          {Math.round(profile.maxStorage / MB)} MB
+        </p>
+      )}
+
+      {profile.archivedCount > 0 && (
+        <p className="notice">
+          {profile.archivedCount} blog{profile.archivedCount === 1 ? " is" : "s are"}{" "}
+          archived because{" "}
+          {perSeat ? "the workspace is over its" : "you are over your"} plan limit.
+        </p>
+      )}
+
+      {billing?.status === "past_due" && (
+        <p className="notice">
+          Your last payment failed.
+          {billing.gracePeriodEndsAt &&
+            ` Update your card before ${formatDate(
+              billing.gracePeriodEndsAt
+            )} to keep premium.`}
+        </p>
+      )}
+      {billing?.currentPeriodEnd && profile.plan !== "free" && (
+        <p className="post-meta">
+          {billing.cancelAtPeriodEnd ? "Ends on" : "Renews on"}{" "}
+          {formatDate(billing.currentPeriodEnd)}
+        </p>
+      )}
+
+      {profile.plan === "free" &&
+        upgradePlans.map((plan) => (
+          <p key={plan.id} className="post-meta">
+            {plan.name}: {describePlan(plan)}
+          </p>
+        ))}
+
+      {profile.plan === "free" && props.onUpgrade && (
+        <div className="billing-actions">
+          {prices.length === 0 && (
+            <button
+              onClick={() => props.onUpgrade()}
+              disabled={props.upgradeLoading}
+            >
+              {props.upgradeLoading ? "Redirecting..." : "Upgrade"}
+            </button>
+          )}
+          {prices.map((price) => (
+            <button
+              key={price.interval}
+              onClick={() => props.onUpgrade(price.interval)}
+              disabled={props.upgradeLoading}
+            >
+              {props.upgradeLoading
+                ? "Redirecting..."
+                : `Upgrade for ${formatPrice(price.amount, price.currency)}/${
+                    INTERVAL_LABELS[price.interval] || price.interval
+                  }${perSeat ? " per seat" : ""}`}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {billing?.canManage && (
+        <div className="billing-actions">
+          <button
+            className="secondary"
+            onClick={props.onManage}
+            disabled={props.portalLoading}
+          >
+            {props.portalLoading ? "Opening..." : "Manage billing"}
+          </button>
+          {invoices.length > 0 && (
+            <button
+              className="link-button"
+              onClick={() => setShowInvoices(!showInvoices)}
+            >
+              {showInvoices ? "Hide invoices" : "Invoices"}
+            </button>
+          )}
+        </div>
+      )}
+
+      {showInvoices && (
+        <ul className="invoice-list">
+          {invoices.map((invoice) => (
+            <li key={invoice.id}>
+              {formatDate(invoice.created_at)} –{" "}
+              {formatPrice(invoice.amount, invoice.currency)} ({invoice.status})
+              {invoice.url && (
+                <>
+                  {" "}
+                  <a href={invoice.url} target="_blank" rel="noreferrer">
+                    View
+                  </a>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default PlanCard;
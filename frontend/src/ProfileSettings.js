@@ -0,0 +1,142 @@
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import { getErrorMessage } from "./apiErrors";
+
+const SOCIAL_FIELDS = [
+  { key: "website", label: "Website" },
+  { key: "twitter", label: "Twitter / X" },
+  { key: "github", label: "GitHub" },
+  { key: "linkedin", label: "LinkedIn" },
+  { key: "mastodon", label: "Mastodon" },
+];
+
+const toForm = (profile) => ({
+  username: profile.username || "",
+  display_name: profile.displayName || "",
+  bio: profile.bio || "",
+  avatar_url: profile.avatarUrl || "",
+  social_links: { ...profile.socialLinks },
+});
+
+function ProfileSettings(props) {
+  const [form, setForm] = useState(() => toForm(props.profile));
+  const [saving, setSaving] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const handleChange = (event) => {
+    const { name, value } = event.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSocialChange = (event) => {
+    const { name, value } = event.target;
+    setForm((prev) => ({
+      ...prev,
+      social_links: { ...prev.social_links, [name]: value },
+    }));
+  };
+
+  const handleAvatarUpload = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = "";
+    if (!file) return;
+
+    try {
+      setUploading(true);
+      const upload = await props.onUploadImage(file);
+      setForm((prev) => ({ ...prev, avatar_url: upload.thumbnail_url || upload.url }));
+    } catch (error) {
+      console.error(error);
+      setMessage({ error: true, text: "Failed to upload the avatar." });
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+
+    try {
+      setSaving(true);
+      await props.onSave(form);
+      setMessage({ error: false, text: "Profile saved." });
+    } catch (error) {
+      console.error(error);
+      setMessage({
+        error: true,
+        text: getErrorMessage(error, "Failed to save profile."),
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form className="profile-settings" onSubmit={handleSubmit}>
+      <h2>Profile settings</h2>
+      {message && (
+        <div className={message.error ? "status error" : "status"}>
+          {message.text}
+        </div>
+      )}
+
+      <label>
+        Username
+        <input
+          name="username"
+          value={form.username}
+          onChange={handleChange}
+          placeholder="your-handle"
+        />
+      </label>
+      {props.profile.username && (
+        <p className="post-meta">
+          Public page: <Link to={`/@${props.profile.username}`}>/@{props.profile.username}</Link>
+        </p>
+      )}
+
+      <label>
+        Display name
+        <input name="display_name" value={form.display_name} onChange={handleChange} />
+      </label>
+
+      <label>
+        Bio
+        <textarea name="bio" value={form.bio} onChange={handleChange} rows={4} />
+      </label>
+
+      <label>
+        Avatar URL
+        <input name="avatar_url" value={form.avatar_url} onChange={handleChange} />
+      </label>
+      <div className="avatar-row">
+        {form.avatar_url && <img className="avatar" src={form.avatar_url} alt="" />}
+        <label className="secondary upload-button">
+          {uploading ? "Uploading..." : "Upload image"}
+          <input type="file" accept="image/*" hidden onChange={handleAvatarUpload} />
+        </label>
+      </div>
+
+      <h3>Links</h3>
+      {SOCIAL_FIELDS.map((field) => (
+        <label key={field.key}>
+          {field.label}
+          <input
+            name={field.key}
+            value={form.social_links[field.key] || ""}
+            onChange={handleSocialChange}
+            placeholder="https://"
+          />
+        </label>
+      ))}
+
+      <button type="submit" disabled={saving || uploading}>
+        {saving ? "Saving..." : "Save profile"}
+      </button>
+      <Link to="/">Back to your blogs</Link>
+    </form>
+  );
+}
+
+export default ProfileSettings;
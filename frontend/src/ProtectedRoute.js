@@ -0,0 +1,21 @@
+import React from "react";
+import { Navigate, Outlet, useLocation } from "react-router-dom";
+import { useAuth } from "./AuthContext";
+
+// sends signed-out visitors to /login, remembering where they were headed
+function ProtectedRoute() {
+  const { session, checkingSession } = useAuth();
+  const location = useLocation();
+
+  if (checkingSession) {
+    return <p>Loading...</p>;
+  }
+
+  if (!session) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
+  return <Outlet />;
+}
+
+export default ProtectedRoute;
@@ -0,0 +1,84 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { Link } from "react-router-dom";
+import { api } from "./api";
+import { renderPostHtml } from "./markdown";
+import { useAuth } from "./AuthContext";
+import { createCommentsApi } from "./commentsApi";
+import Comments from "./Comments";
+import { getErrorMessage } from "./apiErrors";
+
+function PublicPost(props) {
+  const [post, setPost] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [errorMessage, setErrorMessage] = useState("");
+  const { user } = useAuth();
+
+  const commentsApi = useMemo(() => createCommentsApi(Boolean(user)), [user]);
+
+  useEffect(() => {
+    const loadPost = async () => {
+      try {
+        setLoading(true);
+        const result = await api.get(
+          `/public/blogs/${encodeURIComponent(props.slug)}`
+        );
+        setPost(result.data);
+        setErrorMessage("");
+      } catch (error) {
+        console.error(error);
+        setErrorMessage(getErrorMessage(error, "Failed to load blog."));
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadPost();
+  }, [props.slug]);
+
+  if (loading) {
+    return <p>Loading...</p>;
+  }
+
+  if (errorMessage) {
+    return (
+      <div>
+        <div className="status error">{errorMessage}</div>
+        <Link to="/">Back to home</Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="blog-card public-post">
+      <h2>{post.title}</h2>
+      {post.published_at && (
+        <p className="post-meta">
+          Published {new Date(post.published_at).toLocaleDateString()}
+          {post.author && (
+            <>
+              {" "}
+              by{" "}
+              <Link to={`/@${post.author.username}`}>{post.author.display_name}</Link>
+            </>
+          )}
+        </p>
+      )}
+      <div
+        className="markdown-body"
+        dangerouslySetInnerHTML={{
+          __html: renderPostHtml(post.content_html, post.content),
+        }}
+      />
+      <Link to="/">Back to home</Link>
+
+      <h3>Comments</h3>
+      <Comments
+        blogId={post.id}
+        api={commentsApi}
+        currentUserId={user?.id}
+      />
+    </div>
+  );
+}
+
+export default PublicPost;
@@ -0,0 +1,107 @@
+import React, { useState, useEffect } from "react";
+import { diffLines } from "diff";
+import { getErrorMessage } from "./apiErrors";
+
+const formatDate = (value) => new Date(value).toLocaleString();
+
+function RevisionHistory(props) {
+  const { blogId, updatedAt, onFetchRevisions, onFetchRevision } = props;
+  const [revisions, setRevisions] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [errorMessage, setErrorMessage] = useState("");
+
+  useEffect(() => {
+    const loadRevisions = async () => {
+      try {
+        setLoading(true);
+        setRevisions(await onFetchRevisions(blogId));
+        setErrorMessage("");
+      } catch (error) {
+        console.error(error);
+        setErrorMessage(getErrorMessage(error, "Failed to load history."));
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    setSelected(null);
+    loadRevisions();
+  }, [blogId, updatedAt, onFetchRevisions]);
+
+  const selectRevision = async (revisionId) => {
+    try {
+      setSelected(await onFetchRevision(blogId, revisionId));
+      setErrorMessage("");
+    } catch (error) {
+      console.error(error);
+      setErrorMessage(getErrorMessage(error, "Failed to load revision."));
+    }
+  };
+
+  const handleRestore = async () => {
+    await props.onRestore(blogId, selected.id);
+  };
+
+  if (loading) {
+    return <p>Loading history...</p>;
+  }
+
+  return (
+    <div className="revision-history">
+      <h3>History</h3>
+      {errorMessage && <div className="status error">{errorMessage}</div>}
+      {revisions.length === 0 && <p>No earlier versions yet.</p>}
+      <ul className="revision-list">
+        {revisions.map((revision) => (
+          <li key={revision.id}>
+            <button
+              type="button"
+              className={selected?.id === revision.id ? "active" : ""}
+              onClick={() => selectRevision(revision.id)}
+            >
+              {formatDate(revision.created_at)} — {revision.title}
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {selected && (
+        <div className="revision-diff">
+          <p className="post-meta">
+            Changes from {formatDate(selected.created_at)} to the current version
+          </p>
+          <pre className="diff">
+            {selected.title !== props.title && (
+              <>
+                <span className="diff-removed">- # {selected.title}{"\n"}</span>
+                <span className="diff-added">+ # {props.title}{"\n"}</span>
+              </>
+            )}
+            {diffLines(selected.content, props.content || "").map((part, index) => {
+              const prefix = part.added ? "+ " : part.removed ? "- " : "  ";
+              const className = part.added
+                ? "diff-added"
+                : part.removed
+                ? "diff-removed"
+                : "diff-unchanged";
+              const lines = part.value.replace(/\n$/, "").split("\n");
+              return (
+                <span key={index} className={className}>
+                  {lines.map((line) => `${prefix}${line}\n`).join("")}
+                </span>
+              );
+            })}
+          </pre>
+          {props.onRestore && (
+            <button type="button" onClick={handleRestore}>
+              Restore this version
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RevisionHistory;
@@ -0,0 +1,84 @@
+import React, { useState } from "react";
+import { useQueryClient } from "@tanstack/react-query";
+import ProfileSettings from "./ProfileSettings";
+import FeedSettings from "./FeedSettings";
+import ImportExport from "./ImportExport";
+import { useAuth } from "./AuthContext";
+import { api } from "./api";
+import { queryKeys, useProfile, invalidateBlogData } from "./queries";
+import useImageUpload from "./useImageUpload";
+import { getErrorMessage } from "./apiErrors";
+
+function SettingsPage() {
+  const { user } = useAuth();
+  const { data: profile } = useProfile();
+  const queryClient = useQueryClient();
+  const [statusMessage, setStatusMessage] = useState("");
+
+  const uploadImage = useImageUpload(setStatusMessage);
+
+  const saveProfile = async (fields) => {
+    const result = await api.put("/profile", fields);
+    queryClient.setQueryData(queryKeys.profile, (prev) =>
+      prev ? { ...prev, ...result.data } : prev
+    );
+    return result.data;
+  };
+
+  const toggleFeed = async (enabled) => {
+    try {
+      const result = await api.put("/profile/syndication", { enabled });
+      queryClient.setQueryData(queryKeys.profile, (prev) =>
+        prev ? { ...prev, feedEnabled: result.data.feedEnabled } : prev
+      );
+    } catch (error) {
+      console.error(error);
+      setStatusMessage(
+        getErrorMessage(error, "Failed to update feed settings.")
+      );
+    }
+  };
+
+  const exportBlogs = async () => {
+    const result = await api.get("/export", { responseType: "blob" });
+    const disposition = result.headers["content-disposition"] || "";
+    const match = disposition.match(/filename="([^"]+)"/);
+    return { blob: result.data, fileName: match ? match[1] : "blogs-export.zip" };
+  };
+
+  const importBlogs = async (file) => {
+    const formData = new FormData();
+    formData.append("file", file);
+
+    const result = await api.post("/import", formData);
+    if (result.data.imported > 0) {
+      invalidateBlogData(queryClient);
+    }
+    return result.data;
+  };
+
+  if (!profile) {
+    return <p>Loading...</p>;
+  }
+
+  return (
+    <div>
+      {statusMessage && <div className="status">{statusMessage}</div>}
+      <ProfileSettings
+        profile={profile}
+        onSave={saveProfile}
+        onUploadImage={uploadImage}
+      />
+      <h3>Feeds</h3>
+      <FeedSettings
+        enabled={profile.feedEnabled}
+        userId={user?.id}
+        onToggle={toggleFeed}
+      />
+      <h3>Import and export</h3>
+      <ImportExport onExport={exportBlogs} onImport={importBlogs} />
+    </div>
+  );
+}
+
+export default SettingsPage;
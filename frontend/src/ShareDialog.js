@@ -0,0 +1,116 @@
+import React, { useState } from "react";
+import {
+  useCollaborators,
+  useInviteCollaborator,
+  useUpdateCollaborator,
+  useRemoveCollaborator,
+} from "./queries";
+import { getErrorMessage } from "./apiErrors";
+
+const ROLE_OPTIONS = [
+  { value: "editor", label: "Editor (can edit)" },
+  { value: "viewer", label: "Viewer (read only)" },
+];
+
+const STATUS_LABELS = {
+  pending: "Invited",
+  accepted: "Co-author",
+  declined: "Declined",
+};
+
+// the owner's panel on a blog card for inviting co-authors and managing their roles
+function ShareDialog(props) {
+  const { blogId } = props;
+  const [email, setEmail] = useState("");
+  const [role, setRole] = useState("editor");
+  const { data: collaborators = [], isPending, error } = useCollaborators(blogId);
+  const invite = useInviteCollaborator(blogId);
+  const updateRole = useUpdateCollaborator(blogId);
+  const remove = useRemoveCollaborator(blogId);
+
+  const handleInvite = async (event) => {
+    event.preventDefault();
+    if (!email.trim()) return;
+
+    try {
+      await invite.mutateAsync({ email: email.trim(), role });
+      setEmail("");
+    } catch (inviteError) {
+      console.error(inviteError);
+    }
+  };
+
+  return (
+    <div className="share-dialog" role="dialog" aria-label="Share this blog">
+      <h3>Sharing</h3>
+      {isPending && <p>Loading co-authors...</p>}
+      {error && (
+        <div className="status error">
+          {getErrorMessage(error, "Failed to load co-authors.")}
+        </div>
+      )}
+      {!isPending && !error && collaborators.length === 0 && (
+        <p className="post-meta">Only you can see and edit this blog.</p>
+      )}
+      <ul className="collaborator-list">
+        {collaborators.map((collaborator) => (
+          <li key={collaborator.id}>
+            <span>{collaborator.email}</span>
+            <span className="post-meta">{STATUS_LABELS[collaborator.status]}</span>
+            <select
+              value={collaborator.role}
+              onChange={(event) =>
+                updateRole.mutate({
+                  collaboratorId: collaborator.id,
+                  role: event.target.value,
+                })
+              }
+            >
+              {ROLE_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <button
+              type="button"
+              className="link-button"
+              onClick={() => remove.mutate(collaborator.id)}
+            >
+              {collaborator.status === "pending" ? "Withdraw" : "Remove"}
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <form className="invite-form" onSubmit={handleInvite}>
+        <input
+          type="email"
+          value={email}
+          onChange={(event) => setEmail(event.target.value)}
+          placeholder="Invite by email..."
+        />
+        <select value={role} onChange={(event) => setRole(event.target.value)}>
+          {ROLE_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        <button type="submit" disabled={invite.isPending || !email.trim()}>
+          {invite.isPending ? "Inviting..." : "Invite"}
+        </button>
+      </form>
+      {invite.error && (
+        <div className="status error">
+          {getErrorMessage(invite.error, "Failed to send the invitation.")}
+        </div>
+      )}
+      <button type="button" className="secondary" onClick={props.onClose}>
+        Done
+      </button>
+    </div>
+  );
+}
+
+export default ShareDialog;
@@ -0,0 +1,61 @@
+import React, { useState } from "react";
+
+const MAX_TAGS = 10;
+
+const normalizeTag = (tag) => tag.trim().toLowerCase().replace(/\s+/g, "-");
+
+function TagInput(props) {
+  const [draft, setDraft] = useState("");
+  const tags = props.value || [];
+
+  const addTag = (raw) => {
+    const tag = normalizeTag(raw);
+    if (!tag || tags.includes(tag) || tags.length >= MAX_TAGS) return;
+    props.onChange([...tags, tag]);
+  };
+
+  const removeTag = (tag) => {
+    props.onChange(tags.filter((item) => item !== tag));
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === "Enter" || event.key === ",") {
+      event.preventDefault();
+      addTag(draft);
+      setDraft("");
+    } else if (event.key === "Backspace" && !draft && tags.length) {
+      removeTag(tags[tags.length - 1]);
+    }
+  };
+
+  return (
+    <div className="tag-input">
+      {tags.map((tag) => (
+        <span key={tag} className="tag-chip">
+          #{tag}
+          <button
+            type="button"
+            aria-label={`Remove tag ${tag}`}
+            onClick={() => removeTag(tag)}
+          >
+            ×
+          </button>
+        </span>
+      ))}
+      <input
+        type="text"
+        value={draft}
+        onChange={(event) => setDraft(event.target.value)}
+        onKeyDown={handleKeyDown}
+        onBlur={() => {
+          addTag(draft);
+          setDraft("");
+        }}
+        placeholder={tags.length >= MAX_TAGS ? "Tag limit reached" : "Add tags..."}
+        disabled={tags.length >= MAX_TAGS}
+      />
+    </div>
+  );
+}
+
+export default TagInput;
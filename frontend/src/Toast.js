@@ -0,0 +1,28 @@
+import React, { useEffect } from "react";
+
+const DEFAULT_DURATION_MS = 6000;
+
+function Toast(props) {
+  const { onDismiss, duration = DEFAULT_DURATION_MS } = props;
+
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, duration);
+    return () => clearTimeout(timer);
+  }, [onDismiss, duration]);
+
+  return (
+    <div className="toast" role="status">
+      <span>{props.message}</span>
+      {props.actionLabel && (
+        <button type="button" onClick={props.onAction}>
+          {props.actionLabel}
+        </button>
+      )}
+      <button type="button" className="link-button" onClick={onDismiss}>
+        Dismiss
+      </button>
+    </div>
+  );
+}
+
+export default Toast;
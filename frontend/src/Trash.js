@@ -0,0 +1,46 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import { useWorkspace } from "./WorkspaceContext";
+import { useTrash, useRestoreBlog, usePurgeBlog } from "./queries";
+import { getErrorMessage } from "./apiErrors";
+
+function Trash() {
+  const { workspace, workspaceId } = useWorkspace();
+  const { data: items = [], isPending, error } = useTrash(workspaceId);
+  const restoreBlog = useRestoreBlog();
+  const purgeBlog = usePurgeBlog();
+
+  const handlePurge = (id) => {
+    if (!window.confirm("Delete this blog forever? This cannot be undone.")) {
+      return;
+    }
+    purgeBlog.mutate(id);
+  };
+
+  return (
+    <div className="trash">
+      <Link to="/">Back to Blogs</Link>
+      <h2>{workspace ? `${workspace.name} Trash` : "Trash"}</h2>
+      {isPending && <p>Loading trash...</p>}
+      {error && (
+        <div className="status error">
+          {getErrorMessage(error, "Failed to load trash.")}
+        </div>
+      )}
+      {!isPending && !error && items.length === 0 && <p>The trash is empty.</p>}
+      {items.map((item) => (
+        <div key={item.id} className="blog-card trash-item">
+          <h3>{item.title}</h3>
+          <p className="post-meta">
+            Deleted {new Date(item.deleted_at).toLocaleString()} · removed
+            forever on {new Date(item.purge_at).toLocaleDateString()}
+          </p>
+          <button onClick={() => restoreBlog.mutate(item.id)}>Restore</button>
+          <button onClick={() => handlePurge(item.id)}>Delete Forever</button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default Trash;
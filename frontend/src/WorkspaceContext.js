@@ -0,0 +1,78 @@
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useMemo,
+  useState,
+} from "react";
+import { useWorkspaces } from "./queries";
+
+const STORAGE_KEY = "blog-workspace";
+
+const WorkspaceContext = createContext(null);
+
+const readStoredWorkspace = () => {
+  try {
+    return window.localStorage.getItem(STORAGE_KEY);
+  } catch (error) {
+    return null;
+  }
+};
+
+// the choice only lasts until a reload where storage is unavailable
+const writeStoredWorkspace = (value) => {
+  try {
+    if (value) {
+      window.localStorage.setItem(STORAGE_KEY, value);
+    } else {
+      window.localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch (error) {
+    console.error(error);
+  }
+};
+
+/**
+ * The workspace the dashboard and editor work in, or null for the user's
+ * personal blogs. The choice is remembered in this browser; a workspace the
+ * user no longer belongs to falls back to personal once the list has loaded.
+ */
+function WorkspaceProvider(props) {
+  const { data: workspaces, isPending } = useWorkspaces();
+  const [selectedId, setSelectedId] = useState(readStoredWorkspace);
+
+  const selectWorkspace = useCallback((workspaceId) => {
+    const value = workspaceId ? String(workspaceId) : null;
+    writeStoredWorkspace(value);
+    setSelectedId(value);
+  }, []);
+
+  const value = useMemo(() => {
+    const workspace =
+      (workspaces || []).find((item) => String(item.id) === selectedId) ||
+      null;
+
+    return {
+      workspaces: workspaces || [],
+      workspace,
+      // trust the stored id until the list says otherwise, so a reload
+      // doesn't flash the personal blogs first
+      workspaceId: workspace
+        ? String(workspace.id)
+        : isPending
+        ? selectedId
+        : null,
+      selectWorkspace,
+    };
+  }, [workspaces, isPending, selectedId, selectWorkspace]);
+
+  return (
+    <WorkspaceContext.Provider value={value}>
+      {props.children}
+    </WorkspaceContext.Provider>
+  );
+}
+
+export const useWorkspace = () => useContext(WorkspaceContext);
+
+export default WorkspaceProvider;
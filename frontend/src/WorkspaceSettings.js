@@ -0,0 +1,215 @@
+import React, { useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { useAuth } from "./AuthContext";
+import { useWorkspace } from "./WorkspaceContext";
+import {
+  useWorkspaceMembers,
+  useInviteWorkspaceMember,
+  useUpdateWorkspaceMember,
+  useRemoveWorkspaceMember,
+  useRenameWorkspace,
+} from "./queries";
+import { getErrorMessage } from "./apiErrors";
+
+const ROLE_OPTIONS = [
+  { value: "writer", label: "Writer (writes and edits posts)" },
+  { value: "admin", label: "Admin (manages members and billing)" },
+];
+
+const STATUS_LABELS = {
+  pending: "Invited",
+  declined: "Declined",
+};
+
+// members, invitations and the name of the active workspace; billing is on the dashboard's plan card
+function WorkspaceSettings() {
+  const { user } = useAuth();
+  const { workspace, selectWorkspace } = useWorkspace();
+  const navigate = useNavigate();
+  const workspaceId = workspace?.id;
+  const [name, setName] = useState(null);
+  const [email, setEmail] = useState("");
+  const [role, setRole] = useState("writer");
+  const { data: members = [], isPending, error } = useWorkspaceMembers(workspaceId);
+  const invite = useInviteWorkspaceMember(workspaceId);
+  const updateRole = useUpdateWorkspaceMember(workspaceId);
+  const remove = useRemoveWorkspaceMember(workspaceId);
+  const rename = useRenameWorkspace(workspaceId);
+
+  if (!workspace) {
+    return (
+      <div>
+        <p>Pick a workspace from the switcher above to manage its members.</p>
+        <Link to="/">Back to your blogs</Link>
+      </div>
+    );
+  }
+
+  const canManage = workspace.role === "owner" || workspace.role === "admin";
+
+  const handleRename = async (event) => {
+    event.preventDefault();
+    if (!name || !name.trim()) return;
+
+    try {
+      await rename.mutateAsync(name.trim());
+      setName(null);
+    } catch (renameError) {
+      console.error(renameError);
+    }
+  };
+
+  const handleInvite = async (event) => {
+    event.preventDefault();
+    if (!email.trim()) return;
+
+    try {
+      await invite.mutateAsync({ email: email.trim(), role });
+      setEmail("");
+    } catch (inviteError) {
+      console.error(inviteError);
+    }
+  };
+
+  const handleLeave = async (member) => {
+    if (!window.confirm(`Leave ${workspace.name}? Its blogs stay with the workspace.`)) {
+      return;
+    }
+
+    try {
+      await remove.mutateAsync(member.id);
+      selectWorkspace(null);
+      navigate("/");
+    } catch (leaveError) {
+      console.error(leaveError);
+    }
+  };
+
+  return (
+    <div className="workspace-settings">
+      <Link to="/">Back to Blogs</Link>
+      <h2>{workspace.name}</h2>
+      <p className="post-meta">
+        {workspace.planName} plan · {workspace.seats}{" "}
+        {workspace.seats === 1 ? "seat" : "seats"} · {workspace.blogCount} /{" "}
+        {workspace.maxBlogs} blogs
+      </p>
+
+      {canManage && (
+        <form className="invite-form" onSubmit={handleRename}>
+          <input
+            type="text"
+            value={name ?? workspace.name}
+            onChange={(event) => setName(event.target.value)}
+            maxLength={80}
+            aria-label="Workspace name"
+          />
+          <button
+            type="submit"
+            disabled={rename.isPending || !name || !name.trim()}
+          >
+            {rename.isPending ? "Saving..." : "Rename"}
+          </button>
+        </form>
+      )}
+
+      <h3>Members</h3>
+      {isPending && <p>Loading members...</p>}
+      {error && (
+        <div className="status error">
+          {getErrorMessage(error, "Failed to load members.")}
+        </div>
+      )}
+      <ul className="collaborator-list">
+        {members.map((member) => {
+          const isSelf = member.user_id === user?.id;
+          const editable = canManage && member.role !== "owner";
+
+          return (
+            <li key={member.id}>
+              <span>
+                {member.email}
+                {isSelf && " (you)"}
+              </span>
+              {STATUS_LABELS[member.status] && (
+                <span className="post-meta">{STATUS_LABELS[member.status]}</span>
+              )}
+              {editable ? (
+                <select
+                  value={member.role}
+                  onChange={(event) =>
+                    updateRole.mutate({
+                      memberId: member.id,
+                      role: event.target.value,
+                    })
+                  }
+                >
+                  {ROLE_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              ) : (
+                <span className="status-badge">{member.role}</span>
+              )}
+              {editable && !isSelf && (
+                <button
+                  type="button"
+                  className="link-button"
+                  onClick={() => remove.mutate(member.id)}
+                >
+                  {member.status === "pending" ? "Withdraw" : "Remove"}
+                </button>
+              )}
+              {isSelf && member.role !== "owner" && (
+                <button
+                  type="button"
+                  className="link-button"
+                  onClick={() => handleLeave(member)}
+                >
+                  Leave
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      {canManage && (
+        <>
+          <form className="invite-form" onSubmit={handleInvite}>
+            <input
+              type="email"
+              value={email}
+              onChange={(event) => setEmail(event.target.value)}
+              placeholder="Invite by email..."
+            />
+            <select value={role} onChange={(event) => setRole(event.target.value)}>
+              {ROLE_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <button type="submit" disabled={invite.isPending || !email.trim()}>
+              {invite.isPending ? "Inviting..." : "Invite"}
+            </button>
+          </form>
+          {invite.error && (
+            <div className="status error">
+              {getErrorMessage(invite.error, "Failed to send the invitation.")}
+            </div>
+          )}
+          {workspace.plan !== "free" && (
+            <p className="post-meta">
+              Each member who accepts adds a seat to the workspace's subscription.
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default WorkspaceSettings;
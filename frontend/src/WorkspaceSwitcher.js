@@ -0,0 +1,92 @@
+import React, { useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { useWorkspace } from "./WorkspaceContext";
+import { useCreateWorkspace } from "./queries";
+
+const NEW_WORKSPACE = "new";
+const MAX_NAME_LENGTH = 80;
+
+// picks between personal blogs and the user's team workspaces, in the user bar
+function WorkspaceSwitcher() {
+  const { workspaces, workspaceId, selectWorkspace } = useWorkspace();
+  const createWorkspace = useCreateWorkspace();
+  const navigate = useNavigate();
+  const [creating, setCreating] = useState(false);
+  const [name, setName] = useState("");
+
+  const handleSelect = (event) => {
+    const value = event.target.value;
+    if (value === NEW_WORKSPACE) {
+      setCreating(true);
+      return;
+    }
+
+    selectWorkspace(value || null);
+    navigate("/");
+  };
+
+  const cancelCreate = () => {
+    setCreating(false);
+    setName("");
+  };
+
+  // the new workspace is opened on its members page so people can be invited
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    if (!name.trim()) return;
+
+    try {
+      const workspace = await createWorkspace.mutateAsync(name.trim());
+      selectWorkspace(workspace.id);
+      cancelCreate();
+      navigate("/workspace");
+    } catch (error) {
+      console.error(error);
+    }
+  };
+
+  if (creating) {
+    return (
+      <form className="workspace-switcher" onSubmit={handleCreate}>
+        <input
+          type="text"
+          value={name}
+          onChange={(event) => setName(event.target.value)}
+          placeholder="Workspace name..."
+          maxLength={MAX_NAME_LENGTH}
+          autoFocus
+        />
+        <button
+          type="submit"
+          disabled={createWorkspace.isPending || !name.trim()}
+        >
+          {createWorkspace.isPending ? "Creating..." : "Create"}
+        </button>
+        <button type="button" className="secondary" onClick={cancelCreate}>
+          Cancel
+        </button>
+      </form>
+    );
+  }
+
+  return (
+    <div className="workspace-switcher">
+      <select
+        aria-label="Workspace"
+        value={workspaceId || ""}
+        onChange={handleSelect}
+      >
+        <option value="">Personal</option>
+        {workspaces.map((workspace) => (
+          <option key={workspace.id} value={String(workspace.id)}>
+            {workspace.name}
+          </option>
+        ))}
+        <option value={NEW_WORKSPACE}>+ New workspace...</option>
+      </select>
+      {workspaceId && <Link to="/workspace">Team</Link>}
+    </div>
+  );
+}
+
+export default WorkspaceSwitcher;
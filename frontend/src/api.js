@@ -0,0 +1,49 @@
+import axios from "axios";
+import { API_BASE_URL } from "./config";
+import { supabase } from "./supabaseClient";
+
+/**
+ * Axios instance for every call to our API. Requests carry the current
+ * Supabase access token when there is a session, so callers never build
+ * the Authorization header themselves.
+ */
+export const api = axios.create({ baseURL: API_BASE_URL });
+
+api.interceptors.request.use(async (config) => {
+  if (!config.headers.Authorization) {
+    const { data } = await supabase.auth.getSession();
+    if (data.session) {
+      config.headers.Authorization = `Bearer ${data.session.access_token}`;
+    }
+  }
+  return config;
+});
+
+/**
+ * When the API answers 401 with code "token_expired", refresh the Supabase
+ * session once and replay the request with the new access token. If the
+ * session can't be refreshed the user is signed out, which sends protected
+ * pages back to the login screen. Any other 401 (missing or invalid token)
+ * is passed through to the caller.
+ */
+api.interceptors.response.use(undefined, async (error) => {
+  const { config, response } = error;
+  if (
+    !config ||
+    config.authRetried ||
+    response?.status !== 401 ||
+    response.data?.code !== "token_expired"
+  ) {
+    throw error;
+  }
+
+  const { data, error: refreshError } = await supabase.auth.refreshSession();
+  if (refreshError || !data.session) {
+    await supabase.auth.signOut({ scope: "local" });
+    throw error;
+  }
+
+  config.authRetried = true;
+  config.headers.Authorization = `Bearer ${data.session.access_token}`;
+  return api(config);
+});
@@ -0,0 +1,31 @@
+// codes whose server message isn't written for readers, or needs more context
+const ERROR_MESSAGES = {
+  network_error: "Can't reach the server. Check your connection and try again.",
+  service_unavailable: "The service is temporarily unavailable. Please try again shortly.",
+  timeout: "That took too long. Please try again.",
+  rate_limited: "You're going a bit fast. Wait a moment and try again.",
+  token_missing: "Please log in again.",
+  token_expired: "Your session has expired. Please log in again.",
+  token_invalid: "Your session is no longer valid. Please log in again.",
+  billing_not_configured: "Billing isn't available right now.",
+  payment_provider_error: "The payment provider didn't respond. Please try again.",
+};
+
+// the API's machine-readable `code`, or "network_error" when no response came back
+export const getErrorCode = (error) => {
+  if (!error.response) return "network_error";
+  return error.response.data?.code || "unknown_error";
+};
+
+/**
+ * Text to show for a failed API call. Codes listed above get their own
+ * message; other client errors (validation, plan limits...) show the
+ * server's message, and server errors fall back to `fallback`.
+ */
+export const getErrorMessage = (error, fallback) => {
+  const message = ERROR_MESSAGES[getErrorCode(error)];
+  if (message) return message;
+
+  const { status, data } = error.response;
+  return status < 500 && data?.error ? data.error : fallback;
+};
@@ -0,0 +1,149 @@
+import { api } from "./api";
+import { clearLocalDraft } from "./useAutosave";
+
+// server-side drafts; a missing draft resolves to null
+export const fetchDraft = async (key) => {
+  try {
+    const result = await api.get(`/drafts/${key}`);
+    return result.data;
+  } catch (error) {
+    if (error.response?.data?.code === "not_found") return null;
+    throw error;
+  }
+};
+
+export const saveDraft = async (key, draft) => {
+  await api.put(`/drafts/${key}`, draft);
+};
+
+// removes both the local copy and the server copy of a draft
+export const discardDraft = async (key) => {
+  clearLocalDraft(key);
+  try {
+    await api.delete(`/drafts/${key}`);
+  } catch (error) {
+    console.error(error);
+  }
+};
+
+export const uploadImage = async (file) => {
+  const formData = new FormData();
+  formData.append("file", file);
+
+  const result = await api.post("/uploads", formData);
+  return result.data;
+};
+
+export const fetchRevisions = async (id) => {
+  const result = await api.get(`/blogs/${id}/revisions`);
+  return result.data;
+};
+
+export const fetchRevision = async (id, revisionId) => {
+  const result = await api.get(`/blogs/${id}/revisions/${revisionId}`);
+  return result.data;
+};
+
+export const fetchTrash = async (workspaceId) => {
+  const result = await api.get("/trash", {
+    params: { workspace: workspaceId || undefined },
+  });
+  return result.data;
+};
+
+export const restoreFromTrash = async (id) => {
+  const result = await api.post(`/trash/${id}/restore`);
+  return result.data;
+};
+
+export const purgeFromTrash = async (id) => {
+  await api.delete(`/trash/${id}`);
+};
+
+// co-authors of a blog, for its owner
+export const fetchCollaborators = async (id) => {
+  const result = await api.get(`/blogs/${id}/collaborators`);
+  return result.data;
+};
+
+export const inviteCollaborator = async (id, email, role) => {
+  const result = await api.post(`/blogs/${id}/collaborators`, { email, role });
+  return result.data;
+};
+
+export const updateCollaborator = async (id, collaboratorId, role) => {
+  const result = await api.put(`/blogs/${id}/collaborators/${collaboratorId}`, {
+    role,
+  });
+  return result.data;
+};
+
+// also how a co-author leaves a blog shared with them
+export const removeCollaborator = async (id, collaboratorId) => {
+  await api.delete(`/blogs/${id}/collaborators/${collaboratorId}`);
+};
+
+export const fetchInvitations = async () => {
+  const result = await api.get("/invitations");
+  return result.data;
+};
+
+// answer is "accept" or "decline"
+export const respondToInvitation = async (invitationId, answer) => {
+  const result = await api.post(`/invitations/${invitationId}/${answer}`);
+  return result.data;
+};
+
+// team workspaces the user belongs to, with their plan and usage
+export const fetchWorkspaces = async () => {
+  const result = await api.get("/workspaces");
+  return result.data;
+};
+
+export const createWorkspace = async (name) => {
+  const result = await api.post("/workspaces", { name });
+  return result.data;
+};
+
+export const renameWorkspace = async (workspaceId, name) => {
+  const result = await api.put(`/workspaces/${workspaceId}`, { name });
+  return result.data;
+};
+
+export const fetchWorkspaceMembers = async (workspaceId) => {
+  const result = await api.get(`/workspaces/${workspaceId}/members`);
+  return result.data;
+};
+
+export const inviteWorkspaceMember = async (workspaceId, email, role) => {
+  const result = await api.post(`/workspaces/${workspaceId}/members`, {
+    email,
+    role,
+  });
+  return result.data;
+};
+
+export const updateWorkspaceMember = async (workspaceId, memberId, role) => {
+  const result = await api.put(`/workspaces/${workspaceId}/members/${memberId}`, {
+    role,
+  });
+  return result.data;
+};
+
+// also how a member leaves a workspace
+export const removeWorkspaceMember = async (workspaceId, memberId) => {
+  await api.delete(`/workspaces/${workspaceId}/members/${memberId}`);
+};
+
+export const fetchWorkspaceInvitations = async () => {
+  const result = await api.get("/workspaces/invitations");
+  return result.data;
+};
+
+// answer is "accept" or "decline"
+export const respondToWorkspaceInvitation = async (invitationId, answer) => {
+  const result = await api.post(
+    `/workspaces/invitations/${invitationId}/${answer}`
+  );
+  return result.data;
+};
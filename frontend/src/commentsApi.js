@@ -0,0 +1,44 @@
+import { api } from "./api";
+
+/**
+ * Comment calls for one blog reader. Signed-out readers get a read-only
+ * view, the API rejects their writes anyway.
+ */
+export const createCommentsApi = (signedIn) => {
+  const commentsUrl = (blogId) => `/blogs/${blogId}/comments`;
+
+  return {
+    canWrite: Boolean(signedIn),
+    list: async (blogId, cursor) => {
+      const result = await api.get(commentsUrl(blogId), {
+        params: { cursor: cursor || undefined },
+      });
+      return result.data;
+    },
+    create: async (blogId, body, parentId) => {
+      const result = await api.post(commentsUrl(blogId), {
+        body,
+        parent_id: parentId || undefined,
+      });
+      return result.data;
+    },
+    update: async (blogId, commentId, body) => {
+      const result = await api.put(`${commentsUrl(blogId)}/${commentId}`, { body });
+      return result.data;
+    },
+    remove: async (blogId, commentId) => {
+      await api.delete(`${commentsUrl(blogId)}/${commentId}`);
+    },
+    setHidden: async (blogId, commentId, hidden) => {
+      const result = await api.put(
+        `${commentsUrl(blogId)}/${commentId}/visibility`,
+        { hidden }
+      );
+      return result.data;
+    },
+    setLocked: async (blogId, locked) => {
+      const result = await api.put(`/blogs/${blogId}/comment-lock`, { locked });
+      return result.data;
+    },
+  };
+};
@@ -0,0 +1,2 @@
+export const API_BASE_URL =
+  process.env.REACT_APP_API_URL || "http://localhost:5000";
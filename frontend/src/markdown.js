@@ -0,0 +1,49 @@
+import { Marked } from "marked";
+import DOMPurify from "dompurify";
+
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const markdown = new Marked({
+  gfm: true,
+  breaks: true,
+  renderer: {
+    // raw HTML typed into a post is shown as text, never rendered
+    html({ text }) {
+      return escapeHtml(text);
+    },
+  },
+});
+
+// mirrors the allowlist the backend applies before storing content_html
+const SANITIZE_OPTIONS = {
+  ALLOWED_TAGS: [
+    "h1", "h2", "h3", "h4", "h5", "h6",
+    "p", "br", "hr", "blockquote", "pre", "code",
+    "ul", "ol", "li", "strong", "em", "del",
+    "a", "img",
+    "table", "thead", "tbody", "tr", "th", "td",
+  ],
+  ALLOWED_ATTR: ["href", "title", "target", "rel", "src", "alt", "class", "start", "align"],
+};
+
+DOMPurify.addHook("afterSanitizeAttributes", (node) => {
+  if (node.tagName === "A") {
+    node.setAttribute("target", "_blank");
+    node.setAttribute("rel", "noopener noreferrer nofollow");
+  }
+});
+
+export const renderMarkdown = (source) =>
+  DOMPurify.sanitize(markdown.parse(source || ""), SANITIZE_OPTIONS);
+
+// prefers the server-rendered HTML, falling back for rows saved before it existed
+export const renderPostHtml = (contentHtml, content) =>
+  contentHtml
+    ? DOMPurify.sanitize(contentHtml, SANITIZE_OPTIONS)
+    : renderMarkdown(content);
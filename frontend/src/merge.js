@@ -0,0 +1,25 @@
+import { createPatch, applyPatch } from "diff";
+
+/**
+ * Three-way merge of post content: replays the local edits (base -> mine)
+ * on top of the saved copy. Falls back to conflict markers when the two
+ * sets of edits touch the same lines.
+ */
+export const mergeContent = (base, mine, theirs) => {
+  if (mine === base || theirs === mine) {
+    return { content: theirs, clean: true };
+  }
+  if (theirs === base) {
+    return { content: mine, clean: true };
+  }
+
+  const merged = applyPatch(theirs, createPatch("content", base, mine));
+  if (merged !== false) {
+    return { content: merged, clean: true };
+  }
+
+  return {
+    content: `<<<<<<< your changes\n${mine}\n=======\n${theirs}\n>>>>>>> saved version\n`,
+    clean: false,
+  };
+};
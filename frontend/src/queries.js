@@ -0,0 +1,655 @@
+import {
+  useQuery,
+  useInfiniteQuery,
+  useMutation,
+  useQueryClient,
+} from "@tanstack/react-query";
+import { api } from "./api";
+import { useAuth } from "./AuthContext";
+import { useNotice } from "./NoticeContext";
+import {
+  fetchTrash,
+  restoreFromTrash,
+  purgeFromTrash,
+  fetchCollaborators,
+  inviteCollaborator,
+  updateCollaborator,
+  removeCollaborator,
+  fetchInvitations,
+  respondToInvitation,
+  fetchWorkspaces,
+  createWorkspace,
+  renameWorkspace,
+  fetchWorkspaceMembers,
+  inviteWorkspaceMember,
+  updateWorkspaceMember,
+  removeWorkspaceMember,
+  fetchWorkspaceInvitations,
+  respondToWorkspaceInvitation,
+} from "./blogsApi";
+import { getErrorCode, getErrorMessage } from "./apiErrors";
+
+const PAGE_SIZE = 10;
+
+// lists, tags and billing exist once for personal blogs and once per workspace
+export const queryKeys = {
+  profile: ["profile"],
+  blogs: ["blogs"],
+  blogList: (filters) => ["blogs", filters],
+  taxonomy: ["taxonomy"],
+  taxonomyFor: (workspaceId) => ["taxonomy", workspaceId || null],
+  billing: ["billing"],
+  workspaceBilling: (workspaceId) => ["billing", String(workspaceId)],
+  plans: ["plans"],
+  trash: ["trash"],
+  trashFor: (workspaceId) => ["trash", workspaceId || null],
+  collaborators: (blogId) => ["collaborators", String(blogId)],
+  invitations: ["invitations"],
+  workspaces: ["workspaces"],
+  workspaceMembers: (workspaceId) => ["workspaceMembers", String(workspaceId)],
+  workspaceInvitations: ["workspaceInvitations"],
+};
+
+const getData = async (url, config) => (await api.get(url, config)).data;
+
+// applies `update(items, pageIndex)` to every cached page of every blog list,
+// or only of the lists `predicate` picks
+const updateBlogLists = (queryClient, update, predicate) =>
+  queryClient.setQueriesData({ queryKey: queryKeys.blogs, predicate }, (data) =>
+    data
+      ? {
+          ...data,
+          pages: data.pages.map((page, index) => ({
+            ...page,
+            items: update(page.items, index),
+          })),
+        }
+      : data
+  );
+
+// keeps list-only fields such as the user's role on shared blogs
+const replaceBlog = (queryClient, blog) =>
+  updateBlogLists(queryClient, (items) =>
+    items.map((item) => (item.id === blog.id ? { ...item, ...blog } : item))
+  );
+
+// stops in-flight fetches from overwriting an optimistic update
+const snapshotQueries = async (queryClient, queryKey) => {
+  await queryClient.cancelQueries({ queryKey });
+  return queryClient.getQueriesData({ queryKey });
+};
+
+const restoreSnapshot = (queryClient, snapshot = []) =>
+  snapshot.forEach(([key, data]) => queryClient.setQueryData(key, data));
+
+// anything that changes which blogs exist also changes counts and tags
+export const invalidateBlogData = (queryClient) =>
+  Promise.all(
+    [
+      queryKeys.blogs,
+      queryKeys.profile,
+      queryKeys.workspaces,
+      queryKeys.taxonomy,
+      queryKeys.trash,
+    ].map((queryKey) => queryClient.invalidateQueries({ queryKey }))
+  );
+
+// membership, roles, plans and seats; roles decide what each blog allows
+const invalidateWorkspaceData = (queryClient) =>
+  Promise.all(
+    [
+      queryKeys.workspaces,
+      ["workspaceMembers"],
+      queryKeys.billing,
+      queryKeys.blogs,
+      queryKeys.taxonomy,
+    ].map((queryKey) => queryClient.invalidateQueries({ queryKey }))
+  );
+
+/**
+ * Merges a change pushed by the API's event stream (see useLiveUpdates) into
+ * the cache. Edits are patched into the lists in place; anything that adds or
+ * removes blogs refetches them, since where a blog belongs depends on each
+ * list's sort and filters.
+ */
+export const applyLiveEvent = (queryClient, { type, data }) => {
+  switch (type) {
+    case "blog.updated":
+      // an event that arrives late must not undo a newer save
+      updateBlogLists(queryClient, (items) =>
+        items.map((item) =>
+          item.id === data.blog.id && item.version <= data.blog.version
+            ? { ...item, ...data.blog }
+            : item
+        )
+      );
+      return queryClient.invalidateQueries({ queryKey: queryKeys.taxonomy });
+    case "blog.deleted":
+      updateBlogLists(queryClient, (items) =>
+        items.filter((item) => item.id !== data.id)
+      );
+      return invalidateBlogData(queryClient);
+    case "blog.created":
+    case "blogs.changed":
+      return invalidateBlogData(queryClient);
+    case "profile.changed":
+      return Promise.all(
+        [queryKeys.profile, queryKeys.billing].map((queryKey) =>
+          queryClient.invalidateQueries({ queryKey })
+        )
+      );
+    case "workspaces.changed":
+      return invalidateWorkspaceData(queryClient);
+    default:
+      return undefined;
+  }
+};
+
+// plan, usage and settings; blogCount is always the server's number
+export const useProfile = () => {
+  const { session } = useAuth();
+  return useQuery({
+    queryKey: queryKeys.profile,
+    queryFn: () => getData("/profile"),
+    enabled: Boolean(session),
+  });
+};
+
+// one list per workspace (null for personal blogs) and combination of filters,
+// loaded a page at a time
+export const useBlogs = ({ workspaceId, q, sort, tags, category }) =>
+  useInfiniteQuery({
+    queryKey: queryKeys.blogList({ workspaceId, q, sort, tags, category }),
+    queryFn: ({ pageParam }) =>
+      getData("/blogs", {
+        params: {
+          workspace: workspaceId || undefined,
+          q: q || undefined,
+          sort,
+          cursor: pageParam || undefined,
+          limit: PAGE_SIZE,
+          tags: tags.length ? tags.join(",") : undefined,
+          category: category || undefined,
+        },
+      }),
+    initialPageParam: null,
+    getNextPageParam: (lastPage) => lastPage.nextCursor || undefined,
+    select: (data) => data.pages.flatMap((page) => page.items),
+  });
+
+export const useTaxonomy = (workspaceId) =>
+  useQuery({
+    queryKey: queryKeys.taxonomyFor(workspaceId),
+    queryFn: () =>
+      getData("/taxonomy", { params: { workspace: workspaceId || undefined } }),
+  });
+
+// the user's own billing, or a workspace's for its owner and admins
+export const useBilling = (workspace) => {
+  const canManage = !workspace || ["owner", "admin"].includes(workspace.role);
+  return useQuery({
+    queryKey: workspace
+      ? queryKeys.workspaceBilling(workspace.id)
+      : queryKeys.billing,
+    queryFn: () =>
+      getData(workspace ? `/workspaces/${workspace.id}/billing` : "/billing"),
+    enabled: canManage,
+  });
+};
+
+export const usePlans = () =>
+  useQuery({ queryKey: queryKeys.plans, queryFn: () => getData("/plans") });
+
+export const useTrash = (workspaceId) =>
+  useQuery({
+    queryKey: queryKeys.trashFor(workspaceId),
+    queryFn: () => fetchTrash(workspaceId),
+  });
+
+/**
+ * Shows the new blog at the top of every list right away, marked pending
+ * until the server answers. On failure the lists are put back and the
+ * error is shown; the editor's autosaved draft is left in place.
+ */
+export const useCreateBlog = () => {
+  const queryClient = useQueryClient();
+  const { showNotice } = useNotice();
+
+  return useMutation({
+    mutationFn: async (blog) => (await api.post("/blogs", blog)).data,
+    onMutate: async (blog) => {
+      const snapshot = await snapshotQueries(queryClient, queryKeys.blogs);
+      const now = new Date().toISOString();
+      const placeholder = {
+        ...blog,
+        id: `pending-${Date.now()}`,
+        content_html: null,
+        slug: null,
+        version: 1,
+        archived_at: null,
+        publish_at: blog.publish_at || null,
+        created_at: now,
+        updated_at: now,
+        pending: true,
+      };
+      updateBlogLists(
+        queryClient,
+        (items, index) => (index === 0 ? [placeholder, ...items] : items),
+        // only the lists of the workspace the blog is created in
+        (query) =>
+          String(query.queryKey[1]?.workspaceId || "") ===
+          String(blog.workspace_id || "")
+      );
+      return { snapshot, placeholder };
+    },
+    onSuccess: (created, _blog, { placeholder }) =>
+      updateBlogLists(queryClient, (items) =>
+        items.map((item) => (item.id === placeholder.id ? created : item))
+      ),
+    onError: (error, _blog, context) => {
+      restoreSnapshot(queryClient, context?.snapshot);
+      showNotice(
+        `${getErrorMessage(error, "Failed to add blog.")} Your draft was kept.`
+      );
+    },
+    onSettled: () => invalidateBlogData(queryClient),
+  });
+};
+
+/**
+ * Applies the edited fields to the cached blog before the request is sent.
+ * A failed save restores the previous version; on a version conflict the
+ * cache takes the server's current copy so the editor can merge against it.
+ */
+export const useUpdateBlog = () => {
+  const queryClient = useQueryClient();
+  const { showNotice } = useNotice();
+
+  return useMutation({
+    mutationFn: async ({ id, changes }) =>
+      (await api.put(`/blogs/${id}`, changes)).data,
+    onMutate: async ({ id, changes }) => {
+      const snapshot = await snapshotQueries(queryClient, queryKeys.blogs);
+      const { version, ...fields } = changes;
+      updateBlogLists(queryClient, (items) =>
+        items.map((item) =>
+          item.id === id
+            ? {
+                ...item,
+                ...fields,
+                // rendered from the Markdown until the server sends new HTML
+                content_html: "content" in fields ? null : item.content_html,
+              }
+            : item
+        )
+      );
+      return { snapshot };
+    },
+    onSuccess: (updated) => replaceBlog(queryClient, updated),
+    onError: (error, _variables, context) => {
+      restoreSnapshot(queryClient, context?.snapshot);
+
+      const code = getErrorCode(error);
+      const current = error.response?.data?.current;
+      if (code === "version_conflict" && current) {
+        replaceBlog(queryClient, current);
+        return;
+      }
+
+      showNotice(getErrorMessage(error, "Failed to update blog."));
+      // went over the plan limit since the list was loaded
+      if (code === "blog_archived") {
+        queryClient.invalidateQueries({ queryKey: queryKeys.blogs });
+      }
+    },
+    onSettled: () =>
+      queryClient.invalidateQueries({ queryKey: queryKeys.taxonomy }),
+  });
+};
+
+export const useRestoreBlog = () => {
+  const queryClient = useQueryClient();
+  const { showNotice } = useNotice();
+
+  return useMutation({
+    mutationFn: restoreFromTrash,
+    onMutate: async (id) => {
+      const snapshot = await snapshotQueries(queryClient, queryKeys.trash);
+      queryClient.setQueriesData({ queryKey: queryKeys.trash }, (items) =>
+        items ? items.filter((item) => item.id !== id) : items
+      );
+      return { snapshot };
+    },
+    onError: (error, _id, context) => {
+      restoreSnapshot(queryClient, context?.snapshot);
+      showNotice(getErrorMessage(error, "Failed to restore blog."));
+    },
+    onSettled: () => invalidateBlogData(queryClient),
+  });
+};
+
+// removes the blog from every list at once and offers an undo
+export const useDeleteBlog = () => {
+  const queryClient = useQueryClient();
+  const { showNotice } = useNotice();
+  const restoreBlog = useRestoreBlog();
+
+  return useMutation({
+    mutationFn: (id) => api.delete(`/blogs/${id}`),
+    onMutate: async (id) => {
+      const snapshot = await snapshotQueries(queryClient, queryKeys.blogs);
+      updateBlogLists(queryClient, (items) =>
+        items.filter((item) => item.id !== id)
+      );
+      return { snapshot };
+    },
+    onSuccess: (_response, id) =>
+      showNotice("Blog moved to trash.", {
+        actionLabel: "Undo",
+        onAction: () => restoreBlog.mutate(id),
+      }),
+    onError: (error, _id, context) => {
+      restoreSnapshot(queryClient, context?.snapshot);
+      showNotice(getErrorMessage(error, "Failed to delete blog."));
+    },
+    onSettled: () => invalidateBlogData(queryClient),
+  });
+};
+
+export const usePurgeBlog = () => {
+  const queryClient = useQueryClient();
+  const { showNotice } = useNotice();
+
+  return useMutation({
+    mutationFn: purgeFromTrash,
+    onMutate: async (id) => {
+      const snapshot = await snapshotQueries(queryClient, queryKeys.trash);
+      queryClient.setQueriesData({ queryKey: queryKeys.trash }, (items) =>
+        items ? items.filter((item) => item.id !== id) : items
+      );
+      return { snapshot };
+    },
+    onError: (error, _id, context) => {
+      restoreSnapshot(queryClient, context?.snapshot);
+      showNotice(getErrorMessage(error, "Failed to delete blog."));
+    },
+    onSettled: () =>
+      queryClient.invalidateQueries({ queryKey: queryKeys.trash }),
+  });
+};
+
+export const useRestoreRevision = () => {
+  const queryClient = useQueryClient();
+  const { showNotice } = useNotice();
+
+  return useMutation({
+    mutationFn: async ({ id, revisionId, version }) =>
+      (await api.post(`/blogs/${id}/revisions/${revisionId}/restore`, { version }))
+        .data,
+    onSuccess: (restored) => {
+      replaceBlog(queryClient, restored);
+      showNotice("Revision restored.");
+    },
+    onError: (error) => {
+      // show the newer edit so the user can decide whether to restore over it
+      const current = error.response?.data?.current;
+      if (getErrorCode(error) === "version_conflict" && current) {
+        replaceBlog(queryClient, current);
+      }
+      showNotice(getErrorMessage(error, "Failed to restore revision."));
+    },
+    onSettled: () =>
+      queryClient.invalidateQueries({ queryKey: queryKeys.taxonomy }),
+  });
+};
+
+export const useCollaborators = (blogId) =>
+  useQuery({
+    queryKey: queryKeys.collaborators(blogId),
+    queryFn: () => fetchCollaborators(blogId),
+  });
+
+// errors are left on the mutation for the sharing dialog to show by the form
+export const useInviteCollaborator = (blogId) => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ email, role }) => inviteCollaborator(blogId, email, role),
+    onSettled: () =>
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.collaborators(blogId),
+      }),
+  });
+};
+
+// applies `update(collaborators)` to the cached list of a blog's co-authors
+const useCollaboratorMutation = (blogId, { mutationFn, update, errorMessage }) => {
+  const queryClient = useQueryClient();
+  const { showNotice } = useNotice();
+  const queryKey = queryKeys.collaborators(blogId);
+
+  return useMutation({
+    mutationFn,
+    onMutate: async (variables) => {
+      const snapshot = await snapshotQueries(queryClient, queryKey);
+      queryClient.setQueryData(queryKey, (items) =>
+        items ? update(items, variables) : items
+      );
+      return { snapshot };
+    },
+    onError: (error, _variables, context) => {
+      restoreSnapshot(queryClient, context?.snapshot);
+      showNotice(getErrorMessage(error, errorMessage));
+    },
+    onSettled: () => queryClient.invalidateQueries({ queryKey }),
+  });
+};
+
+export const useUpdateCollaborator = (blogId) =>
+  useCollaboratorMutation(blogId, {
+    mutationFn: ({ collaboratorId, role }) =>
+      updateCollaborator(blogId, collaboratorId, role),
+    update: (items, { collaboratorId, role }) =>
+      items.map((item) => (item.id === collaboratorId ? { ...item, role } : item)),
+    errorMessage: "Failed to change the role.",
+  });
+
+export const useRemoveCollaborator = (blogId) =>
+  useCollaboratorMutation(blogId, {
+    mutationFn: (collaboratorId) => removeCollaborator(blogId, collaboratorId),
+    update: (items, collaboratorId) =>
+      items.filter((item) => item.id !== collaboratorId),
+    errorMessage: "Failed to remove the co-author.",
+  });
+
+// a co-author taking a shared blog off their own list
+export const useLeaveBlog = () => {
+  const queryClient = useQueryClient();
+  const { showNotice } = useNotice();
+
+  return useMutation({
+    mutationFn: ({ blogId, collaboratorId }) =>
+      removeCollaborator(blogId, collaboratorId),
+    onMutate: async ({ blogId }) => {
+      const snapshot = await snapshotQueries(queryClient, queryKeys.blogs);
+      updateBlogLists(queryClient, (items) =>
+        items.filter((item) => item.id !== blogId)
+      );
+      return { snapshot };
+    },
+    onError: (error, _variables, context) => {
+      restoreSnapshot(queryClient, context?.snapshot);
+      showNotice(getErrorMessage(error, "Failed to leave the blog."));
+    },
+    onSettled: () => invalidateBlogData(queryClient),
+  });
+};
+
+export const useInvitations = () =>
+  useQuery({ queryKey: queryKeys.invitations, queryFn: fetchInvitations });
+
+// answer is "accept" or "decline"; an accepted blog joins the lists once the server confirms
+export const useRespondToInvitation = () => {
+  const queryClient = useQueryClient();
+  const { showNotice } = useNotice();
+
+  return useMutation({
+    mutationFn: ({ invitationId, answer }) =>
+      respondToInvitation(invitationId, answer),
+    onMutate: async ({ invitationId }) => {
+      const snapshot = await snapshotQueries(queryClient, queryKeys.invitations);
+      queryClient.setQueryData(queryKeys.invitations, (items) =>
+        items ? items.filter((item) => item.id !== invitationId) : items
+      );
+      return { snapshot };
+    },
+    onSuccess: (_collaborator, { answer }) =>
+      answer === "accept" ? invalidateBlogData(queryClient) : undefined,
+    onError: (error, _variables, context) => {
+      restoreSnapshot(queryClient, context?.snapshot);
+      showNotice(getErrorMessage(error, "Failed to answer the invitation."));
+    },
+    onSettled: () =>
+      queryClient.invalidateQueries({ queryKey: queryKeys.invitations }),
+  });
+};
+
+export const useWorkspaces = () => {
+  const { session } = useAuth();
+  return useQuery({
+    queryKey: queryKeys.workspaces,
+    queryFn: fetchWorkspaces,
+    enabled: Boolean(session),
+  });
+};
+
+// the new workspace joins the switcher right away so it can be selected
+export const useCreateWorkspace = () => {
+  const queryClient = useQueryClient();
+  const { showNotice } = useNotice();
+
+  return useMutation({
+    mutationFn: createWorkspace,
+    onSuccess: (workspace) =>
+      queryClient.setQueryData(queryKeys.workspaces, (items) => [
+        ...(items || []),
+        workspace,
+      ]),
+    onError: (error) =>
+      showNotice(getErrorMessage(error, "Failed to create the workspace.")),
+    onSettled: () =>
+      queryClient.invalidateQueries({ queryKey: queryKeys.workspaces }),
+  });
+};
+
+export const useRenameWorkspace = (workspaceId) => {
+  const queryClient = useQueryClient();
+  const { showNotice } = useNotice();
+
+  return useMutation({
+    mutationFn: (name) => renameWorkspace(workspaceId, name),
+    onError: (error) =>
+      showNotice(getErrorMessage(error, "Failed to rename the workspace.")),
+    onSettled: () =>
+      queryClient.invalidateQueries({ queryKey: queryKeys.workspaces }),
+  });
+};
+
+export const useWorkspaceMembers = (workspaceId) =>
+  useQuery({
+    queryKey: queryKeys.workspaceMembers(workspaceId),
+    queryFn: () => fetchWorkspaceMembers(workspaceId),
+    enabled: Boolean(workspaceId),
+  });
+
+// errors are left on the mutation for the members page to show by the form
+export const useInviteWorkspaceMember = (workspaceId) => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ email, role }) =>
+      inviteWorkspaceMember(workspaceId, email, role),
+    onSettled: () =>
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.workspaceMembers(workspaceId),
+      }),
+  });
+};
+
+// applies `update(members)` to the cached member list; seats and roles
+// change the workspace summary too
+const useMemberMutation = (workspaceId, { mutationFn, update, errorMessage }) => {
+  const queryClient = useQueryClient();
+  const { showNotice } = useNotice();
+  const queryKey = queryKeys.workspaceMembers(workspaceId);
+
+  return useMutation({
+    mutationFn,
+    onMutate: async (variables) => {
+      const snapshot = await snapshotQueries(queryClient, queryKey);
+      queryClient.setQueryData(queryKey, (items) =>
+        items ? update(items, variables) : items
+      );
+      return { snapshot };
+    },
+    onError: (error, _variables, context) => {
+      restoreSnapshot(queryClient, context?.snapshot);
+      showNotice(getErrorMessage(error, errorMessage));
+    },
+    onSettled: () => invalidateWorkspaceData(queryClient),
+  });
+};
+
+export const useUpdateWorkspaceMember = (workspaceId) =>
+  useMemberMutation(workspaceId, {
+    mutationFn: ({ memberId, role }) =>
+      updateWorkspaceMember(workspaceId, memberId, role),
+    update: (items, { memberId, role }) =>
+      items.map((item) => (item.id === memberId ? { ...item, role } : item)),
+    errorMessage: "Failed to change the role.",
+  });
+
+// removing yourself is leaving the workspace
+export const useRemoveWorkspaceMember = (workspaceId) =>
+  useMemberMutation(workspaceId, {
+    mutationFn: (memberId) => removeWorkspaceMember(workspaceId, memberId),
+    update: (items, memberId) => items.filter((item) => item.id !== memberId),
+    errorMessage: "Failed to remove the member.",
+  });
+
+export const useWorkspaceInvitations = () =>
+  useQuery({
+    queryKey: queryKeys.workspaceInvitations,
+    queryFn: fetchWorkspaceInvitations,
+  });
+
+// answer is "accept" or "decline"; an accepted workspace joins the switcher once the server confirms
+export const useRespondToWorkspaceInvitation = () => {
+  const queryClient = useQueryClient();
+  const { showNotice } = useNotice();
+
+  return useMutation({
+    mutationFn: ({ invitationId, answer }) =>
+      respondToWorkspaceInvitation(invitationId, answer),
+    onMutate: async ({ invitationId }) => {
+      const snapshot = await snapshotQueries(
+        queryClient,
+        queryKeys.workspaceInvitations
+      );
+      queryClient.setQueryData(queryKeys.workspaceInvitations, (items) =>
+        items ? items.filter((item) => item.id !== invitationId) : items
+      );
+      return { snapshot };
+    },
+    onSuccess: (_member, { answer }) =>
+      answer === "accept" ? invalidateWorkspaceData(queryClient) : undefined,
+    onError: (error, _variables, context) => {
+      restoreSnapshot(queryClient, context?.snapshot);
+      showNotice(getErrorMessage(error, "Failed to answer the invitation."));
+    },
+    onSettled: () =>
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.workspaceInvitations,
+      }),
+  });
+};
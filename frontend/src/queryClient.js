@@ -0,0 +1,27 @@
+import { QueryClient } from "@tanstack/react-query";
+
+const STALE_TIME_MS = 30 * 1000;
+const MAX_RETRIES = 2;
+
+// client errors (validation, not found, plan limits) won't fix themselves
+const shouldRetry = (failureCount, error) =>
+  failureCount < MAX_RETRIES &&
+  (!error.response || error.response.status >= 500);
+
+/**
+ * Shared cache for API data. Identical requests made while one is in flight
+ * are deduped, and data older than STALE_TIME_MS is refetched when a page
+ * that uses it mounts or the window regains focus.
+ */
+export const queryClient = new QueryClient({
+  defaultOptions: {
+    queries: {
+      staleTime: STALE_TIME_MS,
+      refetchOnWindowFocus: true,
+      retry: shouldRetry,
+    },
+    mutations: {
+      retry: false,
+    },
+  },
+});
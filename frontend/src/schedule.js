@@ -0,0 +1,18 @@
+const pad = (value) => String(value).padStart(2, "0");
+
+// ISO timestamp -> value for <input type="datetime-local"> in local time
+export const toLocalInputValue = (iso) => {
+  if (!iso) return "";
+  const date = new Date(iso);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+// datetime-local value (local time) -> ISO timestamp, or null when empty
+export const fromLocalInputValue = (value) =>
+  value ? new Date(value).toISOString() : null;
+
+// earliest value the picker should offer
+export const minScheduleValue = () =>
+  toLocalInputValue(new Date(Date.now() + 60 * 1000).toISOString());
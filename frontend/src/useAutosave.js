@@ -0,0 +1,108 @@
+import { useState, useEffect, useRef } from "react";
+
+const STORAGE_PREFIX = "blog-draft:";
+const LOCAL_SAVE_DELAY_MS = 1000;
+const REMOTE_SAVE_INTERVAL_MS = 15000;
+
+export const readLocalDraft = (key) => {
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_PREFIX + key));
+  } catch (error) {
+    return null;
+  }
+};
+
+export const clearLocalDraft = (key) => {
+  window.localStorage.removeItem(STORAGE_PREFIX + key);
+};
+
+const writeLocalDraft = (key, value) => {
+  try {
+    window.localStorage.setItem(
+      STORAGE_PREFIX + key,
+      JSON.stringify({ ...value, updated_at: new Date().toISOString() })
+    );
+  } catch (error) {
+    console.error(error);
+  }
+};
+
+/**
+ * Returns the most recent of the local and server copies of a draft,
+ * or null when neither exists.
+ */
+export const findSavedDraft = async (key, fetchRemote) => {
+  const local = readLocalDraft(key);
+  let remote = null;
+
+  try {
+    remote = await fetchRemote(key);
+  } catch (error) {
+    console.error(error);
+  }
+
+  if (!local || !remote) {
+    return local || remote;
+  }
+  return new Date(local.updated_at) >= new Date(remote.updated_at)
+    ? local
+    : remote;
+};
+
+/**
+ * Keeps a copy of in-progress edits in localStorage shortly after every
+ * change and on the server every few seconds, while `enabled` is true.
+ * Returns the time of the last local save.
+ */
+function useAutosave(key, value, { enabled, saveRemote }) {
+  const [savedAt, setSavedAt] = useState(null);
+  const latestValue = useRef(value);
+  const lastRemoteValue = useRef(null);
+
+  useEffect(() => {
+    latestValue.current = value;
+  }, [value]);
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const timer = setTimeout(() => {
+      writeLocalDraft(key, value);
+      setSavedAt(new Date());
+    }, LOCAL_SAVE_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [key, value, enabled]);
+
+  useEffect(() => {
+    if (!enabled || !saveRemote) return;
+
+    const timer = setInterval(async () => {
+      const serialized = JSON.stringify(latestValue.current);
+      if (serialized === lastRemoteValue.current) return;
+
+      try {
+        await saveRemote(key, latestValue.current);
+        lastRemoteValue.current = serialized;
+      } catch (error) {
+        console.error(error);
+      }
+    }, REMOTE_SAVE_INTERVAL_MS);
+
+    return () => clearInterval(timer);
+  }, [key, enabled, saveRemote]);
+
+  // don't lose the last second of typing when the tab is closed or reloaded
+  useEffect(() => {
+    if (!enabled) return;
+
+    const flush = () => writeLocalDraft(key, latestValue.current);
+    window.addEventListener("beforeunload", flush);
+
+    return () => window.removeEventListener("beforeunload", flush);
+  }, [key, enabled]);
+
+  return savedAt;
+}
+
+export default useAutosave;
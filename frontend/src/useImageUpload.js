@@ -0,0 +1,37 @@
+import { useCallback } from "react";
+import { useQueryClient } from "@tanstack/react-query";
+import { uploadImage } from "./blogsApi";
+import { queryKeys } from "./queries";
+import { getErrorMessage } from "./apiErrors";
+
+/**
+ * Upload handler for editors: keeps the storage usage shown on the profile
+ * current and reports failures through `onError` before rethrowing.
+ */
+function useImageUpload(onError) {
+  const queryClient = useQueryClient();
+
+  return useCallback(
+    async (file) => {
+      try {
+        const upload = await uploadImage(file);
+        queryClient.setQueryData(queryKeys.profile, (prev) =>
+          prev
+            ? {
+                ...prev,
+                storageUsed: upload.storageUsed,
+                maxStorage: upload.maxStorage,
+              }
+            : prev
+        );
+        return upload;
+      } catch (error) {
+        onError(getErrorMessage(error, "Failed to upload image."));
+        throw error;
+      }
+    },
+    [queryClient, onError]
+  );
+}
+
+export default useImageUpload;
@@ -0,0 +1,117 @@
+import { useEffect } from "react";
+import { useQueryClient } from "@tanstack/react-query";
+import { API_BASE_URL } from "./config";
+import { supabase } from "./supabaseClient";
+import { useAuth } from "./AuthContext";
+import { applyLiveEvent } from "./queries";
+
+const RETRY_DELAY_MS = 3000;
+const MAX_RETRY_DELAY_MS = 60 * 1000;
+
+// splits off the complete events in a text/event-stream buffer
+const parseEvents = (buffer) => {
+  const blocks = buffer.split("\n\n");
+  const rest = blocks.pop();
+
+  const events = blocks
+    .map((block) => {
+      let type = "message";
+      let data = "";
+      block.split("\n").forEach((line) => {
+        if (line.startsWith("event:")) {
+          type = line.slice(6).trim();
+        } else if (line.startsWith("data:")) {
+          data += line.slice(5).trim();
+        }
+      });
+      return data ? { type, data: JSON.parse(data) } : null;
+    })
+    .filter(Boolean);
+
+  return { events, rest };
+};
+
+/**
+ * Keeps the query cache in step with changes made in other tabs and devices,
+ * by Stripe webhooks and by scheduled publishing, through the API's
+ * GET /events stream. EventSource can't send an Authorization header, so the
+ * stream is read with fetch. Dropped connections are retried with backoff,
+ * each time with the current access token; after a reconnect everything
+ * cached is refetched in case events were missed in between.
+ */
+function useLiveUpdates() {
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+  const userId = user?.id;
+
+  useEffect(() => {
+    if (!userId) return;
+
+    const controller = new AbortController();
+    let retryTimer = null;
+    let failures = 0;
+    let connected = false;
+
+    const handleEvent = (event) => {
+      if (event.type !== "ready") {
+        applyLiveEvent(queryClient, event);
+        return;
+      }
+
+      failures = 0;
+      if (connected) {
+        queryClient.invalidateQueries();
+      }
+      connected = true;
+    };
+
+    const connect = async () => {
+      try {
+        const { data } = await supabase.auth.getSession();
+        if (!data.session) return;
+
+        const response = await fetch(`${API_BASE_URL}/events`, {
+          headers: { Authorization: `Bearer ${data.session.access_token}` },
+          signal: controller.signal,
+        });
+        if (!response.ok) {
+          throw new Error(`Event stream failed with status ${response.status}`);
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = "";
+        let chunk = await reader.read();
+        while (!chunk.done) {
+          const { events, rest } = parseEvents(
+            buffer + decoder.decode(chunk.value, { stream: true })
+          );
+          buffer = rest;
+          events.forEach(handleEvent);
+          chunk = await reader.read();
+        }
+      } catch (error) {
+        if (controller.signal.aborted) return;
+        console.error(error);
+        failures += 1;
+      }
+
+      // the server also ends streams now and then so tokens get rechecked
+      if (!controller.signal.aborted) {
+        retryTimer = setTimeout(
+          connect,
+          Math.min(RETRY_DELAY_MS * 2 ** failures, MAX_RETRY_DELAY_MS)
+        );
+      }
+    };
+
+    connect();
+
+    return () => {
+      controller.abort();
+      clearTimeout(retryTimer);
+    };
+  }, [userId, queryClient]);
+}
+
+export default useLiveUpdates;